@@ -0,0 +1,43 @@
+/**
+ * CORS for the serverless functions
+ *
+ * Only origins listed in ALLOWED_ORIGINS (comma-separated) may call the
+ * API cross-origin. Requests from the deployment's own host are always
+ * allowed, and requests without an Origin header (curl, server-to-server)
+ * are left alone - they are still subject to rate limiting.
+ */
+
+export function getAllowedOrigins() {
+    return (process.env.ALLOWED_ORIGINS || 'https://overthinking-simulator.vercel.app')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/$/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Sets CORS headers for an allowed origin.
+ * Returns false when the request comes from an origin that isn't allowed.
+ */
+export function applyCors(req, res, { methods = 'POST, OPTIONS' } = {}) {
+    const origin = req.headers.origin;
+
+    res.setHeader('Vary', 'Origin');
+    if (!origin) return true;
+
+    const sameHost = (() => {
+        try {
+            return new URL(origin).host === req.headers.host;
+        } catch {
+            return false;
+        }
+    })();
+
+    if (!sameHost && !getAllowedOrigins().includes(origin)) {
+        return false;
+    }
+
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    return true;
+}
@@ -0,0 +1,294 @@
+/**
+ * Social preview images
+ *
+ * Draws a 1200x630 PNG card for a shared spiral - decision, root thought,
+ * the top branches and the anxiety score - straight into a pixel buffer
+ * with the baked-in pixel font, then encodes it with node:zlib. No canvas,
+ * no font files, nothing fetched: it renders the same on any function
+ * instance, offline included.
+ */
+
+import { deflateSync } from 'node:zlib';
+import SpiralPrompt from '../../lib/prompt.js';
+import SpiralScore from '../../lib/score.js';
+import { GLYPH_ADVANCE, GLYPH_HEIGHT, getGlyph, isLegible, toPrintable } from './pixel-font.js';
+
+export const WIDTH = 1200;
+export const HEIGHT = 630;
+
+const MARGIN = 60;
+const TOP_BRANCHES = 3;
+
+// The app's palette (styles.css)
+const COLORS = {
+    background: [10, 26, 26],
+    backgroundEnd: [15, 42, 42],
+    panel: [18, 48, 48],
+    accent: [20, 184, 166],
+    text: [255, 255, 255],
+    secondary: [190, 200, 200],
+    muted: [120, 140, 140],
+    track: [40, 70, 70]
+};
+
+// Branches carry no category key in a share payload, so they're coloured by tone
+const TONE_COLORS = {
+    rational: [96, 165, 250],
+    emotional: [244, 114, 182],
+    absurd: [249, 115, 22],
+    hypothetical: [168, 85, 247]
+};
+
+// Score bar colours in SpiralScore.LEVELS order, meltdown first
+const LEVEL_COLORS = [[248, 113, 113], [249, 115, 22], [251, 191, 36], [96, 165, 250], [52, 211, 153]];
+
+/**
+ * An RGB pixel buffer with just enough drawing for a preview card:
+ * rectangles, gradients and pixel-font text.
+ */
+class Bitmap {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 3);
+    }
+
+    fillRect(x, y, width, height, color) {
+        const left = Math.max(0, Math.round(x));
+        const top = Math.max(0, Math.round(y));
+        const right = Math.min(this.width, Math.round(x + width));
+        const bottom = Math.min(this.height, Math.round(y + height));
+
+        for (let row = top; row < bottom; row++) {
+            for (let col = left; col < right; col++) {
+                this.pixels.set(color, (row * this.width + col) * 3);
+            }
+        }
+    }
+
+    // Top-to-bottom gradient across the whole image
+    fillGradient(from, to) {
+        for (let row = 0; row < this.height; row++) {
+            const t = row / (this.height - 1);
+            const color = from.map((channel, i) => Math.round(channel + (to[i] - channel) * t));
+            this.fillRect(0, row, this.width, 1, color);
+        }
+    }
+
+    // Draws printable text with each font pixel `scale` pixels square; returns the width drawn
+    text(x, y, text, { scale = 2, color = COLORS.text } = {}) {
+        let cursor = x;
+        for (const char of text) {
+            const glyph = getGlyph(char);
+            if (glyph) {
+                glyph.forEach((column, col) => {
+                    for (let row = 0; row < GLYPH_HEIGHT; row++) {
+                        if (column & (1 << row)) {
+                            this.fillRect(cursor + col * scale, y + row * scale, scale, scale, color);
+                        }
+                    }
+                });
+            }
+            cursor += GLYPH_ADVANCE * scale;
+        }
+        return cursor - x;
+    }
+
+    toPNG() {
+        // Each scanline starts with filter type 0 (none)
+        const stride = this.width * 3;
+        const raw = Buffer.alloc((stride + 1) * this.height);
+        for (let row = 0; row < this.height; row++) {
+            this.pixels.copy(raw, row * (stride + 1) + 1, row * stride, (row + 1) * stride);
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8; // bits per channel
+        header[9] = 2; // truecolour RGB
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+            pngChunk('IHDR', header),
+            pngChunk('IDAT', deflateSync(raw, { level: 9 })),
+            pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Word-wraps printable text to `columns` characters, at most `maxLines`
+ * lines; whatever doesn't fit ends in "...".
+ */
+export function wrapText(text, columns, maxLines) {
+    const lines = [];
+    let line = '';
+
+    for (let word of toPrintable(text).split(' ')) {
+        // Words longer than a line are cut into line-sized pieces
+        while (word.length > columns) {
+            if (line) {
+                lines.push(line);
+                line = '';
+            }
+            lines.push(word.slice(0, columns));
+            word = word.slice(columns);
+        }
+        if (!word) continue;
+        if (line && line.length + 1 + word.length > columns) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+
+    if (lines.length > maxLines) {
+        const last = lines[maxLines - 1];
+        lines.length = maxLines;
+        lines[maxLines - 1] = `${last.slice(0, columns - 3).trimEnd()}...`;
+    }
+    return lines;
+}
+
+// The font is ASCII-only: a line of nothing but placeholder boxes says less than a stand-in
+function printableOr(text, fallback) {
+    return isLegible(text) ? toPrintable(text) : fallback;
+}
+
+function count(n, singular, plural = `${singular}s`) {
+    return `${n} ${n === 1 ? singular : plural}`;
+}
+
+// How many characters fit in `width` pixels at `scale`
+function columnsFor(width, scale) {
+    return Math.floor((width + scale) / (GLYPH_ADVANCE * scale));
+}
+
+function drawLines(bitmap, x, y, lines, { scale, color, lineGap = 2 }) {
+    const lineHeight = (GLYPH_HEIGHT + lineGap) * scale;
+    lines.forEach((line, index) => bitmap.text(x, y + index * lineHeight, line, { scale, color }));
+    return y + lines.length * lineHeight;
+}
+
+function drawScorePanel(bitmap, x, y, width, height, report) {
+    bitmap.fillRect(x, y, width, height, COLORS.panel);
+    bitmap.fillRect(x, y, width, 4, COLORS.accent);
+
+    const inner = x + 24;
+    const innerWidth = width - 48;
+    bitmap.text(inner, y + 32, 'ANXIETY SCORE', { scale: 3, color: COLORS.muted });
+
+    if (!report) {
+        bitmap.text(inner, y + 90, '??', { scale: 12, color: COLORS.text });
+        drawLines(bitmap, inner, y + 200, wrapText('Open the link to watch it spiral', columnsFor(innerWidth, 3), 3), { scale: 3, color: COLORS.secondary });
+        return;
+    }
+
+    const levelIndex = SpiralScore.LEVELS.findIndex(level => level.label === report.level.label);
+    const numberWidth = bitmap.text(inner, y + 90, String(report.score), { scale: 12, color: COLORS.text });
+    // "/100" sits on the number's baseline
+    bitmap.text(inner + numberWidth, y + 90 + GLYPH_HEIGHT * (12 - 3), '/100', { scale: 3, color: COLORS.muted });
+
+    // The bar fills with the score
+    const barY = y + 200;
+    bitmap.fillRect(inner, barY, innerWidth, 12, COLORS.track);
+    bitmap.fillRect(inner, barY, innerWidth * report.score / 100, 12, LEVEL_COLORS[levelIndex] || COLORS.accent);
+
+    drawLines(bitmap, inner, barY + 36, wrapText(report.level.label.toUpperCase(), columnsFor(innerWidth, 3), 3), { scale: 3, color: COLORS.text });
+}
+
+/**
+ * Renders the preview card for a decoded share payload (see
+ * lib/share.js). Full spirals get their branches and anxiety score;
+ * seed-only links carry no thoughts, so they show the decision and how
+ * it will be overthought. Returns the PNG as a Buffer.
+ */
+export function renderPreviewImage(payload) {
+    const bitmap = new Bitmap(WIDTH, HEIGHT);
+    bitmap.fillGradient(COLORS.background, COLORS.backgroundEnd);
+    bitmap.fillRect(0, 0, WIDTH, 8, COLORS.accent);
+
+    const panelWidth = 300;
+    const panelX = WIDTH - MARGIN - panelWidth;
+    const columnWidth = panelX - MARGIN - 40;
+
+    bitmap.text(MARGIN, 44, 'OVERTHINKING SIMULATOR', { scale: 3, color: COLORS.accent });
+
+    const spiral = payload.kind === 'spiral' ? payload.spiral : null;
+    const decision = spiral ? spiral.decision : payload.decision;
+    const title = isLegible(decision) ? `"${toPrintable(decision)}"` : 'A decision worth overthinking';
+    let y = drawLines(bitmap, MARGIN, 100, wrapText(title, columnsFor(columnWidth, 5), 3), { scale: 5, color: COLORS.text });
+
+    if (spiral) {
+        const rootThought = printableOr(spiral.root_thought, 'And so it begins...');
+        y = drawLines(bitmap, MARGIN, y + 16, wrapText(rootThought, columnsFor(columnWidth, 3), 2), { scale: 3, color: COLORS.secondary });
+
+        y += 28;
+        // A comparison shows both sides, so the top branches alternate between the options
+        const top = spiral.compare
+            ? [0, 1, 0].map((side, i) => spiral.branches.filter(branch => branch.option === side)[i >> 1]).filter(Boolean)
+            : spiral.branches.slice(0, TOP_BRANCHES);
+        top.forEach((branch, index) => {
+            if (y > HEIGHT - 110) return;
+            bitmap.fillRect(MARGIN, y, 6, 42, TONE_COLORS[branch.tone] || COLORS.accent);
+            const option = spiral.compare ? `${SpiralPrompt.COMPARE_LABELS[branch.option]}: ` : '';
+            const category = wrapText(`${option}${printableOr(branch.category, `Spiral ${index + 1}`)}`, columnsFor(columnWidth - 24, 3), 1);
+            bitmap.text(MARGIN + 20, y, category[0] || '', { scale: 3, color: COLORS.text });
+            const thought = wrapText(printableOr(branch.nodes[0].text, '...'), columnsFor(columnWidth - 24, 2), 1);
+            bitmap.text(MARGIN + 20, y + 28, thought[0] || '', { scale: 2, color: COLORS.muted });
+            y += 64;
+        });
+
+        const report = SpiralScore.score(spiral);
+        drawScorePanel(bitmap, panelX, 100, panelWidth, 400, report);
+
+        const more = spiral.branches.length - top.length;
+        const footer = [
+            count(report.stats.thoughts, 'thought'),
+            count(report.stats.loops, 'loop-back'),
+            `${report.minutesWasted} min wasted`,
+            ...(more > 0 ? [`+${count(more, 'more branch', 'more branches')}`] : [])
+        ].join('  *  ');
+        bitmap.text(MARGIN, HEIGHT - 60, footer, { scale: 2, color: COLORS.muted });
+    } else {
+        const options = SpiralPrompt.normalizeOptions(payload.options);
+        const persona = SpiralPrompt.PERSONAS[options.persona];
+        const intensity = SpiralPrompt.INTENSITIES[options.intensity];
+        const details = [
+            persona && options.persona !== SpiralPrompt.DEFAULT_OPTIONS.persona ? `Narrated by ${persona.name}` : null,
+            intensity ? `Intensity: ${intensity.label}` : null,
+            `Seed #${payload.seed}`
+        ].filter(Boolean);
+        drawLines(bitmap, MARGIN, y + 24, details.map(toPrintable), { scale: 3, color: COLORS.secondary, lineGap: 4 });
+        drawScorePanel(bitmap, panelX, 100, panelWidth, 400, null);
+    }
+
+    return bitmap.toPNG();
+}
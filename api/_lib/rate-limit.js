@@ -0,0 +1,81 @@
+/**
+ * Fixed-window rate limiting for the serverless functions
+ *
+ * The store is pluggable: anything with an
+ * `increment(key, windowMs) => Promise<{ count, resetAt }>` method works,
+ * so a shared store (Redis, Upstash, Vercel KV...) can replace the
+ * in-memory default when limits must hold across function instances.
+ */
+
+export class MemoryRateLimitStore {
+    constructor() {
+        this.windows = new Map();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let window = this.windows.get(key);
+
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            this.windows.set(key, window);
+        }
+
+        window.count++;
+        this.prune(now);
+
+        return { count: window.count, resetAt: window.resetAt };
+    }
+
+    // Drop expired windows so a long-lived instance doesn't grow forever
+    prune(now) {
+        if (this.windows.size < 1000) return;
+        this.windows.forEach((window, key) => {
+            if (window.resetAt <= now) this.windows.delete(key);
+        });
+    }
+}
+
+export function createRateLimiter({ limit, windowMs, store = new MemoryRateLimitStore() }) {
+    return {
+        store,
+
+        /**
+         * Counts a request for `key` and reports whether it is allowed.
+         * Sets the usual X-RateLimit-* headers (and Retry-After when blocked).
+         */
+        async check(key, res) {
+            const { count, resetAt } = await store.increment(key, windowMs);
+            const remaining = Math.max(0, limit - count);
+            const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+            res.setHeader('X-RateLimit-Limit', String(limit));
+            res.setHeader('X-RateLimit-Remaining', String(remaining));
+            res.setHeader('X-RateLimit-Reset', String(Math.ceil(resetAt / 1000)));
+
+            if (count > limit) {
+                res.setHeader('Retry-After', String(retryAfter));
+                return { allowed: false, retryAfter };
+            }
+
+            return { allowed: true, retryAfter: 0 };
+        }
+    };
+}
+
+/**
+ * The caller's IP as the platform saw it. Vercel overwrites its own
+ * headers; in X-Forwarded-For only the last entry - the one our proxy
+ * appended - can be trusted, since clients can send any leading ones.
+ */
+export function getClientIp(req) {
+    const trusted = req.headers['x-vercel-forwarded-for'] || req.headers['x-real-ip'];
+    if (trusted) {
+        return String(trusted).split(',')[0].trim();
+    }
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map(ip => ip.trim()).filter(Boolean);
+    if (forwarded.length > 0) {
+        return forwarded[forwarded.length - 1];
+    }
+    return req.socket?.remoteAddress || 'unknown';
+}
@@ -0,0 +1,43 @@
+/**
+ * Shared spirals on the server
+ *
+ * The preview image and share page take the same payload as a share
+ * link, moved from the fragment to the query string:
+ * `/api/share?spiral=...` opens what `/#spiral=...` opens.
+ */
+
+import SpiralShare from '../../lib/share.js';
+
+// The raw payload parameter, whether or not the platform parsed the query
+export function getPayloadParam(req) {
+    const fromQuery = req.query?.[SpiralShare.FRAGMENT_KEY];
+    if (typeof fromQuery === 'string') return fromQuery;
+
+    const url = new URL(req.url || '/', 'http://localhost');
+    return url.searchParams.get(SpiralShare.FRAGMENT_KEY);
+}
+
+/**
+ * Decodes and validates the request's payload. Resolves with
+ * `{ payload, param }`, or `{ error }` with the same short reasons the
+ * app shows for a broken link.
+ */
+export async function readSharedPayload(req) {
+    const param = getPayloadParam(req);
+    if (!param) {
+        return { error: 'spiral payload is missing' };
+    }
+
+    try {
+        const payload = await SpiralShare.decode(`#${SpiralShare.FRAGMENT_KEY}=${param}`);
+        return { payload, param };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// Where the deployment lives, for the absolute URLs crawlers need
+export function getOrigin(req) {
+    const proto = String(req.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+    return `${proto}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+}
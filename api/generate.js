@@ -1,16 +1,61 @@
 /**
- * Vercel Serverless Function - OpenRouter API Proxy
+ * Vercel Serverless Function - LLM API Proxy (OpenRouter by default)
  * Keeps your API key secure on the server side
  * 
  * Environment Variable Required:
  * OPENROUTER_API_KEY = your OpenRouter API key
+ *
+ * Optional:
+ * LLM_PROVIDER         = openrouter (default), openai-compatible or mock (canned spirals, no key needed)
+ * LLM_BASE_URL         = base URL for openai-compatible, e.g. http://localhost:8080/v1
+ * LLM_API_KEY          = key for the provider (openrouter falls back to OPENROUTER_API_KEY)
+ * ALLOWED_ORIGINS      = comma-separated origins allowed to call the API cross-origin
+ * ALLOWED_MODELS       = comma-separated model allowlist (first one is the default,
+ *                        defaults to the provider's own model)
+ * MAX_TOKENS           = cap on max_tokens per request (default 4096)
+ * UPSTREAM_TIMEOUT_MS  = give up when the provider is silent this long (default 30000)
+ * RATE_LIMIT_MAX       = requests per IP per window (default 10)
+ * RATE_LIMIT_WINDOW_MS = rate limit window in milliseconds (default 60000)
+ *
+ * The proxy only ever sends the spiral prompt: clients post
+ * `{ decision, options?, repair?, deeper?, compare?, reality?, model?, temperature?, max_tokens?, stream? }` and
+ * the messages are built here. Send `stream: true` to get the completion
+ * relayed as server-sent events instead of a single JSON response.
  */
 
+import SpiralPrompt from '../lib/prompt.js';
+import LLMProviders from '../lib/providers.js';
+import { applyCors } from './_lib/cors.js';
+import { createRateLimiter, getClientIp } from './_lib/rate-limit.js';
+
+const PROVIDER_TYPE = process.env.LLM_PROVIDER || 'openrouter';
+
+// The OpenRouter key only ever goes to OpenRouter, never to a configured LLM_BASE_URL
+const provider = LLMProviders.createProvider({
+    type: PROVIDER_TYPE,
+    apiKey: process.env.LLM_API_KEY || (PROVIDER_TYPE === 'openrouter' ? process.env.OPENROUTER_API_KEY : undefined),
+    baseUrl: process.env.LLM_BASE_URL,
+});
+
+const ALLOWED_MODELS = (process.env.ALLOWED_MODELS || provider.model)
+    .split(',')
+    .map(model => model.trim())
+    .filter(Boolean);
+const MAX_TOKENS = parseInt(process.env.MAX_TOKENS, 10) || 4096;
+const TEMPERATURE_RANGE = { MIN: 0, MAX: 1.5 };
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 30000;
+
+// Swap the store for a shared one (see _lib/rate-limit.js) to limit across instances
+export const rateLimiter = createRateLimiter({
+    limit: parseInt(process.env.RATE_LIMIT_MAX, 10) || 10,
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60000,
+});
+
 export default async function handler(req, res) {
-    // Enable CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    // Enable CORS for allowed origins only
+    if (!applyCors(req, res)) {
+        return sendError(res, 403, 'Origin not allowed');
+    }
 
     // Handle preflight
     if (req.method === 'OPTIONS') {
@@ -19,30 +64,144 @@ export default async function handler(req, res) {
 
     // Only allow POST
     if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
+        return sendError(res, 405, 'Method not allowed');
     }
 
+    const { allowed, retryAfter } = await rateLimiter.check(getClientIp(req), res);
+    if (!allowed) {
+        return sendError(res, 429, `Rate limit exceeded - try again in ${retryAfter} seconds`);
+    }
+
+    const { body, error: validationError } = buildUpstreamBody(req.body);
+    if (validationError) {
+        return sendError(res, 400, validationError);
+    }
+
+    // Stop paying for tokens nobody will read
+    const upstreamAbort = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) upstreamAbort.abort();
+    });
+
+    // Give up on a provider that goes quiet - every streamed chunk buys it more time
+    let timedOut = false;
+    let upstreamTimer = null;
+    const extendDeadline = () => {
+        clearTimeout(upstreamTimer);
+        upstreamTimer = setTimeout(() => {
+            timedOut = true;
+            upstreamAbort.abort();
+        }, UPSTREAM_TIMEOUT_MS);
+    };
+    extendDeadline();
+
     try {
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-                'HTTP-Referer': 'https://overthinking-simulator.vercel.app',
-                'X-Title': 'Overthinking Simulator',
-            },
-            body: JSON.stringify(req.body),
-        });
-
-        const data = await response.json();
+        const response = await provider.send(body, { signal: upstreamAbort.signal });
 
         if (!response.ok) {
+            const data = await response.json();
             return res.status(response.status).json(data);
         }
 
-        return res.status(200).json(data);
+        if (!body.stream) {
+            const data = await response.json();
+            return res.status(200).json(data);
+        }
+
+        return await relayStream(response, res, extendDeadline);
     } catch (error) {
+        if (timedOut) {
+            console.error(`Upstream timed out after ${UPSTREAM_TIMEOUT_MS}ms`);
+            if (res.headersSent) {
+                res.write(`data: ${JSON.stringify({ error: { message: 'Upstream timed out' } })}\n\n`);
+                return res.end();
+            }
+            return sendError(res, 504, 'Upstream timed out');
+        }
+        if (upstreamAbort.signal.aborted) {
+            return res.end();
+        }
+
         console.error('Proxy error:', error);
-        return res.status(500).json({ error: 'Internal server error' });
+
+        // Headers are already out once a stream has started - report in-band
+        if (res.headersSent) {
+            res.write(`data: ${JSON.stringify({ error: { message: 'Stream interrupted' } })}\n\n`);
+            return res.end();
+        }
+        return sendError(res, 500, 'Internal server error');
+    } finally {
+        clearTimeout(upstreamTimer);
+    }
+}
+
+/**
+ * Turns the client's request into the provider's chat completion body. The prompt is always
+ * built from lib/prompt.js - raw message payloads are refused.
+ */
+function buildUpstreamBody(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Request body must be a JSON object' };
+    }
+
+    if ('messages' in input || 'prompt' in input) {
+        return { error: 'Custom messages are not accepted' };
+    }
+
+    const promptError = SpiralPrompt.validateRequest(input);
+    if (promptError) {
+        return { error: promptError };
+    }
+
+    const model = input.model ?? ALLOWED_MODELS[0];
+    if (!ALLOWED_MODELS.includes(model)) {
+        return { error: `Model not allowed. Use one of: ${ALLOWED_MODELS.join(', ')}` };
+    }
+
+    const maxTokens = input.max_tokens ?? MAX_TOKENS;
+    if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+        return { error: 'max_tokens must be a positive integer' };
     }
+
+    const temperature = input.temperature ?? 0.9;
+    if (typeof temperature !== 'number' || Number.isNaN(temperature)) {
+        return { error: 'temperature must be a number' };
+    }
+
+    return {
+        body: {
+            model: model,
+            messages: SpiralPrompt.buildMessages({
+                decision: input.decision.trim(),
+                options: input.options,
+                repair: input.repair,
+                deeper: input.deeper,
+                compare: input.compare,
+                reality: input.reality,
+            }),
+            temperature: Math.min(TEMPERATURE_RANGE.MAX, Math.max(TEMPERATURE_RANGE.MIN, temperature)),
+            max_tokens: Math.min(maxTokens, MAX_TOKENS),
+            stream: input.stream === true,
+        },
+    };
+}
+
+function sendError(res, status, message) {
+    return res.status(status).json({ error: { message, code: status } });
+}
+
+async function relayStream(response, res, onChunk) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders?.();
+
+    for await (const chunk of response.body) {
+        onChunk();
+        res.write(chunk);
+    }
+
+    return res.end();
 }
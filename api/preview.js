@@ -0,0 +1,39 @@
+/**
+ * Vercel Serverless Function - Social preview image
+ * Renders a 1200x630 PNG card for a shared spiral, for Open Graph and
+ * Twitter cards (see api/share.js).
+ *
+ * GET /api/preview?spiral=<payload> - the payload is exactly what follows
+ * `#spiral=` in a share link. The image is a pure function of the payload,
+ * so it is cached for as long as the CDN will keep it.
+ */
+
+import { renderPreviewImage } from './_lib/preview-image.js';
+import { readSharedPayload } from './_lib/shared-spiral.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        return sendError(res, 405, 'Method not allowed');
+    }
+
+    const { payload, error } = await readSharedPayload(req);
+    if (error) {
+        return sendError(res, 400, `Can't preview this spiral: ${error}`);
+    }
+
+    try {
+        const image = renderPreviewImage(payload);
+        res.setHeader('Content-Type', 'image/png');
+        res.setHeader('Content-Length', String(image.length));
+        res.setHeader('Cache-Control', 'public, max-age=86400, s-maxage=31536000, immutable');
+        return res.status(200).end(req.method === 'HEAD' ? undefined : image);
+    } catch (renderError) {
+        console.error('Preview error:', renderError);
+        return sendError(res, 500, 'Internal server error');
+    }
+}
+
+function sendError(res, status, message) {
+    return res.status(status).json({ error: { message, code: status } });
+}
@@ -0,0 +1,102 @@
+/**
+ * Vercel Serverless Function - Share page
+ * A tiny HTML page for share links that chat apps can unfurl: its Open
+ * Graph and Twitter meta tags point at api/preview.js, and people who
+ * open it are sent straight on to the spiral in the app.
+ *
+ * GET /api/share?spiral=<payload> - the payload is exactly what follows
+ * `#spiral=` in a share link. Broken payloads still get a page - it just
+ * sends people to the app's front door.
+ */
+
+import SpiralScore from '../lib/score.js';
+import { getOrigin, readSharedPayload } from './_lib/shared-spiral.js';
+import { HEIGHT, WIDTH } from './_lib/preview-image.js';
+
+const SITE_NAME = 'Overthinking Simulator';
+const MAX_DESCRIPTION_LENGTH = 200;
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        return res.status(405).json({ error: { message: 'Method not allowed', code: 405 } });
+    }
+
+    const origin = getOrigin(req);
+    const { payload, param, error } = await readSharedPayload(req);
+
+    const page = error
+        ? {
+            title: SITE_NAME,
+            description: 'Turn any simple decision into a glorious spiral of overthinking.',
+            url: `${origin}/`,
+            image: null
+        }
+        : {
+            title: `"${payload.kind === 'spiral' ? payload.spiral.decision : payload.decision}" - ${SITE_NAME}`,
+            description: describe(payload),
+            url: `${origin}/#spiral=${param}`,
+            image: `${origin}/api/preview?spiral=${param}`
+        };
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', error ? 'no-store' : 'public, max-age=3600, s-maxage=31536000');
+    return res.status(error ? 404 : 200).send(renderPage(page));
+}
+
+function describe(payload) {
+    if (payload.kind !== 'spiral') {
+        return 'Open it to watch this decision spiral out of control.';
+    }
+
+    const report = SpiralScore.score(payload.spiral);
+    const text = `${payload.spiral.root_thought} Anxiety score: ${report.score}/100 - ${report.level.label}.`;
+    return text.length > MAX_DESCRIPTION_LENGTH ? `${text.slice(0, MAX_DESCRIPTION_LENGTH - 3).trimEnd()}...` : text;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderPage({ title, description, url, image }) {
+    const meta = [
+        ['property', 'og:type', 'website'],
+        ['property', 'og:site_name', SITE_NAME],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', url],
+        ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ...(image ? [
+            ['property', 'og:image', image],
+            ['property', 'og:image:type', 'image/png'],
+            ['property', 'og:image:width', String(WIDTH)],
+            ['property', 'og:image:height', String(HEIGHT)],
+            ['property', 'og:image:alt', title],
+            ['name', 'twitter:image', image]
+        ] : [])
+    ].map(([attribute, key, value]) => `    <meta ${attribute}="${key}" content="${escapeHtml(value)}">`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="description" content="${escapeHtml(description)}">
+${meta.join('\n')}
+    <meta http-equiv="refresh" content="0; url=${escapeHtml(url)}">
+</head>
+<body>
+    <p>Spiralling... <a href="${escapeHtml(url)}">open the spiral</a> if nothing happens.</p>
+    <script>window.location.replace(${JSON.stringify(url).replace(/</g, '\\u003c')});</script>
+</body>
+</html>
+`;
+}
@@ -12,29 +12,69 @@ const isLocalDev = window.location.protocol === 'file:' || window.location.hostn
 
 const CONFIG = {
     // When deployed on Vercel, use the /api/generate endpoint (keeps API key secure)
-    // When local, use OpenRouter directly with the key
-    API_URL: isLocalDev
-        ? 'https://openrouter.ai/api/v1/chat/completions'
-        : '/api/generate', // Vercel serverless function
-    MODEL: 'google/gemini-2.0-flash-001',  // Free model on OpenRouter
+    // When local, call the configured LLM provider directly
+    API_URL: '/api/generate', // Vercel serverless function
+    // Local dev provider - set e.g. localStorage.llm_provider = 'mock' to work offline
+    // (see lib/providers.js for the options)
+    PROVIDER: {
+        type: localStorage.getItem('llm_provider') || 'openrouter',
+        baseUrl: localStorage.getItem('llm_base_url') || '', // For 'openai-compatible', e.g. http://localhost:8080/v1
+        model: localStorage.getItem('llm_model') || '' // Empty = provider default (Gemini 2.0 Flash on OpenRouter)
+    },
     DEFAULT_API_KEY: '', // Key removed for security. Use environment variables or Vercel for deployment.
     USE_PROXY: !isLocalDev, // Flag to skip auth header when using proxy
-    MAX_HISTORY: 5 // Maximum spirals to save
+    STREAM_RESPONSES: true, // Render branches as they arrive (falls back to a single response if unsupported)
+    SHARE_PAGE_URL: isLocalDev ? null : '/api/share', // Share links go through this page so chat apps show a preview
+    REQUEST_TIMEOUT_MS: 30000, // Give up on the AI after this long without a word (every streamed chunk resets it)
+    MAX_RETRIES: 2, // Retries for rate limits and server errors, each after a longer backoff
+    RETRY_BASE_DELAY_MS: 1000,
+    MAX_RETRY_AFTER_MS: 10000, // Longest Retry-After worth waiting out
+    TEMPLATE_PACKS_URL: 'packs/index.json', // Manifest of the template packs shipped with the app
+    HISTORY_PAGE_SIZE: 10 // Spirals per page in the history modal
 };
 
 // ============================================
 // SOUND MANAGER
 // ============================================
 
+// Category cues: a short motif per category, as semitones above A4 on one waveform
+const CATEGORY_CUES = {
+    rational: { wave: 'sine', notes: [0, 7] },
+    optimization: { wave: 'square', notes: [0, 2, 4, 5] },
+    social: { wave: 'triangle', notes: [4, 0] },
+    catastrophic: { wave: 'sawtooth', notes: [0, -5, -11] },
+    contradictory: { wave: 'square', notes: [0, 6, 0] },
+    regret: { wave: 'triangle', notes: [3, 0, -4] },
+    avoidance: { wave: 'sine', notes: [-7, -12] },
+    perfectionism: { wave: 'sine', notes: [0, 4, 7, 12] },
+    identity: { wave: 'triangle', notes: [0, 5, 1] },
+    financial: { wave: 'square', notes: [7, 7, 0] },
+    timeParadox: { wave: 'sine', notes: [12, 0, 12] },
+    existential: { wave: 'sawtooth', notes: [-12, -5] }
+};
+
+// Pack categories get a motif picked from their key, so each one still sounds like itself
+const CUE_WAVES = ['sine', 'triangle', 'square'];
+const CUE_SCALE = [0, 2, 3, 5, 7, 8, 10, 12];
+
 class SoundManager {
     constructor() {
         this.enabled = localStorage.getItem('sound_enabled') !== 'false';
+        const volume = parseFloat(localStorage.getItem('sound_volume'));
+        this.volume = Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : 0.7;
         this.audioContext = null;
+        this.masterGain = null;
+        this.noiseBuffer = null;
+        this.drone = null;
+        // Timeouts and sources still to play, so a new spiral can silence the old one
+        this.timers = new Set();
+        this.sources = new Set();
     }
 
     toggle() {
         this.enabled = !this.enabled;
         localStorage.setItem('sound_enabled', this.enabled);
+        if (!this.enabled) this.cancelScheduled();
         return this.enabled;
     }
 
@@ -42,294 +82,1906 @@ class SoundManager {
         return this.enabled;
     }
 
+    getVolume() {
+        return this.volume;
+    }
+
+    // Master volume, 0-1
+    setVolume(volume) {
+        this.volume = Math.min(1, Math.max(0, Number(volume) || 0));
+        localStorage.setItem('sound_volume', this.volume);
+        if (this.masterGain) {
+            this.masterGain.gain.setTargetAtTime(this.volume, this.audioContext.currentTime, 0.05);
+        }
+        return this.volume;
+    }
+
     initAudioContext() {
         if (!this.audioContext) {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.masterGain = this.audioContext.createGain();
+            this.masterGain.gain.value = this.volume;
+            this.masterGain.connect(this.audioContext.destination);
+        }
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
         }
         return this.audioContext;
     }
 
-    playPop(delay = 0) {
+    // Runs `play(ctx)` after `delay` ms, unless the sound is off or cancelled by then
+    schedule(play, delay = 0) {
         if (!this.enabled) return;
 
-        setTimeout(() => {
+        const run = () => {
             try {
-                const ctx = this.initAudioContext();
-                const oscillator = ctx.createOscillator();
-                const gainNode = ctx.createGain();
-
-                oscillator.connect(gainNode);
-                gainNode.connect(ctx.destination);
-
-                oscillator.frequency.setValueAtTime(800 + Math.random() * 400, ctx.currentTime);
-                oscillator.frequency.exponentialRampToValueAtTime(300, ctx.currentTime + 0.1);
-
-                gainNode.gain.setValueAtTime(0.1, ctx.currentTime);
-                gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.1);
-
-                oscillator.start(ctx.currentTime);
-                oscillator.stop(ctx.currentTime + 0.1);
+                play(this.initAudioContext());
             } catch (e) {
                 // Audio not supported
             }
+        };
+        if (delay <= 0) {
+            run();
+            return;
+        }
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            run();
         }, delay);
+        this.timers.add(timer);
     }
 
-    playSuccess() {
-        if (!this.enabled) return;
+    // Silences everything still queued or ringing, drone included
+    cancelScheduled() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.sources.forEach(source => {
+            try {
+                source.stop();
+            } catch (e) {
+                // Already stopped
+            }
+        });
+        this.sources.clear();
+        this.stopDrone(0.2);
+    }
 
-        try {
-            const ctx = this.initAudioContext();
-            const notes = [523.25, 659.25, 783.99]; // C5, E5, G5
+    // Starts a source and forgets it once it has finished
+    track(source, start, stop) {
+        this.sources.add(source);
+        source.onended = () => this.sources.delete(source);
+        source.start(start);
+        source.stop(stop);
+    }
 
-            notes.forEach((freq, i) => {
-                setTimeout(() => {
-                    const oscillator = ctx.createOscillator();
-                    const gainNode = ctx.createGain();
+    // A blip with an exponential decay, routed through the master volume
+    tone(ctx, { frequency, endFrequency = frequency, wave = 'sine', gain = 0.1, start = ctx.currentTime, duration = 0.1 }) {
+        const oscillator = ctx.createOscillator();
+        const gainNode = ctx.createGain();
 
-                    oscillator.connect(gainNode);
-                    gainNode.connect(ctx.destination);
+        oscillator.connect(gainNode);
+        gainNode.connect(this.masterGain);
+
+        oscillator.type = wave;
+        oscillator.frequency.setValueAtTime(frequency, start);
+        if (endFrequency !== frequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+        }
+        gainNode.gain.setValueAtTime(gain, start);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+        this.track(oscillator, start, start + duration);
+    }
 
-                    oscillator.frequency.setValueAtTime(freq, ctx.currentTime);
-                    gainNode.gain.setValueAtTime(0.08, ctx.currentTime);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.2);
+    playPop(delay = 0) {
+        this.schedule(ctx => {
+            this.tone(ctx, { frequency: 800 + Math.random() * 400, endFrequency: 300, gain: 0.1, duration: 0.1 });
+        }, delay);
+    }
 
-                    oscillator.start(ctx.currentTime);
-                    oscillator.stop(ctx.currentTime + 0.2);
-                }, i * 100);
+    playSuccess(delay = 0) {
+        this.schedule(ctx => {
+            const notes = [523.25, 659.25, 783.99]; // C5, E5, G5
+            notes.forEach((frequency, i) => {
+                this.tone(ctx, { frequency, gain: 0.08, start: ctx.currentTime + i * 0.1, duration: 0.2 });
             });
-        } catch (e) {
-            // Audio not supported
+        }, delay);
+    }
+
+    // White noise for the typewriter, made once per context
+    getNoiseBuffer(ctx) {
+        if (!this.noiseBuffer) {
+            this.noiseBuffer = ctx.createBuffer(1, Math.floor(ctx.sampleRate * 0.05), ctx.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < data.length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+        return this.noiseBuffer;
+    }
+
+    /**
+     * One typewriter keystroke for `char`: a filtered click, duller for the
+     * space bar, with a bell when a line ends on a full stop.
+     */
+    playKeystroke(char = 'a', delay = 0) {
+        if (!char.trim() && char !== ' ') return;
+
+        this.schedule(ctx => {
+            const start = ctx.currentTime;
+            const source = ctx.createBufferSource();
+            const filter = ctx.createBiquadFilter();
+            const gainNode = ctx.createGain();
+
+            source.buffer = this.getNoiseBuffer(ctx);
+            filter.type = 'bandpass';
+            filter.frequency.value = char === ' ' ? 900 : 2500 + Math.random() * 1500;
+            filter.Q.value = 1.5;
+            gainNode.gain.setValueAtTime(char === ' ' ? 0.12 : 0.18, start);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, start + 0.03);
+
+            source.connect(filter);
+            filter.connect(gainNode);
+            gainNode.connect(this.masterGain);
+            this.track(source, start, start + 0.04);
+
+            if (/[.!?]/.test(char)) {
+                this.tone(ctx, { frequency: 2093, gain: 0.03, start: start + 0.05, duration: 0.25 });
+            }
+        }, delay);
+    }
+
+    /**
+     * Keystrokes for text revealed over `duration` ms starting after
+     * `delay` ms - one per character, thinned out for long text so a
+     * burst never turns into a buzz.
+     */
+    playTyping(text, { delay = 0, duration = 300, maxKeystrokes = 12 } = {}) {
+        const chars = [...String(text)];
+        if (chars.length === 0) return;
+
+        const step = Math.max(1, Math.ceil(chars.length / maxKeystrokes));
+        for (let i = 0; i < chars.length; i += step) {
+            this.playKeystroke(chars[i], delay + duration * i / chars.length);
+        }
+    }
+
+    // The category's motif, played when its branch shows up
+    playCategoryCue(categoryKey, delay = 0) {
+        let cue = CATEGORY_CUES[categoryKey];
+        if (!cue) {
+            const hash = SpiralRandom.hashString(String(categoryKey));
+            cue = {
+                wave: CUE_WAVES[hash % CUE_WAVES.length],
+                notes: [0, CUE_SCALE[(hash >>> 3) % CUE_SCALE.length], CUE_SCALE[(hash >>> 6) % CUE_SCALE.length]]
+            };
         }
+
+        this.schedule(ctx => {
+            cue.notes.forEach((semitones, i) => {
+                this.tone(ctx, {
+                    frequency: 440 * Math.pow(2, semitones / 12),
+                    wave: cue.wave,
+                    // Harsh waveforms are loud - keep them in line with the sine cues
+                    gain: cue.wave === 'sine' ? 0.06 : 0.025,
+                    start: ctx.currentTime + i * 0.08,
+                    duration: 0.12
+                });
+            });
+        }, delay);
+    }
+
+    /**
+     * How tense the drone should be, 0-1: deeper thoughts and more
+     * loop-backs wind it up.
+     */
+    tensionFor(depth, loops = 0) {
+        const depthTension = (depth - 1) / Math.max(1, SPIRAL_DEPTH.MAX - 1);
+        return Math.min(1, Math.max(0, depthTension * 0.75 + loops * 0.1));
+    }
+
+    // A low, slowly beating drone under the spiral; starts calm
+    startDrone() {
+        if (this.drone) return;
+
+        this.schedule(ctx => {
+            const now = ctx.currentTime;
+            const filter = ctx.createBiquadFilter();
+            const gainNode = ctx.createGain();
+            const oscillators = [0, 1].map(() => ctx.createOscillator());
+
+            filter.type = 'lowpass';
+            filter.frequency.value = 300;
+            gainNode.gain.setValueAtTime(0.001, now);
+            gainNode.gain.exponentialRampToValueAtTime(0.03, now + 1.5);
+            filter.connect(gainNode);
+            gainNode.connect(this.masterGain);
+
+            oscillators.forEach((oscillator, i) => {
+                oscillator.type = i === 0 ? 'sawtooth' : 'triangle';
+                oscillator.frequency.value = 55;
+                oscillator.connect(filter);
+                oscillator.start(now);
+            });
+            this.drone = { oscillators, filter, gainNode };
+            this.setTension(0);
+        });
+    }
+
+    // Raises (or relaxes) the drone: higher, brighter, louder and beating faster as tension grows
+    setTension(tension, delay = 0) {
+        this.schedule(ctx => {
+            if (!this.drone) return;
+            const now = ctx.currentTime;
+            const [low, high] = this.drone.oscillators;
+            low.frequency.setTargetAtTime(55 * Math.pow(2, tension * 7 / 12), now, 0.6);
+            high.frequency.setTargetAtTime(55 * Math.pow(2, tension * 7 / 12) * (1.005 + tension * 0.03), now, 0.6);
+            this.drone.filter.frequency.setTargetAtTime(300 + tension * 1500, now, 0.6);
+            this.drone.gainNode.gain.setTargetAtTime(0.03 + tension * 0.04, now, 0.6);
+        }, delay);
+    }
+
+    stopDrone(fadeSeconds = 2) {
+        if (!this.drone || !this.audioContext) return;
+
+        const { oscillators, gainNode } = this.drone;
+        const now = this.audioContext.currentTime;
+        gainNode.gain.cancelScheduledValues(now);
+        gainNode.gain.setTargetAtTime(0.0001, now, fadeSeconds / 4);
+        oscillators.forEach(oscillator => oscillator.stop(now + fadeSeconds));
+        this.drone = null;
     }
 }
 
 // ============================================
-// HISTORY MANAGER
+// NARRATION
 // ============================================
 
-class HistoryManager {
-    constructor() {
-        this.storageKey = 'overthinking_history';
+// How each tone sounds read aloud; `pause` is the silence after a thought, in ms
+const NARRATION_VOICES = {
+    rational: { rate: 1, pitch: 1, pause: 500 },
+    emotional: { rate: 0.9, pitch: 1.15, pause: 700 },
+    absurd: { rate: 1.15, pitch: 1.35, pause: 350 },
+    hypothetical: { rate: 0.95, pitch: 0.85, pause: 600 }
+};
+
+// The voice for the framing and for the reality check, which should sound like neither
+const NARRATION_NARRATOR = { rate: 0.95, pitch: 1, pause: 900 };
+const NARRATION_CALM = { rate: 0.85, pitch: 0.9, pause: 900 };
+
+/**
+ * Reads a spiral aloud with the browser's speech synthesis: the root
+ * thought, then every branch thought by thought. Each line is a queue item
+ * `{ text, voice, target }`; `onSpeak` gets the item being spoken (or null
+ * when it stops) so the UI can highlight its `target`.
+ */
+class SpiralNarrator {
+    constructor({ onSpeak = () => {} } = {}) {
+        this.enabled = localStorage.getItem('narration_enabled') === 'true';
+        this.onSpeak = onSpeak;
+        this.queue = [];
+        this.index = 0;
+        this.state = 'idle'; // 'speaking' or 'paused'
+        this.timer = null;
+        // Bumped on every stop, so a cancelled utterance's late events are ignored
+        this.token = 0;
     }
 
-    getHistory() {
-        try {
-            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
-        } catch {
-            return [];
-        }
+    static isSupported() {
+        return 'speechSynthesis' in window && typeof SpeechSynthesisUtterance === 'function';
     }
 
-    addToHistory(result) {
-        const history = this.getHistory();
-        const entry = {
-            id: Date.now(),
-            timestamp: new Date().toISOString(),
-            decision: result.decision,
-            result: result
+    toggle() {
+        this.enabled = !this.enabled;
+        localStorage.setItem('narration_enabled', this.enabled);
+        if (!this.enabled) this.stop();
+        return this.enabled;
+    }
+
+    isEnabled() {
+        return this.enabled && SpiralNarrator.isSupported();
+    }
+
+    /**
+     * The voice for a thought: its tone sets the starting point, and every
+     * level deeper speaks a little faster and higher with shorter pauses -
+     * the spiral picks up speed.
+     */
+    static voiceFor(tone, depth = 1) {
+        const base = NARRATION_VOICES[tone] || NARRATION_VOICES.rational;
+        const level = Math.max(0, depth - 1);
+        return {
+            rate: Math.min(2, base.rate + level * 0.06),
+            pitch: Math.min(2, base.pitch + level * 0.04),
+            pause: Math.max(150, Math.round(base.pause * (1 - level * 0.15)))
         };
+    }
+
+    // The queue for a spiral, in reading order
+    static script(result) {
+        const items = [{ text: result.root_thought, voice: NARRATION_NARRATOR, target: { kind: 'root' } }];
+
+        result.branches.forEach((branch, branchIndex) => {
+            const option = result.compare && branch.option !== undefined ? `${SpiralPrompt.COMPARE_LABELS[branch.option]}. ` : '';
+            items.push({ text: `${option}${branch.category}.`, voice: NARRATION_NARRATOR, target: { kind: 'branch', branchIndex } });
 
-        history.unshift(entry);
+            SpiralThoughts.flatten(branch.nodes).forEach(({ node, path }) => {
+                items.push({ text: node.text, voice: SpiralNarrator.voiceFor(branch.tone, node.depth), target: { kind: 'thought', branchIndex, path } });
+            });
+            if (branch.counter_thought) {
+                items.push({ text: branch.counter_thought, voice: NARRATION_CALM, target: { kind: 'counter', branchIndex } });
+            }
+        });
 
-        // Keep only last N entries
-        while (history.length > CONFIG.MAX_HISTORY) {
-            history.pop();
+        if (result.reality_check?.summary) {
+            items.push({ text: result.reality_check.summary, voice: NARRATION_CALM, target: { kind: 'summary' } });
         }
+        return items;
+    }
 
-        localStorage.setItem(this.storageKey, JSON.stringify(history));
-        return entry;
+    play(result) {
+        this.stop();
+        this.queue = SpiralNarrator.script(result);
+        this.index = 0;
+        this.speakCurrent();
     }
 
-    getEntry(id) {
-        const history = this.getHistory();
-        return history.find(h => h.id === id);
+    // Browsers disagree on pausing mid-utterance, so pausing cancels and resuming restarts the line
+    pause() {
+        if (this.state !== 'speaking') return;
+        this.cancelSpeech();
+        this.state = 'paused';
     }
 
-    clearHistory() {
-        localStorage.removeItem(this.storageKey);
+    resume() {
+        if (this.state !== 'paused') return;
+        this.speakCurrent();
+    }
+
+    skip() {
+        if (this.state === 'idle') return;
+        this.cancelSpeech();
+        this.index++;
+        this.speakCurrent();
+    }
+
+    stop() {
+        this.cancelSpeech();
+        this.queue = [];
+        this.index = 0;
+        if (this.state !== 'idle') {
+            this.state = 'idle';
+            this.onSpeak(null);
+        }
+    }
+
+    cancelSpeech() {
+        this.token++;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (SpiralNarrator.isSupported()) {
+            window.speechSynthesis.cancel();
+        }
+    }
+
+    speakCurrent() {
+        const item = this.queue[this.index];
+        if (!item) {
+            this.stop();
+            return;
+        }
+
+        const token = this.token;
+        const utterance = new SpeechSynthesisUtterance(item.text);
+        utterance.rate = item.voice.rate;
+        utterance.pitch = item.voice.pitch;
+        // A voice that can't say a line shouldn't stall the rest
+        utterance.onend = utterance.onerror = () => {
+            if (token !== this.token) return;
+            this.timer = setTimeout(() => {
+                this.index++;
+                this.speakCurrent();
+            }, item.voice.pause);
+        };
+
+        this.state = 'speaking';
+        this.onSpeak(item);
+        window.speechSynthesis.speak(utterance);
     }
 }
 
 // ============================================
-// AI PROMPT TEMPLATE
+// PLAYBACK
 // ============================================
 
-const SYSTEM_PROMPT = `You are an AI that simulates human overthinking in a humorous, relatable, and exaggerated way. Your job is to take a simple decision and generate branching thought chains, risk spirals, contradictory logic paths, and absurd over-analysis scenarios.
-
-The goal is to visualize how a small decision can turn into an overwhelming chain of thoughts — in a playful, introspective, and slightly chaotic manner.
-
-Do not give advice. Do not resolve the decision. Do not be judgemental.
-Your role is to simulate the thought spiral ONLY.
-
-REQUIRED OUTPUT STRUCTURE (JSON):
-{
-  "decision": "<user_input>",
-  "root_thought": "<neutral restatement or witty opening about the decision>",
-  "branches": [
-    {
-      "category": "<category_name>",
-      "tone": "<rational/emotional/absurd/hypothetical>",
-      "nodes": [
-        { "text": "<thought>", "depth": 1 },
-        { "text": "<subthought>", "depth": 2 },
-        { "text": "<deeper spiral or escalation>", "depth": 3 }
-      ],
-      "loop_back": true/false
-    }
-  ],
-  "meta": {
-    "humor_level": "subtle/moderate/high",
-    "absurdity_level": "controlled/elevated/chaotic",
-    "safety_checked": true
-  }
-}
+// Playback speeds: ms per typed character, ms of "thinking" per level of depth, ms before a card or note
+const PLAYBACK_SPEEDS = {
+    slow: { label: '🐢 Slow', char: 45, pause: 600, reveal: 300 },
+    normal: { label: '🚶 Normal', char: 22, pause: 350, reveal: 200 },
+    fast: { label: '🏃 Fast', char: 8, pause: 120, reveal: 80 },
+    instant: { label: '⚡ Instant', char: 0, pause: 0, reveal: 0 }
+};
+const DEFAULT_PLAYBACK_SPEED = 'normal';
+
+/**
+ * Reveals a rendered spiral step by step. Each step is
+ * `{ kind, element, textNode?, text?, depth? }`: every element starts
+ * hidden and is shown in turn, and steps with a `textNode` think for a
+ * moment (longer the deeper they are) before `text` is typed into it. `play` resolves
+ * true once everything is shown - played through or skipped - and false
+ * when stopped for something else.
+ */
+class SpiralPlayback {
+    constructor({ onStep = () => {}, onKeystroke = () => {}, onStateChange = () => {} } = {}) {
+        this.onStep = onStep;
+        this.onKeystroke = onKeystroke;
+        this.onStateChange = onStateChange;
+        this.run = null;
+        this.paused = false;
+        // Which run last claimed each element, so a cancelled run can't undo a newer one
+        this.owners = new WeakMap();
+    }
+
+    static prefersReducedMotion() {
+        return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches === true;
+    }
+
+    isPlaying() {
+        return this.run !== null;
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    // `typing: false` shows each thought whole after its pause, for reduced motion
+    async play(steps, { speed = DEFAULT_PLAYBACK_SPEED, typing = true } = {}) {
+        this.stop();
+        const run = {
+            steps: steps,
+            preset: PLAYBACK_SPEEDS[speed] || PLAYBACK_SPEEDS[DEFAULT_PLAYBACK_SPEED],
+            cancelled: false,
+            skipped: false
+        };
+        this.run = run;
+        this.paused = false;
+
+        run.steps.forEach(step => {
+            this.owners.set(step.element, run);
+            step.element.classList.remove('is-thinking');
+            step.element.classList.add('is-pending');
+            // The entrance animation would otherwise wait out its delay all over again
+            step.element.style.animationDelay = '0s';
+        });
+        this.onStateChange();
+
+        for (const step of run.steps) {
+            if (!step.textNode) {
+                if (!await this.wait(run, run.preset.reveal)) break;
+                this.show(step);
+                continue;
+            }
+
+            step.textNode.data = '';
+            step.element.classList.add('is-thinking');
+            this.show(step);
+            if (!await this.wait(run, run.preset.pause * Math.max(1, step.depth || 1))) break;
+            step.element.classList.remove('is-thinking');
+
+            if (!typing || run.preset.char === 0) {
+                step.textNode.data = step.text;
+                continue;
+            }
+            const chars = [...step.text];
+            for (let i = 0; i < chars.length; i++) {
+                step.textNode.data += chars[i];
+                this.onKeystroke(chars[i]);
+                if (!await this.wait(run, run.preset.char)) break;
+            }
+            if (run.cancelled) break;
+        }
+
+        this.finish(run);
+        return !run.cancelled || run.skipped;
+    }
+
+    // Changes the speed of the playback under way
+    setSpeed(speed) {
+        if (this.run && PLAYBACK_SPEEDS[speed]) {
+            this.run.preset = PLAYBACK_SPEEDS[speed];
+        }
+    }
+
+    pause() {
+        if (!this.run || this.paused) return;
+        this.paused = true;
+        this.onStateChange();
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.run?.wake?.();
+        this.onStateChange();
+    }
+
+    // Shows everything at once
+    skip() {
+        if (!this.run) return;
+        this.run.skipped = true;
+        this.cancel(this.run);
+    }
+
+    stop() {
+        if (this.run) this.cancel(this.run);
+    }
+
+    cancel(run) {
+        run.cancelled = true;
+        clearTimeout(run.timer);
+        run.wake?.();
+    }
+
+    show(step) {
+        step.element.classList.remove('is-pending');
+        this.onStep(step);
+    }
+
+    // Leaves every step fully shown, however the run ended - unless a newer run has taken it over
+    finish(run) {
+        run.steps.forEach(step => {
+            if (this.owners.get(step.element) !== run) return;
+            step.element.classList.remove('is-pending', 'is-thinking');
+            if (step.textNode) step.textNode.data = step.text;
+        });
+        if (this.run === run) {
+            this.run = null;
+            this.paused = false;
+            this.onStateChange();
+        }
+    }
 
-THOUGHT CATEGORIES TO INCLUDE (generate all 7):
-1. Rational Analysis - pros/cons, practical consequences, time/effort reasoning
-2. Over-Optimization Loop - research everything, compare unnecessary details, micro-decision paralysis
-3. Social/Self-Judgement Spiral - "What will people think?", imagined reactions, self-conscious narratives
-4. Catastrophic What-If Chain - small outcome → exaggerated life consequences, domino-effect reasoning
-5. Contradictory Logic Path - arguments that invalidate previous thoughts, logical reversals, self-conflict
-6. Regret Forecasting - future guilt, missing out, alternate-timeline thinking
-7. Avoidance/Procrastination Escape - delay decisions, distract self, rationalize postponing
-
-RULES:
-- Each category must have 3-5 nodes with increasing depth (1, 2, 3)
-- At least 3 branches must have loop_back: true
-- Make thoughts SPECIFIC to the actual decision, not generic
-- Be creative, witty, and relatable
-- Include callbacks like "This brings me back to the same question…" or "Maybe I should rethink everything from the start…"
-- Depth 1 = normal thought, Depth 2 = anxious reasoning, Depth 3 = comedic over-analysis
-- Keep humor soft, observational, relatable - not cynical
-- Avoid sensitive, harmful, or distressing content
-
-RESPOND WITH ONLY THE JSON, no markdown formatting, no code blocks.`;
+    // Waits in short slices so a pause takes hold straight away; false once the run is cancelled
+    async wait(run, ms) {
+        let left = ms;
+        do {
+            const slice = Math.min(left, 100);
+            await new Promise(resolve => {
+                run.wake = resolve;
+                run.timer = setTimeout(resolve, slice);
+            });
+            left -= slice;
+            while (this.paused && this.run === run && !run.cancelled) {
+                await new Promise(resolve => {
+                    run.wake = resolve;
+                });
+            }
+        } while (left > 0 && !run.cancelled);
+        return !run.cancelled;
+    }
+}
 
 // ============================================
-// AI OVERTHINKING GENERATOR (OpenRouter)
+// HISTORY MANAGER
 // ============================================
 
-class AIOverthinkingGenerator {
-    constructor() {
-        // Use stored key or fall back to default key
-        this.apiKey = localStorage.getItem('openrouter_api_key') || CONFIG.DEFAULT_API_KEY || '';
+/**
+ * Where history lives. IndexedDB has room for every spiral; browsers
+ * without it (or with it blocked, e.g. some private modes) get the same
+ * interface over localStorage.
+ */
+class IndexedDBHistoryStore {
+    constructor(dbName = 'overthinking_simulator', storeName = 'history') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
     }
 
-    setApiKey(key) {
-        this.apiKey = key;
-        localStorage.setItem('openrouter_api_key', key);
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
     }
 
-    getApiKey() {
-        return this.apiKey;
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                store.createIndex('timestamp', 'timestamp');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('History database is blocked by another tab'));
+        });
     }
 
-    hasApiKey() {
-        // When using proxy, we don't need a client-side key
-        if (CONFIG.USE_PROXY) return true;
-        return this.apiKey && this.apiKey.length > 0;
+    // Runs `action(store)` in a transaction and resolves with its request's result
+    async run(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+        });
     }
 
-    isUsingDefaultKey() {
-        return this.apiKey === CONFIG.DEFAULT_API_KEY;
+    getAll() {
+        return this.run('readonly', store => store.getAll());
     }
 
-    async generate(decision) {
-        if (!this.hasApiKey()) {
-            throw new Error('API key not configured');
-        }
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
 
-        const requestBody = {
-            model: CONFIG.MODEL,
-            messages: [
-                {
-                    role: 'system',
-                    content: SYSTEM_PROMPT
-                },
-                {
-                    role: 'user',
-                    content: `User's decision: "${decision}"\n\nGenerate the overthinking simulation JSON:`
-                }
-            ],
-            temperature: 0.9,
-            max_tokens: 4096
-        };
+    put(entry) {
+        return this.run('readwrite', store => store.put(entry));
+    }
+
+    putAll(entries) {
+        return this.run('readwrite', store => {
+            entries.forEach(entry => store.put(entry));
+            return null;
+        });
+    }
+
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+}
+
+class LocalStorageHistoryStore {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+    }
 
+    read() {
         try {
-            // Build headers - skip auth when using proxy (proxy adds it server-side)
-            const headers = {
-                'Content-Type': 'application/json',
-            };
+            const entries = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(entries) ? entries : [];
+        } catch {
+            return [];
+        }
+    }
 
-            if (!CONFIG.USE_PROXY) {
-                headers['Authorization'] = `Bearer ${this.apiKey}`;
-                headers['HTTP-Referer'] = window.location.href;
-                headers['X-Title'] = 'Overthinking Simulator';
+    // When the quota runs out, the oldest spirals that aren't favourites go first
+    write(entries) {
+        const kept = [...entries];
+        while (true) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(kept));
+                return;
+            } catch (error) {
+                const oldest = kept.reduce((found, entry, index) =>
+                    !entry.favorite && (found < 0 || entry.timestamp < kept[found].timestamp) ? index : found, -1);
+                if (oldest < 0) throw error;
+                kept.splice(oldest, 1);
             }
+        }
+    }
 
-            const response = await fetch(CONFIG.API_URL, {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(requestBody)
-            });
+    async getAll() {
+        return this.read();
+    }
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error?.message || 'API request failed');
-            }
+    async get(id) {
+        return this.read().find(entry => entry.id === id);
+    }
 
-            const data = await response.json();
-            const text = data.choices?.[0]?.message?.content;
+    async put(entry) {
+        this.write([entry, ...this.read().filter(existing => existing.id !== entry.id)]);
+    }
 
-            if (!text) {
-                throw new Error('No response from AI');
-            }
+    async putAll(entries) {
+        const ids = new Set(entries.map(entry => entry.id));
+        this.write([...entries, ...this.read().filter(existing => !ids.has(existing.id))]);
+    }
 
-            // Parse the JSON response
-            const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-            const result = JSON.parse(cleanedText);
+    async delete(id) {
+        this.write(this.read().filter(entry => entry.id !== id));
+    }
 
-            // Add category keys for styling
-            const categoryKeys = ['rational', 'optimization', 'social', 'catastrophic', 'contradictory', 'regret', 'avoidance', 'perfectionism', 'identity', 'financial', 'timeParadox', 'existential'];
-            const categoryIcons = ['🧠', '🔄', '👥', '⚠️', '🔀', '😔', '🛋️', '✨', '🪞', '💸', '⏰', '🌌'];
+    async clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+}
 
-            result.branches = result.branches.map((branch, index) => ({
-                ...branch,
-                categoryKey: categoryKeys[index] || 'rational',
-                icon: categoryIcons[index] || '💭'
-            }));
+/**
+ * Every spiral you've generated, newest first, favourites pinned to the
+ * top. Entries are { id, timestamp, decision, persona, seed, favorite,
+ * result }. All methods are async; the first call moves any history the
+ * app used to keep in localStorage into IndexedDB.
+ */
+class HistoryManager {
+    constructor() {
+        this.storageKey = 'overthinking_history';
+        this.lastId = 0;
+        this.ready = this.openStore();
+    }
 
-            return result;
-        } catch (error) {
-            console.error('AI Generation Error:', error);
-            throw error;
+    async openStore() {
+        if (IndexedDBHistoryStore.isSupported()) {
+            const store = new IndexedDBHistoryStore();
+            try {
+                await store.open();
+                await this.migrate(store);
+                return store;
+            } catch (error) {
+                console.warn('IndexedDB unavailable, keeping history in localStorage:', error);
+            }
         }
+        return new LocalStorageHistoryStore(this.storageKey);
     }
-}
 
-// ============================================
-// FALLBACK GENERATOR (when no API key)
-// ============================================
+    // Older versions kept the last few spirals in localStorage
+    async migrate(store) {
+        const legacy = new LocalStorageHistoryStore(this.storageKey);
+        const entries = legacy.read().filter(entry => entry && entry.id !== undefined && entry.result);
+        if (entries.length > 0) {
+            await store.putAll(entries.map(entry => ({ favorite: false, ...entry })));
+        }
+        await legacy.clear();
+    }
 
-const thoughtTemplates = {
-    rational: {
-        icon: '🧠',
-        name: 'Rational Analysis',
-        tone: 'rational',
+    // Ids are creation times, nudged apart when two spirals land in the same millisecond
+    createId() {
+        this.lastId = Math.max(Date.now(), this.lastId + 1);
+        return this.lastId;
+    }
+
+    async getHistory() {
+        const store = await this.ready;
+        const entries = await store.getAll();
+        return entries.sort((a, b) => (b.favorite === true) - (a.favorite === true) || b.id - a.id);
+    }
+
+    /**
+     * One page of history. `query` matches decisions and every thought
+     * (all words must appear, in any order); `favoritesOnly` hides the rest.
+     * Resolves with { entries, total }.
+     */
+    async search({ query = '', favoritesOnly = false, offset = 0, limit = CONFIG.HISTORY_PAGE_SIZE } = {}) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = (await this.getHistory()).filter(entry =>
+            (!favoritesOnly || entry.favorite)
+            && (words.length === 0 || words.every(word => this.getSearchText(entry).includes(word)))
+        );
+
+        return { entries: matches.slice(offset, offset + limit), total: matches.length };
+    }
+
+    getSearchText(entry) {
+        const result = entry.result || {};
+        const parts = [entry.decision, result.root_thought];
+        (result.branches || []).forEach(branch => {
+            parts.push(branch.category);
+            SpiralThoughts.flatten(branch.nodes).forEach(({ node }) => parts.push(node.text));
+        });
+        return parts.filter(Boolean).join('\n').toLowerCase();
+    }
+
+    async addToHistory(result) {
+        const store = await this.ready;
+        const entry = {
+            id: this.createId(),
+            timestamp: new Date().toISOString(),
+            decision: result.decision,
+            persona: result.options?.persona || SpiralPrompt.DEFAULT_OPTIONS.persona,
+            seed: result.seed ?? null,
+            favorite: false,
+            result: result
+        };
+
+        await store.put(entry);
+        return entry;
+    }
+
+    async getEntry(id) {
+        const store = await this.ready;
+        return (await store.get(id)) || null;
+    }
+
+    // Saves a spiral that changed after it was added, e.g. one that went deeper
+    async updateEntry(id, result) {
+        return this.changeEntry(id, { result: result });
+    }
+
+    async setFavorite(id, favorite) {
+        return this.changeEntry(id, { favorite: favorite });
+    }
+
+    async changeEntry(id, changes) {
+        const store = await this.ready;
+        const entry = await store.get(id);
+        if (!entry) return null;
+
+        const updated = { ...entry, ...changes };
+        await store.put(updated);
+        return updated;
+    }
+
+    async deleteEntry(id) {
+        const store = await this.ready;
+        await store.delete(id);
+    }
+
+    async clearHistory() {
+        const store = await this.ready;
+        await store.clear();
+    }
+
+    // The chosen entries (all of them without `ids`), in history order
+    async getEntries(ids = null) {
+        const history = await this.getHistory();
+        return ids ? history.filter(entry => ids.includes(entry.id)) : history;
+    }
+
+    // A JSON archive that importArchive() can read back (see SpiralArchive)
+    async exportArchive(ids = null) {
+        return SpiralArchive.stringify(await this.getEntries(ids));
+    }
+
+    async exportMarkdown(ids = null) {
+        return SpiralArchive.toMarkdown(await this.getEntries(ids));
+    }
+
+    /**
+     * Merges an archive into history. Entries already here (same id) keep
+     * their local spiral but pick up a favourite star from the archive.
+     * `restore(result)` cleans each imported spiral before it's stored.
+     * Throws when the file isn't an archive; resolves with
+     * { added, merged, skipped: [message] }.
+     */
+    async importArchive(text, restore = result => result) {
+        const { entries, skipped } = SpiralArchive.parse(text);
+        const store = await this.ready;
+        const existing = new Map((await store.getAll()).map(entry => [entry.id, entry]));
+        const changed = [];
+        let added = 0;
+        let merged = 0;
+
+        entries.forEach(entry => {
+            const local = existing.get(entry.id);
+            if (local) {
+                merged++;
+                if (entry.favorite && !local.favorite) changed.push({ ...local, favorite: true });
+                return;
+            }
+
+            try {
+                changed.push({ ...entry, result: restore(entry.result) });
+                added++;
+            } catch (error) {
+                skipped.push(`"${entry.decision}" could not be restored (${error.message})`);
+            }
+        });
+
+        if (changed.length > 0) {
+            await store.putAll(changed);
+        }
+        return { added, merged, skipped };
+    }
+}
+
+// ============================================
+// SETTINGS MANAGER
+// ============================================
+
+class SettingsManager {
+    constructor() {
+        this.storageKey = 'spiral_options';
+        this.viewKey = 'results_view';
+        this.receiptKey = 'receipt_options';
+        this.playbackKey = 'playback_speed';
+    }
+
+    // Spiral shape options (intensity, branch count, depth, categories), normalized
+    getOptions() {
+        try {
+            return SpiralPrompt.normalizeOptions(JSON.parse(localStorage.getItem(this.storageKey)) || {});
+        } catch {
+            return SpiralPrompt.normalizeOptions();
+        }
+    }
+
+    saveOptions(options) {
+        const normalized = SpiralPrompt.normalizeOptions(options);
+        localStorage.setItem(this.storageKey, JSON.stringify(normalized));
+        return normalized;
+    }
+
+    // How results are shown: 'cards' or 'graph'
+    getView() {
+        return localStorage.getItem(this.viewKey) === 'graph' ? 'graph' : 'cards';
+    }
+
+    saveView(view) {
+        localStorage.setItem(this.viewKey, view === 'graph' ? 'graph' : 'cards');
+    }
+
+    // Receipt style and whether it lists every thought
+    getReceiptOptions() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.receiptKey)) || {};
+        } catch {
+            // Fall through to the defaults
+        }
+        return {
+            style: SpiralReceipt.STYLES[saved.style] ? saved.style : SpiralReceipt.DEFAULT_STYLE,
+            allNodes: saved.allNodes !== false
+        };
+    }
+
+    saveReceiptOptions(options) {
+        localStorage.setItem(this.receiptKey, JSON.stringify(options));
+        return this.getReceiptOptions();
+    }
+
+    // How fast spirals play back: a PLAYBACK_SPEEDS key
+    getPlaybackSpeed() {
+        const speed = localStorage.getItem(this.playbackKey);
+        return Object.prototype.hasOwnProperty.call(PLAYBACK_SPEEDS, speed) ? speed : DEFAULT_PLAYBACK_SPEED;
+    }
+
+    savePlaybackSpeed(speed) {
+        localStorage.setItem(this.playbackKey, speed);
+        return this.getPlaybackSpeed();
+    }
+}
+
+// ============================================
+// STREAMING RESPONSE PARSER
+// ============================================
+
+// Returns the index of the brace closing the object that opens at `start`, or -1
+function findJSONObjectEnd(text, start) {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+            continue;
+        }
+
+        if (char === '"') inString = true;
+        else if (char === '{') depth++;
+        else if (char === '}') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Picks complete branch objects out of a partially received spiral JSON.
+ * Feed it text as it arrives; each push() returns the branches that were
+ * completed by that chunk, in order.
+ */
+class StreamingSpiralParser {
+    constructor() {
+        this.text = '';
+        this.branchesStart = -1;
+        this.scanIndex = 0;
+        this.done = false;
+    }
+
+    push(chunk) {
+        this.text += chunk;
+        const completed = [];
+
+        if (this.branchesStart < 0) {
+            const match = /"branches"\s*:\s*\[/.exec(this.text);
+            if (!match) return completed;
+            this.branchesStart = match.index + match[0].length;
+            this.scanIndex = this.branchesStart;
+        }
+
+        while (!this.done) {
+            // Skip separators between array items
+            while (this.scanIndex < this.text.length && /[\s,]/.test(this.text[this.scanIndex])) {
+                this.scanIndex++;
+            }
+
+            const char = this.text[this.scanIndex];
+            if (char === undefined) break;
+            if (char === ']') {
+                this.done = true;
+                break;
+            }
+            if (char !== '{') {
+                // Not something we understand - let the final parse deal with it
+                this.done = true;
+                break;
+            }
+
+            const end = findJSONObjectEnd(this.text, this.scanIndex);
+            if (end < 0) break; // Object not complete yet
+
+            try {
+                completed.push(JSON.parse(this.text.slice(this.scanIndex, end + 1)));
+            } catch {
+                this.done = true;
+                break;
+            }
+            this.scanIndex = end + 1;
+        }
+
+        return completed;
+    }
+
+    getRootThought() {
+        const match = /"root_thought"\s*:\s*"((?:[^"\\]|\\.)*)"/.exec(this.text);
+        if (!match) return null;
+        try {
+            return JSON.parse(`"${match[1]}"`);
+        } catch {
+            return null;
+        }
+    }
+
+    getText() {
+        return this.text;
+    }
+}
+
+// ============================================
+// SPIRAL SCHEMA (validation & repair)
+// ============================================
+
+const SPIRAL_TONES = ['rational', 'emotional', 'absurd', 'hypothetical'];
+const SPIRAL_DEPTH = { MIN: SpiralPrompt.OPTION_LIMITS.MIN_DEPTH, MAX: SpiralPrompt.OPTION_LIMITS.MAX_DEPTH };
+// What a repaired spiral may hold - what links and the proxy accept back
+const SPIRAL_LIMITS = {
+    MAX_BRANCHES: SpiralPrompt.OPTION_LIMITS.MAX_BRANCHES,
+    MAX_TEXT_LENGTH: SpiralPrompt.MAX_THOUGHT_LENGTH,
+    MAX_CATEGORY_LENGTH: 80
+};
+
+// "Go deeper" sub-spirals: any thought may hold more thoughts, each deeper than it
+const SPIRAL_CHILDREN_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        properties: {
+            text: { type: 'string', required: true },
+            depth: { type: 'integer', required: true, minimum: SPIRAL_DEPTH.MIN + 1 }
+        }
+    }
+};
+SPIRAL_CHILDREN_SCHEMA.items.properties.children = SPIRAL_CHILDREN_SCHEMA;
+
+// A reality check: one counter-thought per branch, in branch order
+const REALITY_CHECK_SCHEMA = {
+    type: 'object',
+    properties: {
+        counters: { type: 'array', required: true, minItems: 1, items: { type: 'string' } },
+        summary: { type: 'string', required: true }
+    }
+};
+
+const SPIRAL_SCHEMA = {
+    type: 'object',
+    properties: {
+        decision: { type: 'string', required: true },
+        root_thought: { type: 'string', required: true },
+        branches: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    category: { type: 'string', required: true },
+                    tone: { type: 'string', required: true, enum: SPIRAL_TONES },
+                    nodes: {
+                        type: 'array',
+                        required: true,
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                text: { type: 'string', required: true },
+                                depth: { type: 'integer', required: true, minimum: SPIRAL_DEPTH.MIN, maximum: SPIRAL_DEPTH.MAX },
+                                children: SPIRAL_CHILDREN_SCHEMA,
+                                // Comparisons: a thought about the other option
+                                cross_ref: { type: 'boolean' }
+                            }
+                        }
+                    },
+                    loop_back: { type: 'boolean', required: true },
+                    // Comparisons: 0 for option A, 1 for option B
+                    option: { type: 'integer', minimum: 0, maximum: 1 }
+                }
+            }
+        },
+        meta: {
+            type: 'object',
+            required: true,
+            properties: {
+                humor_level: { type: 'string', required: true, enum: ['subtle', 'moderate', 'high'] },
+                absurdity_level: { type: 'string', required: true, enum: ['controlled', 'elevated', 'chaotic'] },
+                safety_checked: { type: 'boolean', required: true }
+            }
+        }
+    }
+};
+
+// Which SpiralPrompt.REPAIR_PROBLEMS code a validation error falls under - first match wins
+const REPAIR_PROBLEM_PATTERNS = [
+    [/not text|no JSON object|not valid JSON/, 'not_json'],
+    [/incomplete/, 'incomplete'],
+    [/option A and option B/, 'missing_option'],
+    [/^reality_check\.counters/, 'missing_counter'],
+    [/^spiral\.branches (is missing|should)/, 'no_branches'],
+    [/is missing|should not be empty|should be an? /, 'missing_field'],
+    [/./, 'bad_value']
+];
+
+class SpiralValidationError extends Error {
+    constructor(errors) {
+        super(`AI response did not match the spiral schema: ${errors.slice(0, 3).join('; ')}`);
+        this.name = 'SpiralValidationError';
+        this.errors = errors;
+    }
+
+    // What went wrong as problem codes - all the proxy accepts when asking the model again
+    get problems() {
+        const codes = this.errors.map(error => REPAIR_PROBLEM_PATTERNS.find(([pattern]) => pattern.test(error))[1]);
+        return [...new Set(codes)];
+    }
+}
+
+class SpiralSchema {
+    /**
+     * Turns raw model output into a valid spiral, repairing what it can.
+     * Depths are clamped to `options.maxDepth`. Pass `compare`
+     * ([optionA, optionB]) for an "A or B" comparison.
+     * Throws SpiralValidationError when the output is beyond saving.
+     */
+    parse(text, decision, options = SpiralPrompt.DEFAULT_OPTIONS, compare = null) {
+        const data = this.extractJSON(text);
+        const result = this.repair(data, decision, options, compare);
+        const errors = this.validate(result);
+        if (compare && !SpiralPrompt.COMPARE_LABELS.every((label, side) => result.branches.some(branch => branch.option === side))) {
+            errors.push('branches should cover both option A and option B');
+        }
+
+        if (errors.length > 0) {
+            throw new SpiralValidationError(errors);
+        }
+
+        return result;
+    }
+
+    /**
+     * Turns a "go deeper" reply ({ nodes } with depths counted from the
+     * chosen thought) into children for a thought at `parentDepth`.
+     */
+    parseDeeper(text, parentDepth) {
+        const data = this.extractJSON(text);
+        const rawNodes = Array.isArray(data?.nodes) ? data.nodes : [];
+        const shifted = rawNodes.map((node, index) => {
+            const source = typeof node === 'string' ? { text: node } : node;
+            if (!source || typeof source !== 'object') return null;
+
+            let depth = parseInt(source.depth, 10);
+            if (Number.isNaN(depth)) depth = index + 1;
+            // The model only gets to add thoughts, not sub-spirals of its own
+            return {
+                text: source.text,
+                depth: parentDepth + Math.min(SpiralPrompt.DEEPER_LEVELS, Math.max(1, depth))
+            };
+        });
+
+        const nodes = this.repairChildren(shifted, parentDepth);
+        const errors = this.validate(nodes, SPIRAL_CHILDREN_SCHEMA, 'nodes');
+        if (errors.length > 0) {
+            throw new SpiralValidationError(errors);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Turns a reality check reply ({ counters: [{ branch, text }], summary })
+     * into { counters, summary } with exactly one counter-thought per
+     * branch, in branch order. Counters go where their 1-based `branch`
+     * number says; the rest fill the gaps in the order they came.
+     */
+    parseRealityCheck(text, branchCount) {
+        const data = this.extractJSON(text);
+        const rawCounters = (Array.isArray(data?.counters) ? data.counters : [])
+            .map(counter => typeof counter === 'string' ? { text: counter } : counter)
+            .filter(counter => counter && typeof counter === 'object' && this.cleanString(counter.text));
+        const counters = Array(branchCount).fill(null);
+
+        const unplaced = rawCounters.filter(counter => {
+            const position = parseInt(counter.branch, 10) - 1;
+            if (!(position >= 0 && position < branchCount) || counters[position] !== null) return true;
+            counters[position] = this.cleanString(counter.text);
+            return false;
+        });
+        unplaced.forEach(counter => {
+            const gap = counters.indexOf(null);
+            if (gap >= 0) counters[gap] = this.cleanString(counter.text);
+        });
+
+        const result = { counters: counters, summary: this.cleanString(data?.summary) };
+        const errors = this.validate(result, REALITY_CHECK_SCHEMA, 'reality_check');
+        if (errors.length > 0) {
+            throw new SpiralValidationError(errors);
+        }
+
+        return result;
+    }
+
+    // Returns a list of human-readable problems; empty when the value is valid
+    validate(value, schema = SPIRAL_SCHEMA, path = 'spiral') {
+        const errors = [];
+
+        if (!this.matchesType(value, schema.type)) {
+            errors.push(`${path} should be ${schema.type === 'array' ? 'an array' : `a ${schema.type}`}`);
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} should be one of ${schema.enum.join('/')}`);
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} should be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} should be at most ${schema.maximum}`);
+        }
+        if (schema.type === 'string' && value.trim().length === 0) {
+            errors.push(`${path} should not be empty`);
+        }
+
+        if (schema.type === 'array') {
+            if (schema.minItems && value.length < schema.minItems) {
+                errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+            }
+            value.forEach((item, i) => {
+                errors.push(...this.validate(item, schema.items, `${path}[${i}]`));
+            });
+        }
+
+        if (schema.type === 'object') {
+            Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+                if (value[key] === undefined || value[key] === null) {
+                    if (propertySchema.required) errors.push(`${path}.${key} is missing`);
+                    return;
+                }
+                errors.push(...this.validate(value[key], propertySchema, `${path}.${key}`));
+            });
+        }
+
+        return errors;
+    }
+
+    matchesType(value, type) {
+        switch (type) {
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            default: return typeof value === type;
+        }
+    }
+
+    /**
+     * Finds the spiral object in the model's text, ignoring code fences and
+     * any prose around it. A truncated response is salvaged down to the
+     * branches that did arrive complete.
+     */
+    extractJSON(text) {
+        if (typeof text !== 'string') {
+            throw new SpiralValidationError(['response is not text']);
+        }
+
+        const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+        const start = cleanedText.indexOf('{');
+        if (start < 0) {
+            throw new SpiralValidationError(['response contains no JSON object']);
+        }
+
+        const end = findJSONObjectEnd(cleanedText, start);
+        if (end >= 0) {
+            const candidate = cleanedText.slice(start, end + 1);
+            try {
+                return JSON.parse(candidate);
+            } catch {
+                try {
+                    // Trailing commas are the most common slip
+                    return JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'));
+                } catch (error) {
+                    throw new SpiralValidationError([`response is not valid JSON (${error.message})`]);
+                }
+            }
+        }
+
+        const parser = new StreamingSpiralParser();
+        const branches = parser.push(cleanedText.slice(start));
+        if (branches.length === 0) {
+            throw new SpiralValidationError(['response JSON is incomplete']);
+        }
+
+        return { root_thought: parser.getRootThought(), branches: branches };
+    }
+
+    /**
+     * Copies only the fields the app knows, within SPIRAL_LIMITS - whatever
+     * else the model, a link or an archive sent is dropped. A reality check
+     * (summary and counter-thoughts) is kept when there is one.
+     */
+    repair(data, decision, options = SpiralPrompt.DEFAULT_OPTIONS, compare = null) {
+        const source = data && typeof data === 'object' ? data : {};
+        const meta = source.meta && typeof source.meta === 'object' ? source.meta : {};
+        const branches = Array.isArray(source.branches) ? source.branches : [];
+        let repairedBranches = branches.map(branch => this.repairBranch(branch, options))
+            .filter(Boolean)
+            .slice(0, SPIRAL_LIMITS.MAX_BRANCHES);
+        repairedBranches = repairedBranches.map(({ option, ...branch }, index) => compare
+            ? { ...branch, option: this.pickOption(option, compare, index, repairedBranches.length) }
+            : branch);
+        const summary = this.clip(source.reality_check?.summary, SPIRAL_LIMITS.MAX_TEXT_LENGTH);
+        const generatedBy = this.cleanString(meta.generated_by);
+
+        return {
+            decision: this.clip(source.decision, SpiralPrompt.MAX_DECISION_LENGTH) || decision,
+            root_thought: this.clip(source.root_thought, SPIRAL_LIMITS.MAX_TEXT_LENGTH) || 'Hmm, this seems simple enough... or is it?',
+            branches: repairedBranches,
+            ...(compare ? { compare: { options: [...compare] } } : {}),
+            ...(summary ? { reality_check: { summary: summary, generated_by: this.cleanString(source.reality_check.generated_by) || 'templates' } } : {}),
+            meta: {
+                humor_level: this.pickEnum(meta.humor_level, SPIRAL_SCHEMA.properties.meta.properties.humor_level.enum, 'moderate'),
+                absurdity_level: this.pickEnum(meta.absurdity_level, SPIRAL_SCHEMA.properties.meta.properties.absurdity_level.enum, 'controlled'),
+                safety_checked: meta.safety_checked !== false,
+                ...(generatedBy ? { generated_by: generatedBy } : {})
+            }
+        };
+    }
+
+    // Returns a cleaned-up branch, or null if there is nothing worth keeping
+    repairBranch(branch, options = SpiralPrompt.DEFAULT_OPTIONS) {
+        if (!branch || typeof branch !== 'object') return null;
+
+        const rawNodes = Array.isArray(branch.nodes) ? branch.nodes : [];
+        const maxDepth = Math.min(options.maxDepth, SPIRAL_DEPTH.MAX);
+        const nodes = rawNodes.map((node, index) => this.repairNode(node, index, maxDepth)).filter(Boolean);
+        if (nodes.length === 0) return null;
+
+        const counter = this.clip(branch.counter_thought, SPIRAL_LIMITS.MAX_TEXT_LENGTH);
+        return {
+            category: this.clip(branch.category, SPIRAL_LIMITS.MAX_CATEGORY_LENGTH) || 'Unlabelled Spiral',
+            tone: this.pickEnum(branch.tone, SPIRAL_TONES, 'hypothetical'),
+            nodes: nodes,
+            loop_back: branch.loop_back === true || branch.loop_back === 'true',
+            ...(branch.option !== undefined ? { option: branch.option } : {}),
+            ...(counter ? { counter_thought: counter } : {})
+        };
+    }
+
+    repairNode(node, index, maxDepth = SPIRAL_DEPTH.MAX, minDepth = SPIRAL_DEPTH.MIN) {
+        const text = this.clip(typeof node === 'string' ? node : node?.text, SPIRAL_LIMITS.MAX_TEXT_LENGTH);
+        if (!text) return null;
+
+        // Without a usable depth, assume the usual 1-2-3 escalation
+        let depth = parseInt(node?.depth, 10);
+        if (Number.isNaN(depth)) depth = index + 1;
+
+        const repaired = {
+            text: text,
+            depth: Math.min(maxDepth, Math.max(minDepth, depth))
+        };
+        if (node?.cross_ref === true || node?.cross_ref === 'true') {
+            repaired.cross_ref = true;
+        }
+
+        const children = Array.isArray(node?.children) ? this.repairChildren(node.children, repaired.depth) : [];
+        if (children.length > 0) {
+            repaired.children = children;
+        }
+
+        return repaired;
+    }
+
+    // A sub-spiral always sits below its thought, however deep that goes
+    repairChildren(nodes, parentDepth) {
+        return nodes.map((node, index) => this.repairNode(node, index, Infinity, parentDepth + 1)).filter(Boolean);
+    }
+
+    /**
+     * Which side of a comparison a branch is on: "A"/"B", 0/1 or the
+     * option's own text. Without a usable answer, the first half of the
+     * branches are A and the rest B - the order the prompt asks for.
+     */
+    pickOption(value, compare, index, total) {
+        const normalized = this.cleanString(value).toLowerCase().replace(/^option\s+/, '');
+        const byLabel = SpiralPrompt.COMPARE_LABELS.findIndex(label => label.toLowerCase() === normalized);
+        if (byLabel >= 0) return byLabel;
+        if (value === 0 || value === 1) return value;
+        const byText = compare.findIndex(option => option.trim().toLowerCase() === normalized);
+        if (byText >= 0) return byText;
+        return index < Math.ceil(total / 2) ? 0 : 1;
+    }
+
+    cleanString(value) {
+        if (typeof value === 'number') return String(value);
+        return typeof value === 'string' ? value.trim() : '';
+    }
+
+    // cleanString, cut to `maxLength` characters
+    clip(value, maxLength) {
+        return this.cleanString(value).slice(0, maxLength).trim();
+    }
+
+    // Accepts exact matches as well as values like "Emotional / anxious"
+    pickEnum(value, allowed, fallback) {
+        const normalized = this.cleanString(value).toLowerCase();
+        return allowed.find(option => normalized === option)
+            || allowed.find(option => normalized.includes(option))
+            || fallback;
+    }
+}
+
+// ============================================
+// AI OVERTHINKING GENERATOR (OpenRouter)
+// ============================================
+
+/**
+ * A completion request that failed: `status` is the HTTP status (if the
+ * server answered), `timedOut` is set when it never did.
+ */
+class SpiralRequestError extends Error {
+    constructor(message, { status = null, timedOut = false } = {}) {
+        super(message);
+        this.name = 'SpiralRequestError';
+        this.status = status;
+        this.timedOut = timedOut;
+    }
+
+    // Rate limits and server hiccups are worth another try
+    get retryable() {
+        return this.status === 429 || this.status >= 500;
+    }
+}
+
+// True for errors caused by aborting a request on purpose
+function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+class AIOverthinkingGenerator {
+    constructor() {
+        // Use stored key or fall back to default key
+        this.apiKey = localStorage.getItem('openrouter_api_key') || CONFIG.DEFAULT_API_KEY || '';
+        this.schema = new SpiralSchema();
+        this.provider = this.createProvider();
+    }
+
+    // Only used for local dev - the proxy picks its own provider server-side
+    createProvider() {
+        try {
+            return LLMProviders.createProvider({ ...CONFIG.PROVIDER, apiKey: this.apiKey, referer: window.location.href });
+        } catch (error) {
+            console.error(error.message);
+            return LLMProviders.createProvider({ type: 'openrouter', apiKey: this.apiKey, referer: window.location.href });
+        }
+    }
+
+    setApiKey(key) {
+        this.apiKey = key;
+        localStorage.setItem('openrouter_api_key', key);
+        this.provider = this.createProvider();
+    }
+
+    getApiKey() {
+        return this.apiKey;
+    }
+
+    hasApiKey() {
+        // When using proxy, we don't need a client-side key
+        if (CONFIG.USE_PROXY) return true;
+        // Local and mock providers work without one
+        if (!this.provider.requiresApiKey) return true;
+        return this.apiKey && this.apiKey.length > 0;
+    }
+
+    isUsingDefaultKey() {
+        return this.apiKey === CONFIG.DEFAULT_API_KEY;
+    }
+
+    /**
+     * Generate a spiral. When `onBranch` is given and streaming is available,
+     * each branch is handed over as soon as it has been received in full.
+     * If the reply cannot be repaired into a valid spiral the model is asked
+     * once more (`onRetry` fires first so partial output can be cleared).
+     * `options` shapes the spiral (see SpiralPrompt.normalizeOptions);
+     * `compare` ([optionA, optionB]) makes it an "A or B" comparison.
+     * Aborting `signal` cancels it; `onBackoff(error, delayMs)` fires before
+     * a rate-limited or failed request is retried.
+     */
+    async generate(decision, { options, onBranch, onRetry, onBackoff, compare, signal } = {}) {
+        if (!this.hasApiKey()) {
+            throw new Error('API key not configured');
+        }
+
+        const spiralOptions = SpiralPrompt.normalizeOptions(options);
+        const compareInput = compare ? { compare } : {};
+
+        try {
+            const text = await this.requestCompletion({ decision, options: spiralOptions, ...compareInput }, { onBranch, onBackoff, options: spiralOptions, signal });
+            let result;
+
+            try {
+                result = this.schema.parse(text, decision, spiralOptions, compare);
+            } catch (error) {
+                if (!(error instanceof SpiralValidationError)) throw error;
+
+                console.warn('Spiral failed validation, asking the AI again:', error.errors);
+                if (onRetry) onRetry(error);
+
+                const retryText = await this.requestCompletion({
+                    decision,
+                    options: spiralOptions,
+                    ...compareInput,
+                    repair: { problems: error.problems }
+                }, { onBackoff, signal });
+                result = this.schema.parse(retryText, decision, spiralOptions, compare);
+            }
+
+            result.branches = result.branches.map(branch => this.decorateBranch(branch));
+            result.options = spiralOptions;
+
+            return result;
+        } catch (error) {
+            if (!isAbortError(error)) {
+                console.error('AI Generation Error:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Spiral further from one thought of `branch` (the node at `path`, see
+     * SpiralThoughts). Resolves with the thought's new children, depths
+     * continuing from its own. Aborting `signal` cancels it.
+     */
+    async goDeeper(decision, branch, path, { options, signal } = {}) {
+        if (!this.hasApiKey()) {
+            throw new Error('API key not configured');
+        }
+
+        const node = SpiralThoughts.getNode(branch.nodes, path);
+        if (!node) {
+            throw new Error('That thought no longer exists');
+        }
+
+        const spiralOptions = SpiralPrompt.normalizeOptions(options);
+        const deeper = {
+            category: branch.category.slice(0, 80),
+            tone: branch.tone,
+            // The thoughts closest to the chosen one matter most
+            chain: SpiralThoughts.chainTo(branch.nodes, path).slice(0, -1).slice(-SpiralPrompt.MAX_DEEPER_CHAIN)
+                .map(item => item.text.slice(0, SpiralPrompt.MAX_QUOTED_THOUGHT_LENGTH)),
+            node: node.text.slice(0, SpiralPrompt.MAX_THOUGHT_LENGTH),
+            depth: node.depth
+        };
+
+        const completionOptions = { maxTokens: 1024, signal };
+        const text = await this.requestCompletion({ decision, options: spiralOptions, deeper }, completionOptions);
+
+        try {
+            return this.schema.parseDeeper(text, node.depth);
+        } catch (error) {
+            if (!(error instanceof SpiralValidationError)) throw error;
+
+            console.warn('Deeper thoughts failed validation, asking the AI again:', error.errors);
+            const retryText = await this.requestCompletion({
+                decision,
+                options: spiralOptions,
+                deeper,
+                repair: { problems: error.problems }
+            }, completionOptions);
+            return this.schema.parseDeeper(retryText, node.depth);
+        }
+    }
+
+    /**
+     * A "reality check" for a finished spiral: one calm counter-thought per
+     * branch, answering the thought it reached at REALITY_CHECK_DEPTH, and
+     * a closing line. Returns { counters, summary }; aborting `signal`
+     * cancels it.
+     */
+    async realityCheck(result, { signal } = {}) {
+        if (!this.hasApiKey()) {
+            throw new Error('API key not configured');
+        }
+
+        const reality = {
+            branches: result.branches.map(branch => ({
+                category: Object.prototype.hasOwnProperty.call(SpiralPrompt.CATEGORY_CATALOG, branch.categoryKey)
+                    ? branch.categoryKey
+                    : branch.category.slice(0, 80),
+                tone: branch.tone,
+                thought: SpiralThoughts.atDepth(branch.nodes, SpiralPrompt.REALITY_CHECK_DEPTH).text.slice(0, SpiralPrompt.MAX_QUOTED_THOUGHT_LENGTH)
+            }))
+        };
+        const promptInput = { decision: result.decision, options: result.options, reality };
+        const completionOptions = { maxTokens: 1024, signal };
+        const text = await this.requestCompletion(promptInput, completionOptions);
+
+        try {
+            return this.schema.parseRealityCheck(text, reality.branches.length);
+        } catch (error) {
+            if (!(error instanceof SpiralValidationError)) throw error;
+
+            console.warn('Reality check failed validation, asking the AI again:', error.errors);
+            const retryText = await this.requestCompletion({
+                ...promptInput,
+                repair: { problems: error.problems }
+            }, completionOptions);
+            return this.schema.parseRealityCheck(retryText, reality.branches.length);
+        }
+    }
+
+    /**
+     * Sends one chat completion request and returns the raw reply text.
+     * Streams when `onBranch` is given, passing along repaired branches.
+     * The proxy builds the prompt itself, so it only gets the prompt input.
+     *
+     * Rate limits and server errors are retried up to CONFIG.MAX_RETRIES
+     * times with exponential backoff (or the server's Retry-After); a reply
+     * that goes quiet for CONFIG.REQUEST_TIMEOUT_MS fails with a timed-out
+     * SpiralRequestError. Aborting `signal` rejects with an AbortError.
+     */
+    async requestCompletion(promptInput, { onBranch, onBackoff, options, maxTokens = 4096, signal } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.requestOnce(promptInput, { onBranch, options, maxTokens, signal });
+            } catch (error) {
+                if (!(error instanceof SpiralRequestError) || !error.retryable || attempt >= CONFIG.MAX_RETRIES) throw error;
+                // Not worth waiting on a server that wants us gone for longer than that
+                if (error.retryAfter > CONFIG.MAX_RETRY_AFTER_MS) throw error;
+
+                const backoff = error.retryAfter ?? CONFIG.RETRY_BASE_DELAY_MS * 2 ** attempt * (1 + Math.random() * 0.5);
+                console.warn(`AI request failed (${error.status}), retrying in ${Math.round(backoff)}ms:`, error.message);
+                if (onBackoff) onBackoff(error, backoff);
+                await this.wait(backoff, signal);
+            }
+        }
+    }
+
+    async requestOnce(promptInput, { onBranch, options, maxTokens, signal }) {
+        const stream = CONFIG.STREAM_RESPONSES && typeof onBranch === 'function' && this.supportsStreaming();
+
+        const requestBody = {
+            temperature: 0.9,
+            max_tokens: maxTokens,
+            stream: stream
+        };
+
+        const deadline = this.createDeadline(signal, CONFIG.REQUEST_TIMEOUT_MS);
+        try {
+            let response;
+            if (CONFIG.USE_PROXY) {
+                response = await fetch(CONFIG.API_URL, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...requestBody, ...promptInput }),
+                    signal: deadline.signal
+                });
+            } else {
+                requestBody.messages = SpiralPrompt.buildMessages(promptInput);
+                response = await this.provider.send(requestBody, { signal: deadline.signal });
+            }
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                const error = new SpiralRequestError(errorData.error?.message || 'API request failed', { status: response.status });
+                // Retry-After is in seconds
+                const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+                if (retryAfter >= 0) error.retryAfter = retryAfter * 1000;
+                throw error;
+            }
+
+            // The server may still answer with a plain completion (e.g. an older proxy)
+            const text = this.isEventStream(response)
+                ? await this.readStream(response, onBranch, options, deadline.extend)
+                : await this.readCompletion(response);
+
+            if (!text) {
+                throw new Error('No response from AI');
+            }
+
+            return text;
+        } catch (error) {
+            if (deadline.timedOut) {
+                throw new SpiralRequestError('AI took too long to answer', { timedOut: true });
+            }
+            throw error;
+        } finally {
+            deadline.clear();
+        }
+    }
+
+    /**
+     * An abort signal that fires when `signal` does, or when `ms` pass
+     * without a call to `extend()` - whichever comes first.
+     */
+    createDeadline(signal, ms) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        let timer = null;
+
+        const deadline = {
+            signal: controller.signal,
+            timedOut: false,
+            extend: () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    deadline.timedOut = true;
+                    controller.abort();
+                }, ms);
+            },
+            clear: () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+            }
+        };
+
+        if (signal?.aborted) {
+            controller.abort();
+        } else {
+            signal?.addEventListener('abort', onAbort);
+            deadline.extend();
+        }
+        return deadline;
+    }
+
+    // Resolves after `ms`, or rejects with an AbortError as soon as `signal` aborts
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Request cancelled', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', abort);
+                resolve();
+            }, ms);
+            if (signal?.aborted) {
+                abort();
+            } else {
+                signal?.addEventListener('abort', abort, { once: true });
+            }
+        });
+    }
+
+    supportsStreaming() {
+        return typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+    }
+
+    isEventStream(response) {
+        const contentType = response.headers.get('Content-Type') || '';
+        return contentType.includes('text/event-stream') && !!response.body;
+    }
+
+    async readCompletion(response) {
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content;
+    }
+
+    /**
+     * Reads an OpenAI-style server-sent event stream and returns the full text.
+     * Branches are passed to `onBranch` as soon as each one is complete;
+     * `onChunk` is called whenever anything arrives.
+     */
+    async readStream(response, onBranch, options, onChunk = () => {}) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const parser = new StreamingSpiralParser();
+        let buffer = '';
+        let branchIndex = 0;
+
+        const handleEvent = (payload) => {
+            const data = JSON.parse(payload);
+            if (data.error) {
+                throw new Error(data.error.message || 'API request failed');
+            }
+
+            const delta = data.choices?.[0]?.delta?.content;
+            if (!delta) return;
+
+            parser.push(delta).forEach(rawBranch => {
+                // Same repair as the final parse, so streamed cards match the result
+                const branch = this.schema.repairBranch(rawBranch, options);
+                if (!branch) return;
+                onBranch(this.decorateBranch(branch), branchIndex, parser.getRootThought());
+                branchIndex++;
+            });
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            onChunk();
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const rawLine of lines) {
+                const line = rawLine.trim();
+                // Blank lines separate events, ':' lines are keep-alive comments
+                if (!line.startsWith('data:')) continue;
+
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') {
+                    reader.cancel();
+                    return parser.getText();
+                }
+                handleEvent(payload);
+            }
+        }
+
+        return parser.getText();
+    }
+
+    decorateBranch(branch) {
+        // Style by what the branch is about, not where the model put it
+        const category = categoryRegistry.resolve(branch.category, branch.tone);
+
+        return {
+            ...branch,
+            categoryKey: category.key,
+            icon: category.icon,
+            ...(category.color ? { color: category.color } : {})
+        };
+    }
+}
+
+// ============================================
+// FALLBACK GENERATOR (when no API key)
+// ============================================
+
+const thoughtTemplates = {
+    rational: {
+        icon: '🧠',
+        name: 'Rational Analysis',
+        aliases: ['rational', 'analysis', 'pros and cons', 'practical', 'logic'],
+        tone: 'rational',
         templates: [
-            { depth: 1, thoughts: ["Let me think about the pros and cons of this.", "What are the practical implications here?", "I should consider the time and effort involved."] },
-            { depth: 2, thoughts: ["But wait, how do I even define what counts as a 'pro'?", "The effort calculation depends on too many variables.", "My cost-benefit analysis needs its own cost-benefit analysis."] },
+            { depth: 1, thoughts: ["Let me think about the pros and cons of this.", "What are the practical implications here?", "I should consider the time and effort involved.", "What are the actual pros and cons of {gerund}?"] },
+            { depth: 2, thoughts: ["But wait, how do I even define what counts as a 'pro'?", "The effort calculation depends on too many variables.", "My cost-benefit analysis needs its own cost-benefit analysis.", "I've drawn a decision matrix for {gerund}. It has 14 columns."] },
             { depth: 3, thoughts: ["I've spent more time analyzing this than the decision is worth.", "The opportunity cost of this analysis is becoming the real problem.", "Maybe I need a framework to decide when to stop deciding."] }
         ]
     },
     optimization: {
         icon: '🔄',
         name: 'Over-Optimization Loop',
+        aliases: ['optimization', 'optimisation', 'research', 'compare', 'paralysis'],
         tone: 'absurd',
         templates: [
-            { depth: 1, thoughts: ["I should research all available options first.", "There might be a better alternative I haven't considered.", "Let me compare every possible variation."] },
-            { depth: 2, thoughts: ["But the reviews are contradictory. Who do I trust?", "What if there's a new option coming out next week?", "I need to cross-reference at least 47 more sources."] },
+            { depth: 1, thoughts: ["I should research all available options first.", "There might be a better alternative I haven't considered.", "Let me compare every possible variation.", "Is there an optimal way to {action}? There must be."] },
+            { depth: 2, thoughts: ["But the reviews are contradictory. Who do I trust?", "What if there's a new option coming out next week?", "I need to cross-reference at least 47 more sources.", "I've found 12 guides on how to {action} and they all disagree."] },
             { depth: 3, thoughts: ["I've now spent 6 hours researching a 5-minute decision.", "The optimal choice keeps changing every time I refresh.", "Analysis paralysis has entered the chat."] }
         ],
         loopBack: true
@@ -337,10 +1989,11 @@ const thoughtTemplates = {
     social: {
         icon: '👥',
         name: 'Social Judgment Spiral',
+        aliases: ['social', 'judgment', 'judgement', 'what will people think', 'self-conscious'],
         tone: 'emotional',
         templates: [
-            { depth: 1, thoughts: ["What will people think if I do this?", "Is this socially acceptable behavior?", "Would a normal person do this?"] },
-            { depth: 2, thoughts: ["That one person from 2019 might judge me for this.", "What if someone screenshots this moment of my life?", "My future self will cringe at this, I just know it."] },
+            { depth: 1, thoughts: ["What will people think if I do this?", "Is this socially acceptable behavior?", "Would a normal person do this?", "What will people think if they find out I decided to {action}?"] },
+            { depth: 2, thoughts: ["That one person from 2019 might judge me for this.", "What if someone screenshots this moment of my life?", "My future self will cringe at this, I just know it.", "Someone will definitely bring up {gerund} at the next family dinner."] },
             { depth: 3, thoughts: ["Actually, everyone is too busy overthinking their own decisions.", "But what if they're not and I'm the only one who overthinks?", "Wait, now I'm overthinking about overthinking. Classic me."] }
         ],
         loopBack: true
@@ -348,20 +2001,22 @@ const thoughtTemplates = {
     catastrophic: {
         icon: '⚠️',
         name: 'Catastrophic What-If Chain',
+        aliases: ['catastrophic', 'catastrophe', 'what-if', 'what if', 'domino', 'worst case'],
         tone: 'hypothetical',
         templates: [
-            { depth: 1, thoughts: ["What if this small decision has massive consequences?", "This could affect my entire routine.", "What if this is the butterfly effect starting point?"] },
-            { depth: 2, thoughts: ["If my routine shifts, my productivity might drop.", "Dropped productivity means missed deadlines.", "This could spiral into a complete life restructure."] },
+            { depth: 1, thoughts: ["What if this small decision has massive consequences?", "This could affect my entire routine.", "What if this is the butterfly effect starting point?", "What if {gerund} is where it all goes wrong?"] },
+            { depth: 2, thoughts: ["If my routine shifts, my productivity might drop.", "Dropped productivity means missed deadlines.", "This could spiral into a complete life restructure.", "{Gerund} leads to one thing, which leads to another, which leads to a documentary."] },
             { depth: 3, thoughts: ["One wrong choice and I'll be telling this story at therapy in 10 years.", "This might be the decision my biographer focuses on.", "The domino effect is real and it's coming for me."] }
         ]
     },
     contradictory: {
         icon: '🔀',
         name: 'Contradictory Logic Path',
+        aliases: ['contradictory', 'contradiction', 'reversal', 'self-conflict', 'counterargument'],
         tone: 'absurd',
         templates: [
-            { depth: 1, thoughts: ["Actually, my previous reasoning was flawed.", "Wait, the opposite argument makes sense too.", "Both options seem equally valid now."] },
-            { depth: 2, thoughts: ["If I choose A, I'll regret not choosing B.", "But if I choose B, A suddenly seems better.", "The act of choosing changes what I want."] },
+            { depth: 1, thoughts: ["Actually, my previous reasoning was flawed.", "Wait, the opposite argument makes sense too.", "Both options seem equally valid now.", "{Gerund} is obviously a great idea. Or obviously a terrible one."] },
+            { depth: 2, thoughts: ["If I choose A, I'll regret not choosing B.", "But if I choose B, A suddenly seems better.", "The act of choosing changes what I want.", "The more I want to {action}, the less I want to {action}."] },
             { depth: 3, thoughts: ["Maybe I should flip a coin and then argue with the result.", "I've now convinced myself of both sides simultaneously.", "This brings me back to the same question..."] }
         ],
         loopBack: true
@@ -369,20 +2024,22 @@ const thoughtTemplates = {
     regret: {
         icon: '😔',
         name: 'Regret Forecasting',
+        aliases: ['regret', 'forecast', 'fomo', 'missing out', 'alternate timeline'],
         tone: 'emotional',
         templates: [
-            { depth: 1, thoughts: ["What if I regret this later?", "Future me might be disappointed in present me.", "Am I missing out on something by choosing this?"] },
-            { depth: 2, thoughts: ["In an alternate timeline, I made the other choice and I'm thriving.", "The FOMO is strong with this one.", "I'll probably look back and wonder 'what if?'"] },
+            { depth: 1, thoughts: ["What if I regret this later?", "Future me might be disappointed in present me.", "Am I missing out on something by choosing this?", "Will I look back on {gerund} and wince?"] },
+            { depth: 2, thoughts: ["In an alternate timeline, I made the other choice and I'm thriving.", "The FOMO is strong with this one.", "I'll probably look back and wonder 'what if?'", "In a parallel universe, I didn't {action} and I'm thriving."] },
             { depth: 3, thoughts: ["But I also regret the time I'm spending on regret forecasting.", "Pre-regretting things before they happen is exhausting.", "Past me would judge current me for this spiral."] }
         ]
     },
     avoidance: {
         icon: '🛋️',
         name: 'Avoidance & Procrastination',
+        aliases: ['avoidance', 'procrastination', 'escape', 'postpone', 'delay'],
         tone: 'rational',
         templates: [
-            { depth: 1, thoughts: ["I don't have to decide this right now.", "Maybe if I wait, the answer will become clearer.", "Let me sleep on it. For the third night."] },
-            { depth: 2, thoughts: ["Technically, not deciding is also a decision.", "I'll just do some research first. *opens 40 browser tabs*", "Future me can handle this. They're more qualified."] },
+            { depth: 1, thoughts: ["I don't have to decide this right now.", "Maybe if I wait, the answer will become clearer.", "Let me sleep on it. For the third night.", "Maybe I'll think about {gerund} tomorrow."] },
+            { depth: 2, thoughts: ["Technically, not deciding is also a decision.", "I'll just do some research first. *opens 40 browser tabs*", "Future me can handle this. They're more qualified.", "I've researched {gerund} so thoroughly that I no longer need to actually {action}."] },
             { depth: 3, thoughts: ["Okay I've successfully avoided the decision but now I have anxiety about avoiding it.", "The deadline to not have a deadline is approaching.", "Maybe I should rethink everything from the start..."] }
         ],
         loopBack: true
@@ -390,10 +2047,11 @@ const thoughtTemplates = {
     perfectionism: {
         icon: '✨',
         name: 'Perfectionism Trap',
+        aliases: ['perfectionism', 'perfect', 'flawless', 'ideal'],
         tone: 'emotional',
         templates: [
-            { depth: 1, thoughts: ["This needs to be perfect or it's not worth doing.", "What if I don't execute this flawlessly?", "I should wait until conditions are ideal."] },
-            { depth: 2, thoughts: ["But perfect doesn't exist... or does it?", "Every small flaw will haunt me forever.", "Other people seem to do things effortlessly. Why can't I?"] },
+            { depth: 1, thoughts: ["This needs to be perfect or it's not worth doing.", "What if I don't execute this flawlessly?", "I should wait until conditions are ideal.", "If I {action}, it has to be done perfectly."] },
+            { depth: 2, thoughts: ["But perfect doesn't exist... or does it?", "Every small flaw will haunt me forever.", "Other people seem to do things effortlessly. Why can't I?", "I can't {action} until I've watched a tutorial on how to {action} properly."] },
             { depth: 3, thoughts: ["I've now redone this mental simulation 847 times.", "Perfection is an illusion, but so is my self-esteem.", "Maybe imperfect action beats perfect inaction... but what if it doesn't?"] }
         ],
         loopBack: true
@@ -401,20 +2059,22 @@ const thoughtTemplates = {
     identity: {
         icon: '🪞',
         name: 'Identity Crisis Tangent',
+        aliases: ['identity', 'who am i', 'real me', 'self-image'],
         tone: 'hypothetical',
         templates: [
-            { depth: 1, thoughts: ["Does this decision align with who I am?", "What kind of person would choose this?", "Is this the 'real me' or just societal conditioning?"] },
-            { depth: 2, thoughts: ["But who even is the 'real me'? I contain multitudes.", "Am I making this choice or is my trauma making it for me?", "My values seem to shift depending on the day."] },
+            { depth: 1, thoughts: ["Does this decision align with who I am?", "What kind of person would choose this?", "Is this the 'real me' or just societal conditioning?", "Am I the kind of person who would {action}?"] },
+            { depth: 2, thoughts: ["But who even is the 'real me'? I contain multitudes.", "Am I making this choice or is my trauma making it for me?", "My values seem to shift depending on the day.", "Does {gerund} say something about who I really am?"] },
             { depth: 3, thoughts: ["I need to figure out my entire life philosophy before making this choice.", "Maybe I should take a personality test first... for the 12th time.", "Who I am is now a bigger question than the original decision."] }
         ]
     },
     financial: {
         icon: '💸',
         name: 'Financial Anxiety Spiral',
+        aliases: ['financial', 'money', 'budget', 'cost', 'spending'],
         tone: 'rational',
         templates: [
-            { depth: 1, thoughts: ["What's the financial impact of this?", "Could I be spending this money/time better elsewhere?", "Let me calculate the ROI of this decision."] },
-            { depth: 2, thoughts: ["But what about inflation and opportunity cost?", "This could affect my savings by 0.0001%.", "I should create a spreadsheet for this."] },
+            { depth: 1, thoughts: ["What's the financial impact of this?", "Could I be spending this money/time better elsewhere?", "Let me calculate the ROI of this decision.", "How much does {gerund} actually cost, all in?"] },
+            { depth: 2, thoughts: ["But what about inflation and opportunity cost?", "This could affect my savings by 0.0001%.", "I should create a spreadsheet for this.", "I've converted {gerund} into hours of work and now I'm sad."] },
             { depth: 3, thoughts: ["My retirement in 40 years could be affected by this $5 decision.", "The spreadsheet now has 12 tabs and a pivot table.", "Money anxiety + decision anxiety = double anxiety."] }
         ],
         loopBack: true
@@ -422,10 +2082,11 @@ const thoughtTemplates = {
     timeParadox: {
         icon: '⏰',
         name: 'Time Paradox Loop',
+        aliases: ['time', 'timing', 'right moment', 'paradox'],
         tone: 'absurd',
         templates: [
-            { depth: 1, thoughts: ["When is the best time to do this?", "Maybe I should wait for a 'sign'.", "Is now really the right moment?"] },
-            { depth: 2, thoughts: ["The 'right time' never seems to arrive.", "If I wait too long, I'll miss the window. But what window?", "Past me should have decided this already."] },
+            { depth: 1, thoughts: ["When is the best time to do this?", "Maybe I should wait for a 'sign'.", "Is now really the right moment?", "Is now the right time to {action}, or was it last year?"] },
+            { depth: 2, thoughts: ["The 'right time' never seems to arrive.", "If I wait too long, I'll miss the window. But what window?", "Past me should have decided this already.", "If I {action} now, future me might have wanted to {action} later."] },
             { depth: 3, thoughts: ["I'm now spending present time worrying about past and future time.", "Time is a flat circle and I'm stuck in the overthinking dimension.", "Maybe in another timeline, I already decided. Lucky them."] }
         ],
         loopBack: true
@@ -433,95 +2094,1503 @@ const thoughtTemplates = {
     existential: {
         icon: '🌌',
         name: 'Existential Tangent',
+        aliases: ['existential', 'meaning', 'universe', 'free will', 'void'],
         tone: 'hypothetical',
         templates: [
-            { depth: 1, thoughts: ["Does this decision really matter in the grand scheme?", "We're all just specks on a floating rock.", "Is free will even real?"] },
-            { depth: 2, thoughts: ["If the universe is infinite, there's a version of me who chose differently.", "What's the point of deciding if entropy wins anyway?", "Maybe nihilism has the answer... or no answer, technically."] },
+            { depth: 1, thoughts: ["Does this decision really matter in the grand scheme?", "We're all just specks on a floating rock.", "Is free will even real?", "In the grand scheme of the universe, does {gerund} matter?"] },
+            { depth: 2, thoughts: ["If the universe is infinite, there's a version of me who chose differently.", "What's the point of deciding if entropy wins anyway?", "Maybe nihilism has the answer... or no answer, technically.", "Billions of years of evolution led to me wondering whether to {action}."] },
             { depth: 3, thoughts: ["I started with a simple choice and now I'm questioning existence.", "The void is staring back and it also can't decide.", "Perhaps the real decision was the existential crisis we made along the way."] }
         ]
     }
-};
+};
+
+// Persona template packs - each persona's voice for the categories it favours.
+// Depth tiers listed here replace the built-in thoughts for that category.
+const personaTemplatePacks = {
+    student: {
+        rootThoughts: [
+            "Running on three hours of sleep and one brave thought.",
+            "This decision is due at midnight. It is 11:58.",
+            "Let me overthink this instead of the essay I should be writing."
+        ],
+        categories: {
+            avoidance: {
+                templates: [
+                    { depth: 1, thoughts: ["The deadline is Friday. Today is Monday. Future me has time.", "I'll decide right after this one episode.", "Let me just check the group chat first."] },
+                    { depth: 2, thoughts: ["It's Thursday, 2 AM, and I've alphabetised the spice rack instead.", "Technically napping is research into sleep science.", "If I reply 'lol same' to everything, nobody will notice I haven't decided."] },
+                    { depth: 3, thoughts: ["I've procrastinated so long the decision got an extension.", "My procrastination now has its own procrastination schedule.", "Maybe I should rethink everything from the start... after a nap."] }
+                ]
+            },
+            timeParadox: {
+                templates: [
+                    { depth: 1, thoughts: ["Is now the right time, or is it exam season?", "I should decide this before the semester ends. Which semester, though?", "Deciding at 3 AM feels wrong. Deciding at 9 AM feels impossible."] },
+                    { depth: 2, thoughts: ["Past me promised this would be sorted by now. Past me lies.", "If I wait until after exams, there's just another set of exams.", "My body is in the library but my sleep schedule is in another time zone."] },
+                    { depth: 3, thoughts: ["I've been awake so long that yesterday and tomorrow are holding hands.", "Time is a construct, and so is my attendance record.", "In another timeline I went to bed at a normal hour and already decided."] }
+                ]
+            },
+            financial: {
+                templates: [
+                    { depth: 1, thoughts: ["Can I afford this, or is it instant noodles again?", "That's roughly 14 coffees in student currency.", "Let me check my bank app. Actually, let's not."] },
+                    { depth: 2, thoughts: ["If I skip lunch for a week, I can technically afford it.", "My student loan is watching me make this choice.", "I've converted the price into hours of part-time shifts. It hurts."] },
+                    { depth: 3, thoughts: ["By graduation this decision will have accrued interest.", "I'm building a budget spreadsheet to afford the budget spreadsheet.", "Future me with a real salary will laugh at this. Future me is also imaginary."] }
+                ]
+            },
+            social: {
+                templates: [
+                    { depth: 1, thoughts: ["What will the group chat think?", "Is this something people in my year would do?", "What if my flatmate hears about it?"] },
+                    { depth: 2, thoughts: ["Someone will screenshot this and it'll end up on the class meme page.", "My lecturer definitely remembers me as 'the one who asked that question'.", "If I post about it, I'll overanalyse the likes. If I don't, I'll overanalyse that."] },
+                    { depth: 3, thoughts: ["Everyone else seems to have their life together, which is suspicious.", "I've drafted and deleted the same message 11 times.", "This brings me back to the same question... and the group chat still hasn't replied."] }
+                ]
+            }
+        }
+    },
+    manager: {
+        rootThoughts: [
+            "Let's take a step back and look at the big picture of this small picture.",
+            "Quick one - do we have alignment on this decision?",
+            "Per my last thought, this needs a meeting."
+        ],
+        categories: {
+            rational: {
+                templates: [
+                    { depth: 1, thoughts: ["Let's put this on the agenda and agree on success criteria.", "What's the ROI on this, realistically?", "Who are the key stakeholders in this decision?"] },
+                    { depth: 2, thoughts: ["I'll need a responsibility matrix. Possibly two.", "Let me book a quick 30-minute sync with myself.", "We should define the KPIs before we commit to anything."] },
+                    { depth: 3, thoughts: ["The decision now has a steering committee.", "I've scheduled a retro for a decision I haven't made yet.", "The slide deck for this choice has an appendix."] }
+                ]
+            },
+            optimization: {
+                templates: [
+                    { depth: 1, thoughts: ["Is this the most scalable option?", "Let's benchmark against industry best practice.", "There might be a more agile approach here."] },
+                    { depth: 2, thoughts: ["I've opened a ticket to explore alternative solutions.", "We need to A/B test both options with a control group of me.", "Let me loop in a consultant. The consultant is also me."] },
+                    { depth: 3, thoughts: ["We're now optimising the process for optimising the decision.", "The backlog is 40 items deep and none of them is the decision.", "Let's circle back on this. Then circle back on the circling back."] }
+                ],
+                loopBack: true
+            },
+            social: {
+                templates: [
+                    { depth: 1, thoughts: ["How will this land with leadership?", "Will the team see this as a good look?", "What are the optics here?"] },
+                    { depth: 2, thoughts: ["If I choose wrong, it'll come up in my performance review.", "Someone will 'reply all' about this. I can feel it.", "My manager's manager might hear about this in a skip-level."] },
+                    { depth: 3, thoughts: ["I'm workshopping how to frame this decision at the all-hands.", "I've pre-written an apology email, just to have it in drafts.", "Maybe everyone's too busy in meetings to notice. Maybe."] }
+                ]
+            },
+            contradictory: {
+                templates: [
+                    { depth: 1, thoughts: ["On one hand, we should move fast.", "Let's be bold here. But also cautious.", "We need more data. But we also need to ship."] },
+                    { depth: 2, thoughts: ["If we say yes, we're committing. If we say no, we're also committing, just to no.", "This aligns with our strategy, which I changed last quarter.", "The urgent option contradicts the important option."] },
+                    { depth: 3, thoughts: ["I've now proposed both options in the same email.", "Let's take this offline, where I can disagree with myself in private.", "This brings me back to the same question... let's table it for next quarter."] }
+                ]
+            }
+        }
+    },
+    parent: {
+        rootThoughts: [
+            "The baby is finally asleep. Time to overthink at full volume.",
+            "Is this a parenting decision? Everything is a parenting decision now.",
+            "I have eleven minutes before the next feed. Let's spiral."
+        ],
+        categories: {
+            catastrophic: {
+                templates: [
+                    { depth: 1, thoughts: ["What if this throws off the nap schedule?", "Is this safe for the baby? It's not baby-related, but still.", "What if this is the thing the baby remembers?"] },
+                    { depth: 2, thoughts: ["One disrupted nap becomes a disrupted week.", "The forums say this could affect 'developmental milestones'. Every forum says that.", "If the baby doesn't sleep, nobody sleeps. Ever again."] },
+                    { depth: 3, thoughts: ["This decision will come up in my child's future therapy sessions.", "I've mapped the butterfly effect from this to their university applications.", "The baby is asleep and I'm spiralling instead of sleeping."] }
+                ]
+            },
+            perfectionism: {
+                templates: [
+                    { depth: 1, thoughts: ["I want to get this exactly right, for the baby.", "What would the perfect parent do?", "There must be a correct answer in a parenting book somewhere."] },
+                    { depth: 2, thoughts: ["I've read four parenting books and they all disagree.", "The other parents at daycare seem to do everything perfectly.", "If I don't do it perfectly, am I setting a bad example?"] },
+                    { depth: 3, thoughts: ["I'm colour-coding the decision in the baby's milestone journal.", "Perfect parenting is a myth, but I still made a spreadsheet.", "Maybe good enough is good enough... but what if it isn't?"] }
+                ],
+                loopBack: true
+            },
+            social: {
+                templates: [
+                    { depth: 1, thoughts: ["What will the other parents think?", "Would my mother-in-law approve?", "Is this something I'd post in the family group chat?"] },
+                    { depth: 2, thoughts: ["Someone at baby group will have an opinion. Probably three.", "The grandparents will hear about this and call. Separately.", "If I post this, the comments will turn into a debate."] },
+                    { depth: 3, thoughts: ["I'm rehearsing my defence for the school-gate pick-up.", "Everyone at baby group is judging everyone. It's a tiny, tired Colosseum.", "This brings me back to the same question... after the next feed."] }
+                ]
+            },
+            regret: {
+                templates: [
+                    { depth: 1, thoughts: ["Will I regret this when they're older?", "They're only this small once.", "What if I miss a moment because of this?"] },
+                    { depth: 2, thoughts: ["In another timeline I chose differently and the baby slept through the night.", "They'll be off to university before I finish deciding.", "I already miss this stage, and it's still happening."] },
+                    { depth: 3, thoughts: ["I'm pre-regretting decisions for a person who currently eats socks.", "Future me will look at the photos and remember this exact dilemma.", "Pre-baby me had so much time to overthink. I miss that."] }
+                ]
+            }
+        }
+    },
+    uncle: {
+        rootThoughts: [
+            "I'm not saying this decision is rigged. I'm just saying... look into it.",
+            "Interesting decision. Very interesting. Too interesting.",
+            "Pull up a chair, kiddo. Let me tell you about this decision."
+        ],
+        categories: {
+            catastrophic: {
+                templates: [
+                    { depth: 1, thoughts: ["That's exactly what they'd want me to decide.", "Convenient timing for this decision, isn't it?", "Who benefits if I say yes? Think about it."] },
+                    { depth: 2, thoughts: ["First it's this decision, next thing you know my toaster is asking questions.", "I read somewhere - can't remember where - that this is how it starts.", "If I do this, it goes on a list. What list? Exactly."] },
+                    { depth: 3, thoughts: ["I've connected this decision to the price of pickles. The pickles know.", "The pigeons are watching. They've always been watching.", "I'm going to need more red string for this corkboard."] }
+                ]
+            },
+            contradictory: {
+                templates: [
+                    { depth: 1, thoughts: ["I'm not saying yes. I'm not saying no. I'm just asking questions.", "Everyone says one thing, so it must be the other.", "The obvious answer is too obvious."] },
+                    { depth: 2, thoughts: ["Unless they WANT me to think the obvious answer is too obvious.", "I did my own research, and it disagrees with my other research.", "If both options are available, who made them available? Hmm."] },
+                    { depth: 3, thoughts: ["I've debunked my own theory, which is exactly what they'd expect.", "I trust nobody, including the part of me that trusts nobody.", "This brings me back to the same question... wake up, people."] }
+                ]
+            },
+            existential: {
+                templates: [
+                    { depth: 1, thoughts: ["Do we even have free will, or is it Big Decision pulling the strings?", "What is a decision, really, when you think about it?", "Are we sure this is the real world? Just asking."] },
+                    { depth: 2, thoughts: ["Maybe the decision is making me.", "Who decided decisions were a thing anyway? Follow the money.", "Nobody can prove I exist before my first cup of coffee."] },
+                    { depth: 3, thoughts: ["The universe is a simulation and this is a loading screen.", "I've transcended the question and landed in the family group chat.", "Perhaps the real conspiracy was the overthinking we did along the way."] }
+                ]
+            },
+            optimization: {
+                templates: [
+                    { depth: 1, thoughts: ["Let me do some research. Not the official kind.", "I should compare both options. Independently. With a magnifying glass.", "A guy at the barbecue told me there's a third option."] },
+                    { depth: 2, thoughts: ["The reviews are all five stars. Suspicious.", "I watched a 3-hour video about this. It was mostly about something else.", "I cross-referenced the options with my horoscope and the weather."] },
+                    { depth: 3, thoughts: ["My browser history is now a documentary.", "I've found the optimal choice but I can't tell you, for your own safety.", "The more I research, the more research I need. Classic cover-up."] }
+                ],
+                loopBack: true
+            }
+        }
+    }
+};
+
+// Shared escalation tiers for spirals deeper than a category's own templates
+const deepThoughtTemplates = [
+    { depth: 4, thoughts: ["This decision is now a load-bearing part of my personality.", "Future historians will study this as 'The Great Hesitation'.", "I've started drafting a TED talk about this choice.", "My friends have a group chat about this that I'm not in.", "I've given this decision a nickname. We're on first-name terms now.", "There's a whiteboard. There are arrows. Some of the arrows point at other arrows."] },
+    { depth: 5, thoughts: ["Somewhere a parallel universe is deciding this for me, and it's also overthinking it.", "Every atom in my body has been replaced since I started thinking about this. Who is even deciding?", "The heat death of the universe is coming and I still haven't decided.", "Philosophers spent centuries on free will and never once helped me with this.", "If a tree falls in a forest while I'm deciding, I will also overthink the tree.", "Time is a construct, and so, apparently, is my ability to choose."] },
+    { depth: 6, thoughts: ["I'm aware that I'm overthinking, and aware that I'm aware. It's awareness all the way down.", "The spiral has developed its own spiral. It's asking me for advice.", "I have transcended the decision. The decision has not transcended me.", "I've reached the part of the spiral where the wallpaper starts talking.", "The question has stopped being a question. It's more of a weather system now.", "Somewhere up there, the original decision is waving. I can't wave back."] }
+];
+
+// For "go deeper" past every tier above - cycled with {gerund} filled in
+const abyssThoughtTemplates = [
+    "I've gone so deep that the original decision is now a rumour.",
+    "I'm now overthinking a thought about a thought about {gerund}.",
+    "Down here the thoughts don't even have words. Just vibes and mild dread.",
+    "I found the bottom of the spiral. There's a trapdoor.",
+    "My inner monologue has started footnoting itself.",
+    "At this depth, {gerund} is less a decision and more a lifestyle.",
+    "I've been down here so long my thoughts are sending postcards to the surface.",
+    "This is the deepest anyone has ever thought about {gerund}. I should plant a flag."
+];
+
+// "A or B" comparisons: {this} is the option the branch is about, {other} the one it isn't
+const comparisonRootThoughts = [
+    "{This} or {other}. Two perfectly good options and zero chance of a calm evening.",
+    "Option A: {this}. Option B: {other}. Option C: lie awake comparing them.",
+    "{This} versus {other}: the rematch nobody asked for.",
+    "Choosing between {this} and {other} should take a minute. I've blocked out the weekend."
+];
+
+// Options that already start with a verb ("take the job") need no "go with" in front
+const COMPARE_VERB_PATTERN = /^(accept|adopt|apply|ask|book|buy|call|cook|eat|get|go|join|keep|learn|leave|move|order|quit|rent|sell|start|stay|switch|take|text|try|visit|wait|watch)\b/i;
+
+const comparisonThoughtTemplates = [
+    { depth: 1, thoughts: ["But what about {other}, though?", "{Other} would never make me feel like this. Or would it?", "Everyone I know would say '{other}'. Is that a sign?"] },
+    { depth: 2, thoughts: ["Every reason for '{this}' is secretly a reason for '{other}'.", "Future me will look back on '{this}' and ask: but what about '{other}'?", "I've made a spreadsheet: '{this}' wins on paper, '{other}' wins on vibes."] },
+    { depth: 3, thoughts: ["In a parallel universe I went with '{other}' and that version of me is thriving.", "What if '{this}' and '{other}' are secretly the same option and I've been played?", "New plan: '{this}' on even days, '{other}' on odd days. Nobody has to know."] }
+];
+
+// "Reality check": a calm answer per category, then per tone for categories
+// that aren't built in (AI and pack categories), then a closing line
+const realityCheckTemplates = {
+    rational: ["The pros and cons fit on a napkin. The analysis was the expensive part.", "A good-enough answer to {gerund} beats a perfect one that never arrives."],
+    optimization: ["There is no optimal way to {action}, just a few perfectly fine ones.", "The best option is usually the one you actually get round to."],
+    social: ["Nobody is thinking about you {gerund} nearly as much as you are.", "The people who matter won't rank you by this decision."],
+    catastrophic: ["Decisions like this one rarely topple anything. The dominoes are mostly in your head.", "If {gerund} goes a bit wrong, it goes a bit wrong - and then it's a story."],
+    contradictory: ["Both sides making sense just means both are okay.", "You don't have to win the argument with yourself to pick something."],
+    regret: ["Regret is rarely about small choices like {gerund}.", "Future you will have bigger things to think about than this. Hopefully lunch."],
+    avoidance: ["Deciding takes a minute. Avoiding it has taken longer.", "Putting it off is fine too - it just isn't the same as deciding."],
+    perfectionism: ["It doesn't have to be perfect. It only has to be done.", "Nobody will notice the flaws you're bracing for."],
+    identity: ["You are not your choice about {gerund}. You're the person making it.", "Whatever you pick, you're still you tomorrow."],
+    financial: ["The numbers are smaller than the worry. They usually are.", "Money spent on something you enjoy isn't a catastrophe, it's a purchase."],
+    timeParadox: ["There's no perfect moment. Now is an ordinary one, and that's fine.", "You don't need a sign to {action}. Or not to."],
+    existential: ["The universe is fine with whatever you decide about {gerund}.", "It's a small decision in a big world, which is a relief."]
+};
+
+const realityCheckToneTemplates = {
+    rational: ["The sensible answer was probably the first one you thought of.", "Most of this was maths about things that won't happen."],
+    emotional: ["The feeling is real. The disaster it's predicting isn't.", "It's okay to care about this and still keep it small."],
+    absurd: ["This got out of hand in the funniest possible way. None of it is happening.", "If it sounds ridiculous, that's because it is."],
+    hypothetical: ["That's a 'what if', not a 'what is'.", "Most of the things we brace for never turn up."]
+};
+
+const realityCheckSummaries = [
+    "It's a small decision about {gerund}, and either choice is survivable.",
+    "Take a breath: whatever you decide about {gerund}, you'll be okay.",
+    "Nothing here needs solving tonight. {Gerund} is allowed to be a small thing.",
+    "Most of this spiral was weather, not climate. Decide, or don't, and carry on."
+];
+
+const comparisonRealitySummaries = [
+    "'{this}' or '{other}' - both are fine, which is why it was hard to choose.",
+    "When two options are this close, you can't pick the wrong one.",
+    "Either way, this will be a footnote by next month."
+];
+
+// Extra thoughts for decisions about common topics, mixed into whichever
+// branches the spiral picks. A keyword matches as a whole word (plurals and
+// -ing/-ed forms included).
+const keywordThoughts = {
+    food: {
+        keywords: ['eat', 'food', 'pizza', 'dinner', 'lunch', 'breakfast', 'snack', 'cook', 'coffee', 'dessert', 'restaurant', 'takeaway', 'takeout', 'meal', 'burger', 'cake'],
+        templates: [
+            { depth: 1, thoughts: ["Am I actually hungry, or just bored?", "Is this a treat or a habit? Asking for my nutritionist.", "What if {gerund} ruins my appetite for dinner... or is this dinner?"] },
+            { depth: 2, thoughts: ["I've now read the calorie count, the reviews and the chef's life story.", "If I eat now, what will I eat later? Will there even be a later?", "The fridge light has seen me too many times tonight."] },
+            { depth: 3, thoughts: ["Food is fuel, but also joy, but also guilt. It's complicated.", "I'll be thinking about this meal choice at 3 AM."] }
+        ]
+    },
+    texting: {
+        keywords: ['text', 'message', 'reply', 'call', 'dm', 'email', 'chat', 'ghost', 'whatsapp', 'respond', 'phone'],
+        templates: [
+            { depth: 1, thoughts: ["What if they've already read it and are just... waiting?", "Should I use an emoji? Which emoji? Not the wrong emoji.", "Double-texting is a crime in some countries, probably."] },
+            { depth: 2, thoughts: ["I've drafted this message 11 times. The first one was best.", "If they reply with 'k', I'm moving to another city.", "The typing bubble appeared and disappeared. What does it MEAN?"] },
+            { depth: 3, thoughts: ["The group chat has convened an emergency session about this.", "I'm screenshotting my own screenshots for a second opinion."] }
+        ]
+    },
+    money: {
+        keywords: ['buy', 'money', 'spend', 'afford', 'save', 'purchase', 'invest', 'price', 'cost', 'loan', 'rent', 'pay', 'sale', 'upgrade'],
+        templates: [
+            { depth: 1, thoughts: ["Can I actually afford this, or can I just technically afford it?", "What if it goes on sale the day after I buy it?", "My bank app is going to have questions."] },
+            { depth: 2, thoughts: ["I've opened 23 tabs comparing prices, including one from 2017.", "If I don't spend it, I'll save it. If I save it, I'll spend it on something worse.", "Is {object} an investment or a very expensive mood?"] },
+            { depth: 3, thoughts: ["Future me is already writing a strongly worded letter about this budget.", "I'm building a spreadsheet to decide whether I can afford the spreadsheet software."] }
+        ]
+    },
+    work: {
+        keywords: ['job', 'work', 'boss', 'quit', 'career', 'office', 'meeting', 'promotion', 'resign', 'interview', 'salary', 'colleague', 'manager'],
+        templates: [
+            { depth: 1, thoughts: ["What will my manager think?", "Is this a career move or a career mistake?", "Will {gerund} come up in my performance review?"] },
+            { depth: 2, thoughts: ["If I get this wrong, it'll follow me to every job interview.", "My LinkedIn profile is watching.", "Someone will reply-all about this, I can feel it."] },
+            { depth: 3, thoughts: ["In 20 years, this will be the anecdote in my retirement speech.", "I've mentally written my resignation letter and my apology letter."] }
+        ]
+    },
+    pets: {
+        keywords: ['pet', 'dog', 'cat', 'puppy', 'kitten', 'hamster', 'rabbit', 'bunny', 'parrot', 'goldfish', 'vet', 'adopt'],
+        templates: [
+            { depth: 1, thoughts: ["Who will look after {object} when I go on holiday?", "Am I responsible enough for a living creature?", "What if {object} doesn't like me?"] },
+            { depth: 2, thoughts: ["I've already picked a name, bought a tiny jumper and planned its birthday.", "What if it judges my life choices? Cats definitely do.", "Vet bills. Vet bills. Vet bills."] },
+            { depth: 3, thoughts: ["It will outlive my houseplants, which is a low bar.", "I'm now reading about pet psychology at 2 AM."] }
+        ]
+    }
+};
+
+// How many thoughts each depth tier gets, by intensity ([min, max])
+const thoughtsPerDepth = {
+    mild: [1, 1],
+    moderate: [1, 2],
+    intense: [1, 2],
+    meltdown: [2, 2]
+};
+
+// Longer verbs stressed on the last syllable, which double their final consonant too
+const DOUBLING_VERBS = new Set([
+    'admit', 'begin', 'commit', 'compel', 'control', 'defer', 'deter', 'emit', 'equip', 'expel', 'forget',
+    'incur', 'infer', 'occur', 'omit', 'patrol', 'permit', 'prefer', 'propel', 'rebel', 'recur', 'refer',
+    'regret', 'submit', 'transfer', 'transmit', 'upset'
+]);
+// Verbs ending in -c take a k: panic -> panicking
+const K_VERBS = new Set(['frolic', 'mimic', 'panic', 'picnic', 'traffic']);
+// -ing words that aren't gerunds
+const ING_NOUNS = new Set([
+    'anything', 'building', 'ceiling', 'clothing', 'evening', 'everything', 'meeting', 'morning', 'nothing',
+    'pudding', 'sibling', 'something', 'wedding'
+]);
+
+class FallbackGenerator {
+    constructor(templates = thoughtTemplates) {
+        this.setTemplates(templates);
+    }
+
+    // Swaps in a template set, e.g. the built-ins merged with template packs
+    setTemplates(templates) {
+        this.templates = templates;
+        this.categories = Object.keys(templates);
+    }
+
+    extractAction(decision) {
+        let action = decision.replace(/^(should i|do i|can i|will i|would i)\s*/i, '');
+        action = action.replace(/\?$/, '');
+        return action.trim();
+    }
+
+    /**
+     * Words that templates can drop in: {action} "adopt a pet",
+     * {gerund} "adopting a pet" and {object} "the pet". A capitalised slot
+     * ({Gerund}) capitalises the value. Decisions that aren't a "should I..."
+     * question get neutral stand-ins.
+     */
+    getSlots(decision) {
+        const action = this.extractAction(decision).replace(/[.!?\s]+$/, '');
+        const isQuestion = action.length > 0 && action.length < decision.replace(/\?$/, '').trim().length;
+
+        if (!isQuestion || !/^[a-z]/i.test(action)) {
+            return { action: 'do this', gerund: 'doing this', object: 'it' };
+        }
+
+        const [verb, ...rest] = action.split(/\s+/);
+        // "stop drinking coffee" has no tidy gerund ("stopping drinking..."), so that slot stays neutral
+        const gerund = rest.length > 0 && this.isGerund(rest[0]) ? 'doing this' : [this.toGerund(verb), ...rest].join(' ');
+        const object = rest.join(' ')
+            .replace(/^(to|for|with|on|at|in|into|about|up|out)\s+/i, '')
+            .replace(/\s+(first|today|tonight|tomorrow|now|again|right now|this weekend|anyway)$/i, '')
+            .replace(/^(down|up|out|off|over|away|back)$/i, '')
+            .replace(/^(a|an|some)\s+/i, 'the ');
+
+        return {
+            action: action,
+            gerund: gerund,
+            object: object || 'it'
+        };
+    }
+
+    // "drinking" is, "bring" and "morning" aren't
+    isGerund(word) {
+        const lower = word.toLowerCase();
+        return /^[a-z]*[aeiouy][a-z]*ing$/.test(lower) && !ING_NOUNS.has(lower);
+    }
+
+    toGerund(verb) {
+        const word = verb.toLowerCase();
+        if (word === 'be') return 'being';
+        if (this.isGerund(word)) return verb;
+        if (word.endsWith('ie')) return verb.slice(0, -2) + 'ying';
+        if (/[^aeiouy]e$/.test(word) || word.endsWith('ue')) return verb.slice(0, -1) + 'ing';
+        if (K_VERBS.has(word)) return verb + 'king';
+        // Short consonant-vowel-consonant verbs double up: nap -> napping, quit -> quitting
+        if (DOUBLING_VERBS.has(word) || /^(qu|[^aeiou])*[aeiou][bdgklmnprt]$/.test(word)) {
+            return verb + verb.slice(-1) + 'ing';
+        }
+        return verb + 'ing';
+    }
+
+    fillSlots(text, slots) {
+        return text.replace(/\{([a-z]+)\}/gi, (match, name) => {
+            const value = slots[name.toLowerCase()];
+            if (value === undefined) return match;
+            return name[0] === name[0].toUpperCase() ? value.charAt(0).toUpperCase() + value.slice(1) : value;
+        });
+    }
+
+    // The depth tiers of every topic the decision mentions, merged
+    getKeywordTemplates(decision) {
+        const text = decision.toLowerCase();
+        const tiers = {};
+
+        Object.values(keywordThoughts)
+            .filter(topic => topic.keywords.some(keyword => new RegExp(`\\b${keyword}(s|es|ing|ed|ping|ting)?\\b`).test(text)))
+            .forEach(topic => topic.templates.forEach(group => {
+                tiers[group.depth] = [...(tiers[group.depth] || []), ...group.thoughts];
+            }));
+
+        return tiers;
+    }
+
+    generateRootThought(decision, persona, random) {
+        const templates = personaTemplatePacks[persona]?.rootThoughts || [
+            "Hmm, this seems simple enough... or is it?",
+            "A straightforward question that deserves 47 layers of analysis.",
+            "Let me consider this from every possible angle.",
+            "This decision could go either way. Let's explore both. And then some.",
+            "On the surface, this seems easy. *Narrator: It was not easy.*",
+            "So... {gerund}. Simple enough. Or is it?",
+            "{Gerund}: a five-second decision about to take five hours."
+        ];
+        return this.fillSlots(random.pick(templates), this.getSlots(decision));
+    }
+
+    // The category's template with the persona's voice swapped in where it has one
+    getTemplate(category, persona) {
+        const template = this.templates[category];
+        const override = personaTemplatePacks[persona]?.categories[category];
+        if (!override) return template;
+
+        return {
+            ...template,
+            templates: template.templates.map(group =>
+                override.templates.find(personaGroup => personaGroup.depth === group.depth) || group
+            ),
+            loopBack: override.loopBack ?? template.loopBack
+        };
+    }
+
+    // Weighted pick without repeats - the persona's favourite categories are three times as likely
+    pickCategories(candidates, count, bias, random) {
+        const pool = [...candidates];
+        const picked = [];
+
+        while (picked.length < count && pool.length > 0) {
+            const weights = pool.map(category => bias.includes(category) ? 3 : 1);
+            let roll = random.next() * weights.reduce((sum, weight) => sum + weight, 0);
+            const index = weights.findIndex(weight => (roll -= weight) < 0);
+            picked.push(pool.splice(index < 0 ? pool.length - 1 : index, 1)[0]);
+        }
+
+        return picked;
+    }
+
+    // A category's own tiers up to maxDepth, topped up with the shared deep tiers
+    getDepthGroups(template, maxDepth) {
+        const ownDepths = template.templates.map(group => group.depth);
+        return [
+            ...template.templates,
+            ...deepThoughtTemplates.filter(group => !ownDepths.includes(group.depth))
+        ].filter(group => group.depth <= maxDepth);
+    }
+
+    /**
+     * `context` is shared across a spiral's branches: the seeded `random`
+     * and `usedThoughts`, so each keyword-triggered or shared deep-tier
+     * thought shows up at most once. When the shared tiers run dry, later
+     * branches dip into the abyss, then stop.
+     */
+    generateBranchThoughts(category, decision, options = SpiralPrompt.DEFAULT_OPTIONS, context = {}) {
+        const {
+            random = new SpiralRandom.SeededRandom(SpiralRandom.createSeed()),
+            usedThoughts = new Set()
+        } = context;
+        const template = this.getTemplate(category, options.persona);
+        const [minThoughts, maxThoughts] = thoughtsPerDepth[options.intensity] || thoughtsPerDepth.moderate;
+        const slots = this.getSlots(decision);
+        const topicTiers = this.getKeywordTemplates(decision);
+        const nodes = [];
+
+        const unused = thoughts => thoughts.filter(thought => !usedThoughts.has(thought));
+        const depthGroups = this.getDepthGroups(template, options.maxDepth).sort((a, b) => a.depth - b.depth);
+
+        for (const depthGroup of depthGroups) {
+            let numThoughts = random.int(minThoughts, maxThoughts);
+            const topicThoughts = unused(topicTiers[depthGroup.depth] || []);
+            let ownThoughts = depthGroup.thoughts;
+            if (deepThoughtTemplates.includes(depthGroup)) {
+                // One each from the shared tiers, so they stretch across more branches
+                numThoughts = 1;
+                ownThoughts = unused(depthGroup.thoughts);
+                if (ownThoughts.length === 0) ownThoughts = unused(abyssThoughtTemplates);
+            }
+            const shuffledThoughts = random.shuffle([...ownThoughts, ...topicThoughts]);
+            // Out of fresh deep thoughts - a gap in the depths would read as a skipped step
+            if (shuffledThoughts.length === 0) break;
+
+            for (let i = 0; i < Math.min(numThoughts, shuffledThoughts.length); i++) {
+                usedThoughts.add(shuffledThoughts[i]);
+                nodes.push({
+                    text: this.fillSlots(shuffledThoughts[i], slots),
+                    depth: depthGroup.depth
+                });
+            }
+        }
+
+        nodes.sort((a, b) => a.depth - b.depth);
+
+        return {
+            category: template.name,
+            categoryKey: category,
+            icon: template.icon,
+            tone: template.tone,
+            nodes: nodes,
+            loop_back: template.loopBack || false
+        };
+    }
+
+    /**
+     * "Go deeper" without AI: three more levels below `node`, from the
+     * branch's own tiers where it has them, then the shared deep tiers,
+     * then the abyss. Thoughts already in the branch are skipped.
+     */
+    generateDeeper(decision, branch, node, options, seed = SpiralRandom.createSeed()) {
+        const spiralOptions = SpiralPrompt.normalizeOptions(options);
+        const random = new SpiralRandom.SeededRandom(seed);
+        const template = this.templates[branch.categoryKey] ? this.getTemplate(branch.categoryKey, spiralOptions.persona) : null;
+        const groups = template ? this.getDepthGroups(template, Infinity) : deepThoughtTemplates;
+        const [minThoughts, maxThoughts] = thoughtsPerDepth[spiralOptions.intensity] || thoughtsPerDepth.moderate;
+        const slots = this.getSlots(decision);
+        const topicTiers = this.getKeywordTemplates(decision);
+        const used = new Set(SpiralThoughts.flatten(branch.nodes).map(item => item.node.text));
+        const nodes = [];
+
+        for (let depth = node.depth + 1; depth <= node.depth + SpiralPrompt.DEEPER_LEVELS; depth++) {
+            const tier = groups.find(group => group.depth === depth)?.thoughts || [];
+            const fresh = thoughts => thoughts.map(thought => this.fillSlots(thought, slots)).filter(text => !used.has(text));
+            let candidates = fresh([...tier, ...(topicTiers[depth] || [])]);
+            if (candidates.length === 0) candidates = fresh(abyssThoughtTemplates);
+            if (candidates.length === 0) break;
+
+            random.shuffle(candidates).slice(0, random.int(minThoughts, maxThoughts)).forEach(text => {
+                used.add(text);
+                nodes.push({ text: text, depth: depth });
+            });
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Builds a spiral from templates, honouring the same options as the AI
+     * prompt: intensity, branch count, max depth and category selection.
+     * The same seed, decision, options and template packs always give the
+     * same spiral; without a seed a fresh one is picked.
+     */
+    generate(decision, options, seed = SpiralRandom.createSeed()) {
+        if (!decision || decision.trim().length === 0) {
+            return null;
+        }
+
+        const spiralOptions = SpiralPrompt.normalizeOptions(options);
+        const random = SpiralRandom.forSpiral(seed, decision);
+        const branches = [];
+
+        // Randomly pick categories for variety, from the user's selection if there is one
+        const candidates = spiralOptions.categories.length > 0
+            ? spiralOptions.categories.filter(category => this.templates[category])
+            : this.categories;
+        const bias = SpiralPrompt.PERSONAS[spiralOptions.persona].bias;
+        const selectedCategories = this.pickCategories(candidates, spiralOptions.branchCount, bias, random);
+
+        const context = { random: random, usedThoughts: new Set() };
+        selectedCategories.forEach((category, index) => {
+            const branch = this.generateBranchThoughts(category, decision, spiralOptions, context);
+            // A little jitter so cards don't land like a metronome
+            branch.animationDelay = Math.round((index * 0.15 + random.next() * 0.05) * 1000) / 1000;
+            branches.push(branch);
+        });
+
+        const loopCount = branches.filter(b => b.loop_back).length;
+        const humorLevel = loopCount >= 3 ? 'high' : loopCount >= 2 ? 'moderate' : 'subtle';
+
+        return {
+            decision: decision,
+            root_thought: this.generateRootThought(decision, spiralOptions.persona, random),
+            branches: branches,
+            meta: {
+                humor_level: humorLevel,
+                absurdity_level: SpiralPrompt.INTENSITIES[spiralOptions.intensity].absurdity,
+                safety_checked: true
+            },
+            options: spiralOptions,
+            seed: seed
+        };
+    }
+
+    /**
+     * A "reality check" without AI: a calm counter-thought per branch,
+     * picked by category (or by tone, for categories the templates don't
+     * know), and a closing line. Seeded by the spiral itself, so the same
+     * spiral always gets the same check. Returns { counters, summary }.
+     */
+    generateRealityCheck(result) {
+        const random = SpiralRandom.forSpiral(SpiralRandom.hashString(result.root_thought), result.decision);
+        const compare = result.compare?.options;
+        // A comparison's branches are each about one option
+        const decisionFor = branch => compare && Number.isInteger(branch.option)
+            ? this.optionAsDecision(compare[branch.option])
+            : result.decision;
+        const used = new Set();
+
+        const counters = result.branches.map(branch => {
+            const pool = realityCheckTemplates[branch.categoryKey]
+                || realityCheckToneTemplates[branch.tone]
+                || realityCheckToneTemplates.hypothetical;
+            const fresh = pool.filter(template => !used.has(template));
+            const template = random.pick(fresh.length > 0 ? fresh : pool);
+            used.add(template);
+            return this.fillSlots(template, this.getSlots(decisionFor(branch)));
+        });
+
+        const summary = compare
+            ? this.fillSlots(random.pick(comparisonRealitySummaries), { this: this.optionAsSlot(compare[0]), other: this.optionAsSlot(compare[1]) })
+            : this.fillSlots(random.pick(realityCheckSummaries), this.getSlots(result.decision));
+
+        return { counters: counters, summary: summary };
+    }
+
+    // "Take the job" reads as a decision already; "Berlin" needs a verb before the slots make sense
+    optionAsDecision(option) {
+        const text = option.trim().replace(/[?.!]+$/, '');
+        if (/^(should|do|can|will|would)\s+i\b/i.test(text)) return `${text}?`;
+        return COMPARE_VERB_PATTERN.test(text) ? `Should I ${this.optionAsSlot(text)}?` : `Should I go with ${text}?`;
+    }
+
+    // An option as it reads mid-sentence: "Stay in Lisbon" -> "stay in Lisbon", "Berlin" stays "Berlin"
+    optionAsSlot(option) {
+        return COMPARE_VERB_PATTERN.test(option) ? option.charAt(0).toLowerCase() + option.slice(1) : option;
+    }
+
+    /**
+     * An "A or B" comparison from templates: the same categories spiralled
+     * for each option (half the branch count each), with one thought per
+     * branch dragging the other option back in. Seeded like generate().
+     */
+    generateComparison(optionA, optionB, options, seed = SpiralRandom.createSeed()) {
+        const spiralOptions = SpiralPrompt.normalizeOptions(options);
+        const compare = [optionA.trim(), optionB.trim()];
+        const decision = SpiralPrompt.comparisonDecision(...compare);
+        const random = SpiralRandom.forSpiral(seed, decision);
+
+        const candidates = spiralOptions.categories.length > 0
+            ? spiralOptions.categories.filter(category => this.templates[category])
+            : this.categories;
+        const bias = SpiralPrompt.PERSONAS[spiralOptions.persona].bias;
+        const perOption = Math.min(candidates.length, SpiralPrompt.branchesPerOption(spiralOptions.branchCount));
+        const selectedCategories = this.pickCategories(candidates, perOption, bias, random);
+
+        const branches = [];
+        // One context for both sides, so their branches don't share deep thoughts either
+        const context = { random: random, usedThoughts: new Set() };
+        compare.forEach((option, side) => {
+            const optionDecision = this.optionAsDecision(option);
+            const slots = { this: this.optionAsSlot(option), other: this.optionAsSlot(compare[1 - side]) };
+
+            selectedCategories.forEach((category, index) => {
+                const branch = this.generateBranchThoughts(category, optionDecision, spiralOptions, context);
+                const tier = comparisonThoughtTemplates.filter(group => group.depth <= spiralOptions.maxDepth);
+                const group = random.pick(tier);
+                // After the thoughts of its own depth, so the branch still escalates
+                const at = branch.nodes.findIndex(node => node.depth > group.depth);
+                branch.nodes.splice(at < 0 ? branch.nodes.length : at, 0, {
+                    text: this.fillSlots(random.pick(group.thoughts), slots),
+                    depth: group.depth,
+                    cross_ref: true
+                });
+                branch.option = side;
+                branch.animationDelay = Math.round((index * 0.15 + side * 0.075 + random.next() * 0.05) * 1000) / 1000;
+                branches.push(branch);
+            });
+        });
+
+        const loopCount = branches.filter(b => b.loop_back).length;
+        const humorLevel = loopCount >= 3 ? 'high' : loopCount >= 2 ? 'moderate' : 'subtle';
+
+        return {
+            decision: decision,
+            root_thought: this.fillSlots(random.pick(comparisonRootThoughts), { this: this.optionAsSlot(compare[0]), other: this.optionAsSlot(compare[1]) }),
+            branches: branches,
+            compare: { options: compare },
+            meta: {
+                humor_level: humorLevel,
+                absurdity_level: SpiralPrompt.INTENSITIES[spiralOptions.intensity].absurdity,
+                safety_checked: true
+            },
+            options: spiralOptions,
+            seed: seed
+        };
+    }
+}
+
+// ============================================
+// CATEGORY REGISTRY
+// ============================================
+
+// Words that appear in many category names and say nothing about which one it is
+const CATEGORY_STOPWORDS = ['the', 'and', 'spiral', 'loop', 'path', 'chain', 'tangent', 'trap', 'crisis', 'anxiety', 'thinking', 'thought', 'thoughts'];
+const CATEGORY_MATCH_THRESHOLD = 0.35;
+const GENERATED_CATEGORY_ICONS = ['💭', '🌀', '🫠', '🤯', '🙃', '🫣', '🧩', '🎲', '🪤', '🌪️'];
+
+/**
+ * Knows every category the app can style, keyed the same way as
+ * thoughtTemplates. Resolves free-form category names from the AI to one
+ * of those keys, or generates a stable key, icon and colour for new ones.
+ */
+class CategoryRegistry {
+    constructor(templates) {
+        this.categories = new Map();
+        this.generated = new Map();
+
+        this.load(templates);
+    }
+
+    // Replaces the known categories, e.g. after template packs change
+    load(templates) {
+        this.categories.clear();
+        Object.entries(templates).forEach(([key, template]) => this.register(key, template));
+    }
+
+    register(key, template) {
+        const aliases = template.aliases || [];
+        this.categories.set(key, {
+            key: key,
+            name: template.name,
+            icon: template.icon,
+            tone: template.tone,
+            aliases: aliases,
+            tokens: new Set([template.name, ...aliases].flatMap(text => this.tokenize(text)))
+        });
+    }
+
+    get(key) {
+        return this.categories.get(key) || this.generated.get(key) || null;
+    }
+
+    keys() {
+        return [...this.categories.keys()];
+    }
+
+    /**
+     * Returns the best matching category for an AI branch. Unknown names get
+     * a generated entry (flagged with `generated: true`) instead of being
+     * forced into the closest built-in style.
+     */
+    resolve(name, tone) {
+        const normalized = this.normalize(name);
+        let best = null;
+        let bestScore = 0;
+
+        this.categories.forEach(category => {
+            const score = this.score(category, normalized, tone);
+            if (score > bestScore) {
+                best = category;
+                bestScore = score;
+            }
+        });
+
+        if (best && bestScore >= CATEGORY_MATCH_THRESHOLD) {
+            return best;
+        }
+
+        return this.generate(name);
+    }
+
+    score(category, normalized, tone) {
+        if (!normalized) return 0;
+        if (normalized === this.normalize(category.name) || normalized === category.key.toLowerCase()) {
+            return 1;
+        }
+
+        const tokens = this.tokenize(normalized);
+        const overlap = tokens.length > 0
+            ? tokens.filter(token => category.tokens.has(token)).length / tokens.length
+            : 0;
+        const aliasHit = category.aliases.some(alias => normalized.includes(this.normalize(alias)));
+        // Tone only breaks ties between otherwise similar names
+        const toneBonus = tone && tone.toLowerCase() === category.tone ? 0.05 : 0;
+
+        return overlap * 0.6 + (aliasHit ? 0.4 : 0) + toneBonus;
+    }
+
+    generate(name) {
+        const label = (name || '').trim() || 'Unlabelled Spiral';
+        const slug = this.normalize(label).replace(/ /g, '-').slice(0, 40) || 'unlabelled';
+        const key = `custom-${slug}`;
+
+        if (!this.generated.has(key)) {
+            const hash = this.hash(slug);
+            this.generated.set(key, {
+                key: key,
+                name: label,
+                icon: GENERATED_CATEGORY_ICONS[hash % GENERATED_CATEGORY_ICONS.length],
+                color: `hsl(${hash % 360}, 70%, 65%)`,
+                generated: true
+            });
+        }
+
+        return this.generated.get(key);
+    }
+
+    normalize(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    // Crude stemming: "judgement", "judgment" and "judgements" all become "judgme"
+    tokenize(text) {
+        return this.normalize(text)
+            .split(' ')
+            .filter(word => word.length >= 3 && !CATEGORY_STOPWORDS.includes(word))
+            .map(word => word.slice(0, 6));
+    }
+
+    hash(text) {
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+        }
+        return hash;
+    }
+}
+
+const categoryRegistry = new CategoryRegistry(thoughtTemplates);
+
+// ============================================
+// TEMPLATE PACKS
+// ============================================
+
+/*
+ * A template pack is a JSON document with the same category shape as
+ * `thoughtTemplates`:
+ *
+ * {
+ *   "version": 1,
+ *   "id": "work",
+ *   "name": "Work Spirals",
+ *   "categories": {
+ *     "meetingDread": {
+ *       "icon": "📅", "name": "Meeting Dread", "tone": "emotional", "loopBack": true,
+ *       "aliases": ["meetings"],
+ *       "templates": [{ "depth": 1, "thoughts": ["..."] }]
+ *     }
+ *   }
+ * }
+ *
+ * New category keys add categories; keys that already exist add their
+ * thoughts to the matching depth tiers.
+ */
+const TEMPLATE_PACK_VERSION = 1;
+const TEMPLATE_PACK_LIMITS = {
+    MAX_FILE_SIZE: 256 * 1024,
+    MAX_CATEGORIES: 24,
+    MAX_THOUGHTS_PER_DEPTH: 50,
+    MAX_TEXT_LENGTH: 200
+};
+const TEMPLATE_PACK_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{0,39}$/;
+
+const TEMPLATE_PACK_SCHEMA = {
+    type: 'object',
+    properties: {
+        version: { type: 'integer', required: true, minimum: 1, maximum: TEMPLATE_PACK_VERSION },
+        id: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        description: { type: 'string' },
+        categories: { type: 'object', required: true, properties: {} }
+    }
+};
+
+const TEMPLATE_CATEGORY_SCHEMA = {
+    type: 'object',
+    properties: {
+        icon: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        tone: { type: 'string', required: true, enum: SPIRAL_TONES },
+        loopBack: { type: 'boolean' },
+        aliases: { type: 'array', items: { type: 'string' } },
+        templates: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    depth: { type: 'integer', required: true, minimum: SPIRAL_DEPTH.MIN, maximum: SPIRAL_DEPTH.MAX },
+                    thoughts: { type: 'array', required: true, minItems: 1, items: { type: 'string' } }
+                }
+            }
+        }
+    }
+};
+
+class TemplatePackError extends Error {
+    constructor(errors) {
+        super(`Template pack is invalid: ${errors.slice(0, 3).join('; ')}`);
+        this.name = 'TemplatePackError';
+        this.errors = errors;
+    }
+}
+
+class TemplatePackManager {
+    constructor() {
+        this.storageKey = 'template_packs';
+        this.schema = new SpiralSchema();
+        this.shippedPacks = [];
+    }
+
+    // Shipped packs first, then the user's own imports
+    getPacks() {
+        return [...this.shippedPacks, ...this.getImportedPacks()];
+    }
+
+    getImportedPacks() {
+        try {
+            const packs = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            // Storage is editable - anything that no longer validates is ignored
+            return packs.filter(pack => this.validate(pack).length === 0);
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Loads the packs listed in the manifest (`{ "packs": ["work.json"] }`).
+     * Invalid packs are skipped with a warning so one bad file can't break
+     * the rest; a missing manifest (e.g. opened from file://) means none.
+     */
+    async loadShippedPacks(manifestUrl = CONFIG.TEMPLATE_PACKS_URL) {
+        try {
+            const response = await fetch(manifestUrl);
+            if (!response.ok) return [];
+            const manifest = await response.json();
+            const files = Array.isArray(manifest.packs) ? manifest.packs : [];
+
+            const packs = await Promise.all(files.map(async file => {
+                try {
+                    const packResponse = await fetch(new URL(file, new URL(manifestUrl, window.location.href)));
+                    return this.parse(await packResponse.text());
+                } catch (error) {
+                    console.warn(`Skipping template pack ${file}:`, error.errors || error.message);
+                    return null;
+                }
+            }));
+
+            this.shippedPacks = packs.filter(Boolean);
+        } catch (error) {
+            console.warn('No template packs loaded:', error.message);
+        }
+
+        return this.shippedPacks;
+    }
+
+    // Parses and validates pack JSON, throwing TemplatePackError with every problem found
+    parse(text) {
+        if (typeof text !== 'string' || text.length > TEMPLATE_PACK_LIMITS.MAX_FILE_SIZE) {
+            throw new TemplatePackError([`pack should be a JSON file under ${TEMPLATE_PACK_LIMITS.MAX_FILE_SIZE / 1024} KB`]);
+        }
+
+        let pack;
+        try {
+            pack = JSON.parse(text);
+        } catch (error) {
+            throw new TemplatePackError([`pack is not valid JSON (${error.message})`]);
+        }
+
+        const errors = this.validate(pack);
+        if (errors.length > 0) {
+            throw new TemplatePackError(errors);
+        }
+
+        return pack;
+    }
+
+    // Returns a list of human-readable problems; empty when the pack is valid
+    validate(pack) {
+        const errors = this.schema.validate(pack, TEMPLATE_PACK_SCHEMA, 'pack');
+        // Keep going past shallow problems so the user sees them all at once
+        if (!this.schema.matchesType(pack, 'object') || !this.schema.matchesType(pack.categories, 'object')) {
+            return errors;
+        }
+
+        if (typeof pack.id === 'string' && pack.id.trim() && !TEMPLATE_PACK_KEY_PATTERN.test(pack.id)) {
+            errors.push('pack.id should be letters, numbers, - or _ (max 40 characters)');
+        }
+
+        const categories = Object.entries(pack.categories);
+        if (categories.length === 0) {
+            errors.push('pack.categories should have at least 1 category');
+        }
+        if (categories.length > TEMPLATE_PACK_LIMITS.MAX_CATEGORIES) {
+            errors.push(`pack.categories should have at most ${TEMPLATE_PACK_LIMITS.MAX_CATEGORIES} categories`);
+        }
+
+        categories.slice(0, TEMPLATE_PACK_LIMITS.MAX_CATEGORIES).forEach(([key, category]) => {
+            const path = `pack.categories.${key}`;
+            if (!TEMPLATE_PACK_KEY_PATTERN.test(key)) {
+                errors.push(`${path} has an invalid key - use letters, numbers, - or _ (max 40 characters)`);
+                return;
+            }
+            // Keys end up as property names - "constructor" and friends are taken
+            if (key in Object.prototype) {
+                errors.push(`${path} has a reserved key - pick another name`);
+                return;
+            }
+
+            const categoryErrors = this.schema.validate(category, TEMPLATE_CATEGORY_SCHEMA, path);
+            errors.push(...categoryErrors);
+            if (categoryErrors.length > 0) return;
+
+            const depths = category.templates.map(group => group.depth);
+            depths
+                .filter((depth, i) => depths.indexOf(depth) !== i)
+                .forEach(depth => errors.push(`${path}.templates has depth ${depth} more than once`));
+
+            category.templates.forEach((group, i) => {
+                if (group.thoughts.length > TEMPLATE_PACK_LIMITS.MAX_THOUGHTS_PER_DEPTH) {
+                    errors.push(`${path}.templates[${i}].thoughts should have at most ${TEMPLATE_PACK_LIMITS.MAX_THOUGHTS_PER_DEPTH} thoughts`);
+                }
+            });
+
+            [category.icon, category.name, ...(category.aliases || []), ...category.templates.flatMap(group => group.thoughts)]
+                .filter(text => text.length > TEMPLATE_PACK_LIMITS.MAX_TEXT_LENGTH)
+                .slice(0, 1)
+                .forEach(() => errors.push(`${path} has text longer than ${TEMPLATE_PACK_LIMITS.MAX_TEXT_LENGTH} characters`));
+        });
+
+        return errors;
+    }
+
+    // Validates and saves an imported pack, replacing any earlier import with the same id
+    importPack(text) {
+        const pack = this.parse(text);
+        const packs = this.getImportedPacks().filter(existing => existing.id !== pack.id);
+        packs.push(pack);
+        localStorage.setItem(this.storageKey, JSON.stringify(packs));
+        return pack;
+    }
+
+    removePack(id) {
+        const packs = this.getImportedPacks().filter(pack => pack.id !== id);
+        localStorage.setItem(this.storageKey, JSON.stringify(packs));
+    }
+
+    /**
+     * Merges packs over the built-in templates without mutating either.
+     * Later packs win on icon/name/tone/loopBack; thoughts accumulate.
+     */
+    buildTemplates(packs = this.getPacks()) {
+        // No prototype, so a category key can never find an inherited member
+        const templates = Object.create(null);
+        Object.entries(thoughtTemplates).forEach(([key, template]) => {
+            templates[key] = { ...template, templates: template.templates.map(group => ({ ...group })) };
+        });
+
+        packs.forEach(pack => {
+            Object.entries(pack.categories).forEach(([key, category]) => {
+                const existing = templates[key];
+                if (!existing) {
+                    templates[key] = { ...category, templates: category.templates.map(group => ({ ...group })) };
+                    return;
+                }
+
+                const merged = { ...existing, ...category, templates: existing.templates };
+                category.templates.forEach(group => {
+                    const tier = merged.templates.find(existingGroup => existingGroup.depth === group.depth);
+                    if (tier) {
+                        tier.thoughts = [...tier.thoughts, ...group.thoughts];
+                    } else {
+                        merged.templates.push({ ...group });
+                    }
+                });
+                merged.templates.sort((a, b) => a.depth - b.depth);
+                merged.aliases = [...new Set([...(existing.aliases || []), ...(category.aliases || [])])];
+                templates[key] = merged;
+            });
+        });
+
+        return templates;
+    }
+}
+
+// ============================================
+// SPIRAL GRAPH (SVG tree view)
+// ============================================
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const GRAPH_LAYOUT = {
+    COLUMN_WIDTH: 270,
+    NODE_WIDTH: 220,
+    LINE_HEIGHT: 16,
+    PADDING: 10,
+    GAP: 14,
+    CHARS_PER_LINE: 30,
+    MIN_SCALE: 0.2,
+    MAX_SCALE: 3
+};
+
+/**
+ * Draws a spiral as a tree: the root thought on the left, one category node
+ * per branch, and each thought hanging off the thought one level shallower.
+ * Loop-back branches get an arrow curving back to the root. Supports
+ * pan (drag), zoom (wheel or buttons), collapsing a branch by clicking its
+ * category and highlighting the path to whatever is hovered. Clicking a
+ * thought calls `onThoughtClick(branchIndex, path)`, if given.
+ */
+class SpiralGraphView {
+    constructor(container, { onThoughtClick } = {}) {
+        this.container = container;
+        this.onThoughtClick = onThoughtClick;
+        this.collapsed = new Set();
+        this.transform = { x: 0, y: 0, scale: 1 };
+        this.result = null;
+        this.parents = new Map();
+
+        this.svg = this.createSvgElement('svg', { class: 'graph-svg', role: 'img' });
+        this.svg.innerHTML = `
+            <defs>
+                <marker id="graph-arrow" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                    <path class="graph-arrow-head" d="M0,0 L10,5 L0,10 z"></path>
+                </marker>
+            </defs>
+        `;
+        this.viewport = this.createSvgElement('g', { class: 'graph-viewport' });
+        this.svg.appendChild(this.viewport);
+        this.container.appendChild(this.svg);
+
+        this.bindPanZoom();
+    }
+
+    createSvgElement(tag, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    /**
+     * Draws the spiral. `keepView` keeps the current pan/zoom (e.g. while
+     * streaming or collapsing); otherwise the tree is fitted to the view.
+     */
+    render(result, { keepView = false } = {}) {
+        if (this.result !== result && !keepView) {
+            this.collapsed.clear();
+        }
+        this.result = result;
+        this.viewport.innerHTML = '';
+        this.parents.clear();
+        this.svg.setAttribute('aria-label', `Thought tree for "${result.decision}"`);
+
+        const tree = this.buildTree(result);
+        const bounds = this.layout(tree);
+
+        const edges = this.createSvgElement('g', { class: 'graph-edges' });
+        const loops = this.createSvgElement('g', { class: 'graph-loops' });
+        const nodes = this.createSvgElement('g', { class: 'graph-nodes' });
+        this.viewport.append(edges, loops, nodes);
+
+        this.walk(tree, node => {
+            nodes.appendChild(this.drawNode(node));
+            this.visibleChildren(node).forEach(child => {
+                this.parents.set(child.id, node.id);
+                edges.appendChild(this.drawEdge(node, child));
+            });
+            if (node.kind === 'category' && node.loopBack) {
+                loops.appendChild(this.drawLoopBack(this.deepestNode(node), tree, node));
+            }
+        });
+
+        if (!keepView) {
+            this.fit(bounds);
+        }
+        this.applyTransform();
+    }
+
+    buildTree(result) {
+        return {
+            id: 'root',
+            kind: 'root',
+            text: result.root_thought,
+            children: result.branches.map((branch, branchIndex) => ({
+                id: `b${branchIndex}`,
+                kind: 'category',
+                branchIndex: branchIndex,
+                // A comparison's branches say which option they belong to
+                text: `${Number.isInteger(branch.option) ? `${SpiralPrompt.COMPARE_LABELS[branch.option]} · ` : ''}${branch.icon || '💭'} ${branch.category}`,
+                color: branch.color || `var(--color-${branch.categoryKey}, var(--accent-primary))`,
+                loopBack: branch.loop_back,
+                children: this.nestNodes(branch.nodes, branchIndex, branch)
+            }))
+        };
+    }
 
-class FallbackGenerator {
-    constructor() {
-        this.categories = Object.keys(thoughtTemplates);
-    }
+    /**
+     * Each thought hangs off the closest earlier thought one level
+     * shallower; a thought's sub-spiral (see SpiralThoughts) hangs off it.
+     */
+    nestNodes(nodes, branchIndex, branch, parentPath = []) {
+        const color = branch.color || `var(--color-${branch.categoryKey}, var(--accent-primary))`;
+        const roots = [];
+        const stack = [];
+
+        nodes.forEach((node, index) => {
+            const path = [...parentPath, index];
+            const item = {
+                id: `b${branchIndex}-n${path.join('-')}`,
+                kind: 'thought',
+                text: node.text,
+                depth: node.depth,
+                color: color,
+                branchIndex: branchIndex,
+                path: path,
+                nested: parentPath.length > 0,
+                expanded: Array.isArray(node.children) && node.children.length > 0,
+                children: []
+            };
+            while (stack.length > 0 && stack[stack.length - 1].depth >= node.depth) {
+                stack.pop();
+            }
+            (stack.length > 0 ? stack[stack.length - 1].children : roots).push(item);
+            stack.push(item);
 
-    extractAction(decision) {
-        let action = decision.replace(/^(should i|do i|can i|will i|would i)\s*/i, '');
-        action = action.replace(/\?$/, '');
-        return action.trim();
+            if (item.expanded) {
+                item.children.push(...this.nestNodes(node.children, branchIndex, branch, path));
+            }
+        });
+
+        return roots;
     }
 
-    generateRootThought(decision) {
-        const templates = [
-            "Hmm, this seems simple enough... or is it?",
-            "A straightforward question that deserves 47 layers of analysis.",
-            "Let me consider this from every possible angle.",
-            "This decision could go either way. Let's explore both. And then some.",
-            "On the surface, this seems easy. *Narrator: It was not easy.*"
-        ];
-        return templates[Math.floor(Math.random() * templates.length)];
+    visibleChildren(node) {
+        return node.kind === 'category' && this.collapsed.has(node.branchIndex) ? [] : node.children;
     }
 
-    generateBranchThoughts(category, decision) {
-        const template = thoughtTemplates[category];
-        const nodes = [];
+    walk(node, visit) {
+        visit(node);
+        this.visibleChildren(node).forEach(child => this.walk(child, visit));
+    }
 
-        template.templates.forEach((depthGroup) => {
-            const numThoughts = Math.floor(Math.random() * 2) + 1;
-            const shuffledThoughts = [...depthGroup.thoughts].sort(() => Math.random() - 0.5);
+    wrapText(text, maxChars = GRAPH_LAYOUT.CHARS_PER_LINE) {
+        const lines = [];
+        let line = '';
 
-            for (let i = 0; i < Math.min(numThoughts, shuffledThoughts.length); i++) {
-                nodes.push({
-                    text: shuffledThoughts[i],
-                    depth: depthGroup.depth
-                });
+        text.split(/\s+/).filter(Boolean).forEach(word => {
+            if (line && (line + ' ' + word).length > maxChars) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
             }
         });
+        if (line) lines.push(line);
 
-        nodes.sort((a, b) => a.depth - b.depth);
+        return lines.length > 0 ? lines : [''];
+    }
 
-        return {
-            category: template.name,
-            categoryKey: category,
-            icon: template.icon,
-            tone: template.tone,
-            nodes: nodes,
-            loop_back: template.loopBack || false
+    // Leaves are stacked top to bottom; parents sit in the middle of their children
+    layout(tree) {
+        let cursor = 0;
+        const bounds = { minY: Infinity, maxY: -Infinity, maxX: 0 };
+
+        const place = (node, level) => {
+            node.lines = this.wrapText(node.text);
+            node.height = node.lines.length * GRAPH_LAYOUT.LINE_HEIGHT + GRAPH_LAYOUT.PADDING * 2;
+            node.x = level * GRAPH_LAYOUT.COLUMN_WIDTH;
+
+            const children = this.visibleChildren(node);
+            if (children.length === 0) {
+                node.y = cursor + node.height / 2;
+                cursor += node.height + GRAPH_LAYOUT.GAP;
+            } else {
+                children.forEach(child => place(child, level + 1));
+                node.y = (children[0].y + children[children.length - 1].y) / 2;
+            }
+
+            bounds.minY = Math.min(bounds.minY, node.y - node.height / 2);
+            bounds.maxY = Math.max(bounds.maxY, node.y + node.height / 2);
+            bounds.maxX = Math.max(bounds.maxX, node.x + GRAPH_LAYOUT.NODE_WIDTH);
         };
+
+        place(tree, 0);
+        return bounds;
     }
 
-    generate(decision) {
-        if (!decision || decision.trim().length === 0) {
-            return null;
+    drawNode(node) {
+        const group = this.createSvgElement('g', {
+            class: `graph-node graph-node-${node.kind}`,
+            'data-node-id': node.id,
+            transform: `translate(${node.x} ${node.y - node.height / 2})`
+        });
+        if (node.color) {
+            group.style.setProperty('--branch-color', node.color);
+        }
+        if (node.depth) {
+            group.dataset.depth = node.depth;
+        }
+        if (node.nested) {
+            group.classList.add('graph-node-nested');
         }
 
-        const branches = [];
+        group.appendChild(this.createSvgElement('rect', {
+            width: GRAPH_LAYOUT.NODE_WIDTH,
+            height: node.height,
+            rx: 10
+        }));
+
+        const text = this.createSvgElement('text', { x: GRAPH_LAYOUT.PADDING, y: GRAPH_LAYOUT.PADDING });
+        node.lines.forEach((line, i) => {
+            const tspan = this.createSvgElement('tspan', { x: GRAPH_LAYOUT.PADDING, dy: i === 0 ? '1em' : GRAPH_LAYOUT.LINE_HEIGHT });
+            tspan.textContent = line;
+            text.appendChild(tspan);
+        });
+        group.appendChild(text);
+
+        if (node.kind === 'category') {
+            const collapsed = this.collapsed.has(node.branchIndex);
+            const hiddenCount = collapsed ? this.countThoughts(node) : 0;
+            const toggle = this.createSvgElement('text', {
+                class: 'graph-toggle',
+                x: GRAPH_LAYOUT.NODE_WIDTH - GRAPH_LAYOUT.PADDING,
+                y: node.height / 2,
+                'text-anchor': 'end',
+                'dominant-baseline': 'central'
+            });
+            toggle.textContent = collapsed ? `+${hiddenCount}` : '−';
+            group.appendChild(toggle);
+
+            group.setAttribute('tabindex', '0');
+            group.setAttribute('role', 'button');
+            group.setAttribute('aria-expanded', String(!collapsed));
+            group.addEventListener('click', () => this.toggleBranch(node.branchIndex));
+            group.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggleBranch(node.branchIndex);
+                }
+            });
+        }
+
+        if (node.kind === 'thought' && !node.expanded && this.onThoughtClick) {
+            group.classList.add('graph-node-deeper');
+            group.setAttribute('tabindex', '0');
+            group.setAttribute('role', 'button');
+            group.setAttribute('aria-label', `Go deeper: ${node.text}`);
+            group.addEventListener('click', () => this.onThoughtClick(node.branchIndex, node.path));
+            group.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.onThoughtClick(node.branchIndex, node.path);
+                }
+            });
+        }
+
+        group.addEventListener('pointerenter', () => this.highlightPath(node.id));
+        group.addEventListener('pointerleave', () => this.highlightPath(null));
+        return group;
+    }
 
-        // Randomly select 6 categories for variety
-        const shuffledCategories = [...this.categories].sort(() => Math.random() - 0.5);
-        const selectedCategories = shuffledCategories.slice(0, 6);
+    countThoughts(node) {
+        return node.children.reduce((count, child) => count + 1 + this.countThoughts(child), 0);
+    }
 
-        selectedCategories.forEach((category, index) => {
-            const branch = this.generateBranchThoughts(category, decision);
-            branch.animationDelay = index * 0.15;
-            branches.push(branch);
+    drawEdge(parent, child) {
+        const startX = parent.x + GRAPH_LAYOUT.NODE_WIDTH;
+        const endX = child.x;
+        const midX = (startX + endX) / 2;
+
+        const path = this.createSvgElement('path', {
+            class: 'graph-edge',
+            'data-child-id': child.id,
+            d: `M ${startX} ${parent.y} C ${midX} ${parent.y}, ${midX} ${child.y}, ${endX} ${child.y}`
         });
+        path.style.setProperty('--branch-color', child.color);
+        return path;
+    }
 
-        const loopCount = branches.filter(b => b.loop_back).length;
-        const humorLevel = loopCount >= 3 ? 'high' : loopCount >= 2 ? 'moderate' : 'subtle';
+    // The last thought of the deepest chain - where the spiral gives up and starts again
+    deepestNode(category) {
+        let node = category;
+        while (this.visibleChildren(node).length > 0) {
+            const children = this.visibleChildren(node);
+            node = children[children.length - 1];
+        }
+        return node;
+    }
 
-        return {
-            decision: decision,
-            root_thought: this.generateRootThought(decision),
-            branches: branches,
-            meta: {
-                humor_level: humorLevel,
-                absurdity_level: 'controlled',
-                safety_checked: true
-            }
+    drawLoopBack(from, root, category) {
+        const startX = from.x + GRAPH_LAYOUT.NODE_WIDTH / 2;
+        const startY = from.y + from.height / 2;
+        const endX = root.x + GRAPH_LAYOUT.NODE_WIDTH / 2;
+        const endY = root.y + root.height / 2;
+        const sag = 60 + Math.abs(startY - endY) * 0.25;
+
+        const path = this.createSvgElement('path', {
+            class: 'graph-loop',
+            'data-branch-id': category.id,
+            'marker-end': 'url(#graph-arrow)',
+            d: `M ${startX} ${startY} C ${startX} ${startY + sag}, ${endX} ${Math.max(startY, endY) + sag}, ${endX} ${endY + 4}`
+        });
+        path.style.setProperty('--branch-color', category.color);
+        return path;
+    }
+
+    toggleBranch(branchIndex) {
+        if (this.collapsed.has(branchIndex)) {
+            this.collapsed.delete(branchIndex);
+        } else {
+            this.collapsed.add(branchIndex);
+        }
+        this.render(this.result, { keepView: true });
+        const category = this.viewport.querySelector(`[data-node-id="b${branchIndex}"]`);
+        if (category) category.focus();
+    }
+
+    highlightPath(nodeId) {
+        this.viewport.querySelectorAll('.is-highlighted').forEach(element => element.classList.remove('is-highlighted'));
+        this.svg.classList.toggle('is-highlighting', nodeId !== null);
+        if (nodeId === null) return;
+
+        let id = nodeId;
+        while (id) {
+            this.viewport.querySelector(`[data-node-id="${id}"]`)?.classList.add('is-highlighted');
+            this.viewport.querySelector(`[data-child-id="${id}"]`)?.classList.add('is-highlighted');
+            this.viewport.querySelector(`[data-branch-id="${id}"]`)?.classList.add('is-highlighted');
+            id = this.parents.get(id);
+        }
+    }
+
+    fit(bounds) {
+        const width = this.container.clientWidth || 800;
+        const height = this.container.clientHeight || 500;
+        const margin = 24;
+        const treeWidth = bounds.maxX + margin * 2;
+        const treeHeight = bounds.maxY - bounds.minY + margin * 2;
+        const scale = this.clampScale(Math.min(1, width / treeWidth, height / treeHeight));
+
+        this.transform = {
+            scale: scale,
+            x: (width - bounds.maxX * scale) / 2,
+            y: (height - (bounds.maxY + bounds.minY) * scale) / 2
+        };
+    }
+
+    clampScale(scale) {
+        return Math.min(GRAPH_LAYOUT.MAX_SCALE, Math.max(GRAPH_LAYOUT.MIN_SCALE, scale));
+    }
+
+    // Zooms around a point in container coordinates (the centre by default)
+    zoom(factor, originX = this.container.clientWidth / 2, originY = this.container.clientHeight / 2) {
+        const scale = this.clampScale(this.transform.scale * factor);
+        const ratio = scale / this.transform.scale;
+
+        this.transform = {
+            scale: scale,
+            x: originX - (originX - this.transform.x) * ratio,
+            y: originY - (originY - this.transform.y) * ratio
+        };
+        this.applyTransform();
+    }
+
+    resetView() {
+        if (!this.result) return;
+        this.fit(this.layout(this.buildTree(this.result)));
+        this.applyTransform();
+    }
+
+    applyTransform() {
+        const { x, y, scale } = this.transform;
+        this.viewport.setAttribute('transform', `translate(${x} ${y}) scale(${scale})`);
+    }
+
+    bindPanZoom() {
+        let drag = null;
+
+        this.svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = this.svg.getBoundingClientRect();
+            this.zoom(e.deltaY < 0 ? 1.1 : 1 / 1.1, e.clientX - rect.left, e.clientY - rect.top);
+        }, { passive: false });
+
+        this.svg.addEventListener('pointerdown', (e) => {
+            // Let clicks on category and thought buttons through
+            if (e.button !== 0 || e.target.closest('.graph-node[role="button"]')) return;
+            drag = { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+            this.svg.setPointerCapture(e.pointerId);
+            this.svg.classList.add('is-panning');
+        });
+
+        this.svg.addEventListener('pointermove', (e) => {
+            if (!drag || drag.pointerId !== e.pointerId) return;
+            this.transform.x += e.clientX - drag.x;
+            this.transform.y += e.clientY - drag.y;
+            drag.x = e.clientX;
+            drag.y = e.clientY;
+            this.applyTransform();
+        });
+
+        const endDrag = (e) => {
+            if (!drag || drag.pointerId !== e.pointerId) return;
+            drag = null;
+            this.svg.classList.remove('is-panning');
         };
+        this.svg.addEventListener('pointerup', endDrag);
+        this.svg.addEventListener('pointercancel', endDrag);
     }
 }
 
@@ -532,15 +3601,43 @@ class FallbackGenerator {
 class UIController {
     constructor() {
         this.decisionInput = document.getElementById('decision-input');
+        this.inputLabel = document.getElementById('input-label');
+        this.modeToggleBtns = document.querySelectorAll('.mode-toggle-btn');
+        this.compareInputs = document.getElementById('compare-inputs');
+        this.optionAInput = document.getElementById('option-a-input');
+        this.optionBInput = document.getElementById('option-b-input');
         this.generateBtn = document.getElementById('generate-btn');
+        this.cancelGenerateBtn = document.getElementById('cancel-generate-btn');
         this.thinkingAnimation = document.getElementById('thinking-animation');
         this.thinkingText = document.querySelector('.thinking-text');
         this.resultsSection = document.getElementById('results-section');
         this.decisionDisplay = document.getElementById('decision-display');
+        this.personaDisplay = document.getElementById('persona-display');
         this.rootThought = document.getElementById('root-thought');
         this.branchesContainer = document.getElementById('branches-container');
+        this.graphContainer = document.getElementById('graph-container');
+        this.viewToggleBtns = document.querySelectorAll('.view-toggle-btn');
         this.humorLevel = document.getElementById('humor-level');
         this.absurdityLevel = document.getElementById('absurdity-level');
+        this.intensityLevel = document.getElementById('intensity-level');
+        this.seedValue = document.getElementById('seed-value');
+        this.anxietyScore = document.getElementById('anxiety-score');
+        this.scoreLevel = document.getElementById('score-level');
+        this.scoreFactors = document.getElementById('score-factors');
+        this.scoreCategories = document.getElementById('score-categories');
+
+        // Spiral settings panel
+        this.personaPicker = document.getElementById('persona-picker');
+        this.intensitySelect = document.getElementById('intensity-select');
+        this.branchCountInput = document.getElementById('branch-count-input');
+        this.branchCountValue = document.getElementById('branch-count-value');
+        this.maxDepthInput = document.getElementById('max-depth-input');
+        this.maxDepthValue = document.getElementById('max-depth-value');
+        this.categoryChips = document.getElementById('category-chips');
+        this.seedInput = document.getElementById('seed-input');
+        this.packList = document.getElementById('pack-list');
+        this.packFileInput = document.getElementById('pack-file-input');
+        this.packErrors = document.getElementById('pack-errors');
 
         this.exampleBtns = document.querySelectorAll('.example-btn');
         this.apiKeyModal = document.getElementById('api-key-modal');
@@ -552,9 +3649,25 @@ class UIController {
 
         // Share, Regenerate & Download buttons
         this.shareBtn = document.getElementById('share-btn');
+        this.shareLinkBtn = document.getElementById('share-link-btn');
+        this.exportBtn = document.getElementById('export-btn');
+        this.realityCheckBtn = document.getElementById('reality-check-btn');
+        this.realitySummary = document.getElementById('reality-summary');
+        this.sharedBanner = document.getElementById('shared-banner');
+        this.makeOwnBtn = document.getElementById('make-own-btn');
         this.regenerateBtn = document.getElementById('regenerate-btn');
         this.downloadBtn = document.getElementById('download-btn');
         this.soundToggleBtn = document.getElementById('sound-toggle');
+        this.soundVolumeInput = document.getElementById('sound-volume');
+        this.playbackControls = document.getElementById('playback-controls');
+        this.playbackSpeedSelect = document.getElementById('playback-speed');
+        this.playbackPauseBtn = document.getElementById('playback-pause-btn');
+        this.playbackSkipBtn = document.getElementById('playback-skip-btn');
+        this.playbackReplayBtn = document.getElementById('playback-replay-btn');
+        this.narrationToggleBtn = document.getElementById('narration-toggle');
+        this.narrationControls = document.getElementById('narration-controls');
+        this.narrationPlayBtn = document.getElementById('narration-play-btn');
+        this.narrationSkipBtn = document.getElementById('narration-skip-btn');
         this.historyBtn = document.getElementById('history-btn');
 
         this.aiGenerator = new AIOverthinkingGenerator();
@@ -562,27 +3675,305 @@ class UIController {
 
         // New managers
         this.soundManager = new SoundManager();
+        this.narrator = new SpiralNarrator({ onSpeak: item => this.highlightNarration(item) });
+        this.playback = new SpiralPlayback({
+            onStep: step => this.handlePlaybackStep(step),
+            onKeystroke: char => this.soundManager.playKeystroke(char),
+            onStateChange: () => this.updatePlaybackControls()
+        });
         this.historyManager = new HistoryManager();
+        this.settingsManager = new SettingsManager();
+        this.templatePackManager = new TemplatePackManager();
 
         // Store current result for sharing
         this.currentResult = null;
-
+        this.currentEntry = null; // Promise of the result's history entry
+        this.goingDeeper = false;
+        this.checkingReality = false;
+        this.generation = null; // The generation in flight, see startGeneration()
+        this.spiralRequests = new Set(); // AbortControllers of requests adding to the spiral on screen
+        this.tension = { depth: 1, loops: 0 }; // How wound up the drone is for the spiral on screen
+        this.inputMode = 'single'; // or 'compare' for "A or B"
+        this.streamedBranchCount = 0;
+        this.streamedBranches = [];
+
+        this.graphView = this.graphContainer
+            ? new SpiralGraphView(this.graphContainer, { onThoughtClick: (branchIndex, path) => this.handleGoDeeper(branchIndex, path) })
+            : null;
+        this.resultsView = this.settingsManager.getView();
+
+        this.renderSettingsPanel();
+        this.setResultsView(this.resultsView);
+        this.applyTemplatePacks();
+        // Template spirals and shared links wait for these, so a seed always means the same templates
+        this.packsReady = this.templatePackManager.loadShippedPacks().then(() => this.applyTemplatePacks());
         this.bindEvents();
         this.checkApiKey();
         this.updateSoundIcon();
+        this.updateNarrationControls();
+        this.renderPlaybackControls();
+        this.openSharedLink(window.location.hash);
+    }
+
+    renderSettingsPanel() {
+        if (!this.intensitySelect) return;
+        const options = this.settingsManager.getOptions();
+
+        this.personaPicker.innerHTML = '';
+        Object.entries(SpiralPrompt.PERSONAS).forEach(([key, persona]) => {
+            const chip = document.createElement('label');
+            chip.className = 'persona-chip';
+            chip.innerHTML = `<input type="radio" name="persona" value="${key}"> <span>${persona.icon} ${persona.name}</span>`;
+            chip.querySelector('input').checked = options.persona === key;
+            this.personaPicker.appendChild(chip);
+        });
+
+        this.intensitySelect.innerHTML = Object.entries(SpiralPrompt.INTENSITIES)
+            .map(([key, intensity]) => `<option value="${key}">${intensity.icon} ${intensity.label}</option>`)
+            .join('');
+        this.intensitySelect.value = options.intensity;
+
+        this.maxDepthInput.min = SpiralPrompt.OPTION_LIMITS.MIN_DEPTH;
+        this.maxDepthInput.max = SpiralPrompt.OPTION_LIMITS.MAX_DEPTH;
+        this.maxDepthInput.value = options.maxDepth;
+
+        this.categoryChips.innerHTML = '';
+        Object.keys(SpiralPrompt.CATEGORY_CATALOG).forEach(key => {
+            const category = categoryRegistry.get(key);
+            const chip = document.createElement('label');
+            chip.className = 'category-chip';
+            chip.dataset.category = key;
+            chip.innerHTML = `<input type="checkbox" value="${key}"> <span>${category.icon} ${category.name}</span>`;
+            chip.querySelector('input').checked = options.categories.includes(key);
+            this.categoryChips.appendChild(chip);
+        });
+
+        this.branchCountInput.min = SpiralPrompt.OPTION_LIMITS.MIN_BRANCHES;
+        this.branchCountInput.value = options.branchCount;
+        this.updateSettingsLabels();
+    }
+
+    // Reads the panel, saves it and returns the normalized options
+    readSettings() {
+        if (!this.intensitySelect) return this.settingsManager.getOptions();
+
+        return this.settingsManager.saveOptions({
+            persona: this.personaPicker.querySelector('input:checked')?.value,
+            intensity: this.intensitySelect.value,
+            branchCount: this.branchCountInput.value,
+            maxDepth: this.maxDepthInput.value,
+            categories: [...this.categoryChips.querySelectorAll('input:checked')].map(input => input.value)
+        });
+    }
+
+    updateSettingsLabels() {
+        // Can't have more branches than selected categories
+        const selected = this.categoryChips.querySelectorAll('input:checked').length;
+        this.branchCountInput.max = selected || SpiralPrompt.OPTION_LIMITS.MAX_BRANCHES;
+
+        this.branchCountValue.textContent = this.branchCountInput.value;
+        this.maxDepthValue.textContent = this.maxDepthInput.value;
+    }
+
+    // Rebuilds the template set from the built-ins plus every loaded pack
+    applyTemplatePacks() {
+        const templates = this.templatePackManager.buildTemplates();
+        this.fallbackGenerator.setTemplates(templates);
+        categoryRegistry.load(templates);
+        this.renderPackList();
+    }
+
+    renderPackList() {
+        if (!this.packList) return;
+        const imported = this.templatePackManager.getImportedPacks();
+
+        this.packList.innerHTML = '';
+        [...this.templatePackManager.shippedPacks, ...imported].forEach(pack => {
+            const item = document.createElement('li');
+            item.className = 'pack-item';
+            item.innerHTML = '<span class="pack-name"></span> <span class="pack-count"></span>';
+            item.querySelector('.pack-name').textContent = pack.name;
+            const count = Object.keys(pack.categories).length;
+            item.querySelector('.pack-count').textContent = `${count} ${count === 1 ? 'category' : 'categories'}`;
+
+            if (imported.includes(pack)) {
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.className = 'pack-remove-btn';
+                removeBtn.textContent = '✕';
+                removeBtn.title = `Remove ${pack.name}`;
+                removeBtn.addEventListener('click', () => {
+                    this.templatePackManager.removePack(pack.id);
+                    this.applyTemplatePacks();
+                });
+                item.appendChild(removeBtn);
+            }
+
+            this.packList.appendChild(item);
+        });
+
+        if (this.packList.children.length === 0) {
+            this.packList.innerHTML = '<li class="pack-item pack-empty">Built-in templates only</li>';
+        }
+    }
+
+    // Switches between the card list and the graph, remembering the choice
+    // One decision, or "A or B" with an input per option
+    setInputMode(mode) {
+        if (!this.compareInputs) return;
+        this.inputMode = mode === 'compare' ? 'compare' : 'single';
+
+        const comparing = this.inputMode === 'compare';
+        this.decisionInput.classList.toggle('hidden', comparing);
+        this.compareInputs.classList.toggle('hidden', !comparing);
+        this.inputLabel.textContent = comparing ? 'Enter two options:' : 'Enter a simple decision:';
+        this.inputLabel.htmlFor = comparing ? 'option-a-input' : 'decision-input';
+        this.modeToggleBtns.forEach(btn => {
+            const active = btn.dataset.mode === this.inputMode;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+        });
+    }
+
+    // Puts a spiral's decision back in the inputs, in whichever mode made it
+    fillInputs(result) {
+        if (result.compare && this.compareInputs) {
+            this.setInputMode('compare');
+            [this.optionAInput.value, this.optionBInput.value] = result.compare.options;
+        } else {
+            this.setInputMode('single');
+            this.decisionInput.value = result.decision;
+        }
+    }
+
+    setResultsView(view) {
+        if (!this.graphView) return;
+        this.resultsView = view === 'graph' ? 'graph' : 'cards';
+        this.settingsManager.saveView(this.resultsView);
+
+        const showGraph = this.resultsView === 'graph';
+        if (showGraph) {
+            // The graph has no playback - show the whole spiral
+            this.playback.skip();
+        }
+        this.branchesContainer.classList.toggle('hidden', showGraph);
+        this.graphContainer.classList.toggle('hidden', !showGraph);
+        this.viewToggleBtns.forEach(btn => {
+            const active = btn.dataset.view === this.resultsView;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+        });
+
+        // The graph is only drawn while visible so it can size itself
+        if (showGraph && this.currentResult) {
+            this.graphView.render(this.currentResult);
+        }
+    }
+
+    // Blank means a fresh seed; anything that isn't a valid seed is rejected
+    readSeed() {
+        const value = this.seedInput ? this.seedInput.value.trim() : '';
+        if (!value) return { seed: undefined, valid: true };
+
+        const seed = SpiralRandom.normalizeSeed(value.replace(/^#/, ''));
+        return { seed: seed ?? undefined, valid: seed !== null };
+    }
+
+    reuseSeed() {
+        if (!this.seedInput || !this.currentResult || SpiralRandom.normalizeSeed(this.currentResult.seed) === null) return;
+        this.seedInput.value = this.currentResult.seed;
+        document.getElementById('spiral-settings').open = true;
+        this.showNotification(`🎲 Seed ${this.currentResult.seed} locked in - same decision, same spiral`);
+    }
+
+    async handlePackImport(file) {
+        this.showPackErrors([]);
+
+        try {
+            if (file.size > TEMPLATE_PACK_LIMITS.MAX_FILE_SIZE) {
+                throw new TemplatePackError([`pack should be a JSON file under ${TEMPLATE_PACK_LIMITS.MAX_FILE_SIZE / 1024} KB`]);
+            }
+            const pack = this.templatePackManager.importPack(await file.text());
+            this.applyTemplatePacks();
+            this.showNotification(`📦 Loaded "${pack.name}" - ${Object.keys(pack.categories).length} categories of fresh worry`);
+        } catch (error) {
+            console.error('Template pack import failed:', error);
+            this.showPackErrors(error instanceof TemplatePackError ? error.errors : [error.message]);
+        } finally {
+            // Lets the same file be picked again after fixing it
+            this.packFileInput.value = '';
+        }
+    }
+
+    showPackErrors(errors) {
+        if (!this.packErrors) return;
+        this.packErrors.innerHTML = '';
+        errors.slice(0, 8).forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            this.packErrors.appendChild(item);
+        });
+        if (errors.length > 8) {
+            const more = document.createElement('li');
+            more.textContent = `...and ${errors.length - 8} more`;
+            this.packErrors.appendChild(more);
+        }
+        this.packErrors.classList.toggle('hidden', errors.length === 0);
     }
 
     bindEvents() {
         this.generateBtn.addEventListener('click', () => this.handleGenerate());
+        if (this.cancelGenerateBtn) {
+            this.cancelGenerateBtn.addEventListener('click', () => this.cancelGeneration());
+        }
 
-        this.decisionInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.handleGenerate();
-            }
+        [this.decisionInput, this.optionAInput, this.optionBInput].filter(Boolean).forEach(input => {
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.handleGenerate();
+                }
+            });
+        });
+
+        this.modeToggleBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.setInputMode(btn.dataset.mode));
+        });
+
+        if (this.intensitySelect) {
+            [this.personaPicker, this.intensitySelect, this.branchCountInput, this.maxDepthInput, this.categoryChips].forEach(control => {
+                control.addEventListener('input', () => this.updateSettingsLabels());
+                control.addEventListener('change', () => this.readSettings());
+            });
+        }
+
+        if (this.seedValue) {
+            this.seedValue.addEventListener('click', () => this.reuseSeed());
+        }
+
+        this.viewToggleBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.setResultsView(btn.dataset.view));
         });
+        if (this.graphContainer) {
+            this.graphContainer.querySelectorAll('[data-graph-action]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const action = btn.dataset.graphAction;
+                    if (action === 'zoom-in') this.graphView.zoom(1.25);
+                    if (action === 'zoom-out') this.graphView.zoom(1 / 1.25);
+                    if (action === 'reset') this.graphView.resetView();
+                });
+            });
+        }
+
+        if (this.packFileInput) {
+            this.packFileInput.addEventListener('change', () => {
+                const file = this.packFileInput.files[0];
+                if (file) this.handlePackImport(file);
+            });
+        }
 
         this.exampleBtns.forEach(btn => {
             btn.addEventListener('click', () => {
+                this.setInputMode('single');
                 this.decisionInput.value = btn.dataset.decision;
                 this.handleGenerate();
             });
@@ -609,249 +4000,704 @@ class UIController {
 
         // Share & Regenerate button events
         this.shareBtn.addEventListener('click', () => this.handleShare());
+        if (this.exportBtn) {
+            this.exportBtn.addEventListener('click', () => this.showExportDialog());
+        }
+        if (this.realityCheckBtn) {
+            this.realityCheckBtn.addEventListener('click', () => this.handleRealityCheck());
+        }
+        if (this.shareLinkBtn) {
+            this.shareLinkBtn.addEventListener('click', () => this.handleShareLink());
+        }
+        if (this.makeOwnBtn) {
+            this.makeOwnBtn.addEventListener('click', () => this.handleMakeOwn());
+        }
+        window.addEventListener('hashchange', () => this.openSharedLink(window.location.hash));
         this.regenerateBtn.addEventListener('click', () => this.handleGenerate());
 
         // Download, Sound & History buttons
         if (this.downloadBtn) {
-            this.downloadBtn.addEventListener('click', () => this.handleDownload());
+            this.downloadBtn.addEventListener('click', () => this.showReceiptDialog());
         }
         if (this.soundToggleBtn) {
             this.soundToggleBtn.addEventListener('click', () => this.toggleSound());
         }
+        if (this.soundVolumeInput) {
+            this.soundVolumeInput.addEventListener('input', () => this.soundManager.setVolume(this.soundVolumeInput.value / 100));
+            this.soundVolumeInput.addEventListener('change', () => this.soundManager.playPop());
+        }
+        if (this.playbackControls) {
+            this.playbackSpeedSelect.addEventListener('change', () => {
+                const speed = this.settingsManager.savePlaybackSpeed(this.playbackSpeedSelect.value);
+                if (speed === 'instant') {
+                    this.playback.skip();
+                } else {
+                    this.playback.setSpeed(speed);
+                }
+            });
+            this.playbackPauseBtn.addEventListener('click', () => {
+                if (this.playback.isPaused()) {
+                    this.playback.resume();
+                } else {
+                    this.playback.pause();
+                }
+            });
+            this.playbackSkipBtn.addEventListener('click', () => this.playback.skip());
+            this.playbackReplayBtn.addEventListener('click', () => this.handleReplay());
+        }
+        if (this.narrationToggleBtn) {
+            this.narrationToggleBtn.addEventListener('click', () => this.toggleNarration());
+            this.narrationPlayBtn.addEventListener('click', () => this.handleNarrationPlay());
+            this.narrationSkipBtn.addEventListener('click', () => this.narrator.skip());
+        }
         if (this.historyBtn) {
             this.historyBtn.addEventListener('click', () => this.showHistory());
         }
     }
 
-    updateSoundIcon() {
-        if (this.soundToggleBtn) {
-            this.soundToggleBtn.innerHTML = this.soundManager.isEnabled()
-                ? '🔊 <span>Sound On</span>'
-                : '🔇 <span>Sound Off</span>';
-        }
+    updateSoundIcon() {
+        if (this.soundToggleBtn) {
+            this.soundToggleBtn.innerHTML = this.soundManager.isEnabled()
+                ? '🔊 <span>Sound On</span>'
+                : '🔇 <span>Sound Off</span>';
+        }
+        if (this.soundVolumeInput) {
+            this.soundVolumeInput.value = Math.round(this.soundManager.getVolume() * 100);
+            this.soundVolumeInput.disabled = !this.soundManager.isEnabled();
+        }
+    }
+
+    toggleSound() {
+        this.soundManager.toggle();
+        this.updateSoundIcon();
+        if (this.soundManager.isEnabled()) {
+            this.soundManager.playPop();
+        }
+    }
+
+    toggleNarration() {
+        this.narrator.toggle();
+        this.updateNarrationControls();
+    }
+
+    // The toggle says whether narration is on; the player only shows while it is
+    updateNarrationControls() {
+        if (!this.narrationToggleBtn) return;
+
+        const supported = SpiralNarrator.isSupported();
+        this.narrationToggleBtn.classList.toggle('hidden', !supported);
+        this.narrationToggleBtn.innerHTML = this.narrator.isEnabled()
+            ? '🎙️ <span>Narration On</span>'
+            : '🤐 <span>Narration Off</span>';
+
+        const state = this.narrator.state;
+        this.narrationControls.classList.toggle('hidden', !this.narrator.isEnabled());
+        this.narrationPlayBtn.textContent = { idle: '▶️ Read aloud', speaking: '⏸ Pause', paused: '▶️ Resume' }[state];
+        this.narrationPlayBtn.setAttribute('aria-pressed', String(state === 'speaking'));
+        this.narrationSkipBtn.disabled = state === 'idle';
+    }
+
+    handleNarrationPlay() {
+        if (this.narrator.state === 'speaking') {
+            this.narrator.pause();
+        } else if (this.narrator.state === 'paused') {
+            this.narrator.resume();
+        } else if (this.currentResult) {
+            this.narrator.play(this.currentResult);
+        }
+        this.updateNarrationControls();
+    }
+
+    renderPlaybackControls() {
+        if (!this.playbackControls) return;
+        this.playbackSpeedSelect.innerHTML = Object.entries(PLAYBACK_SPEEDS)
+            .map(([key, speed]) => `<option value="${key}">${speed.label}</option>`)
+            .join('');
+        this.playbackSpeedSelect.value = this.settingsManager.getPlaybackSpeed();
+        this.updatePlaybackControls();
+    }
+
+    updatePlaybackControls() {
+        if (!this.playbackControls) return;
+        const playing = this.playback.isPlaying();
+        this.playbackPauseBtn.disabled = !playing;
+        this.playbackPauseBtn.textContent = this.playback.isPaused() ? '▶️ Resume' : '⏸ Pause';
+        this.playbackSkipBtn.disabled = !playing;
+    }
+
+    /**
+     * Whether a spiral should play back thought by thought: fresh ones do
+     * unless the speed is instant or the user prefers reduced motion, and
+     * replays always do. Streamed spirals already arrived piece by piece,
+     * and the graph shows everything at once.
+     */
+    shouldPlayBack({ streamed, entry, replay }) {
+        if (streamed || this.resultsView === 'graph' || !this.playbackControls) return false;
+        if (replay) return true;
+        return !entry && this.settingsManager.getPlaybackSpeed() !== 'instant' && !SpiralPlayback.prefersReducedMotion();
+    }
+
+    /**
+     * The rendered spiral as playback steps, in reading order. Texts come
+     * from the result - what's on screen may be half-typed by a playback
+     * that's being replaced.
+     */
+    buildPlaybackSteps(result) {
+        const textOf = element => element.lastChild?.nodeType === Node.TEXT_NODE ? element.lastChild : null;
+        const steps = [];
+
+        const rootText = textOf(this.rootThought);
+        if (rootText && result.root_thought) {
+            steps.push({ kind: 'root', element: this.rootThought, textNode: rootText, text: result.root_thought, depth: 1 });
+        }
+
+        [...this.branchesContainer.querySelectorAll('.branch-card[data-branch-index]')]
+            .sort((a, b) => a.dataset.branchIndex - b.dataset.branchIndex)
+            .forEach(card => {
+                const branch = result.branches[card.dataset.branchIndex];
+                steps.push({ kind: 'branch', element: card, branch });
+                card.querySelectorAll('.thought-node').forEach(nodeEl => {
+                    const node = SpiralThoughts.getNode(branch.nodes, nodeEl.dataset.path.split('-').map(Number));
+                    const textNode = node && textOf(nodeEl);
+                    steps.push({ kind: 'thought', element: nodeEl, depth: Number(nodeEl.dataset.depth), branch, ...(textNode ? { textNode, text: node.text } : {}) });
+                });
+                const loop = card.querySelector('.loop-indicator');
+                if (loop) steps.push({ kind: 'loop', element: loop, branch });
+                const counter = card.querySelector('.counter-thought');
+                if (counter) steps.push({ kind: 'counter', element: counter, branch });
+            });
+
+        if (result.reality_check?.summary) {
+            steps.push({ kind: 'summary', element: this.realitySummary });
+        }
+        return steps;
+    }
+
+    /**
+     * Plays the spiral on screen back thought by thought; the success
+     * chord and narration wait until it's all shown. With reduced motion
+     * thoughts appear whole instead of being typed.
+     */
+    async playBack(result) {
+        const speed = this.settingsManager.getPlaybackSpeed();
+        const done = await this.playback.play(this.buildPlaybackSteps(result), {
+            speed: speed === 'instant' ? DEFAULT_PLAYBACK_SPEED : speed,
+            typing: !SpiralPlayback.prefersReducedMotion()
+        });
+        if (!done || this.currentResult !== result) return;
+
+        this.finishSpiralSounds(0);
+        if (this.narrator.isEnabled()) {
+            this.narrator.play(result);
+        }
+    }
+
+    handlePlaybackStep(step) {
+        if (step.kind === 'branch') {
+            this.soundManager.playCategoryCue(step.branch.categoryKey);
+        } else if (step.kind === 'thought') {
+            this.windUp(step.depth);
+        } else if (step.kind === 'loop') {
+            this.windUp(this.tension.depth, 1);
+        }
+        if (step.kind === 'branch' || step.kind === 'thought') {
+            step.element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    // "Replay spiral": the one on screen, from the top
+    handleReplay() {
+        const result = this.currentResult;
+        if (!result) return;
+
+        this.narrator.stop();
+        if (this.resultsView === 'graph') {
+            this.setResultsView('cards');
+        }
+        this.startSpiralSounds('');
+        this.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.playBack(result);
+    }
+
+    // Marks whatever the narrator is reading, in the cards and the graph
+    highlightNarration(item) {
+        this.resultsSection.querySelectorAll('.is-speaking').forEach(element => element.classList.remove('is-speaking'));
+        this.graphView?.highlightPath(null);
+        this.updateNarrationControls();
+        if (!item) return;
+
+        const { kind, branchIndex, path } = item.target;
+        const card = this.branchesContainer.querySelector(`.branch-card[data-branch-index="${branchIndex}"]`);
+        const element = {
+            root: this.rootThought,
+            summary: this.realitySummary,
+            branch: card?.querySelector('.branch-header'),
+            thought: card?.querySelector(`.thought-node[data-path="${path?.join('-')}"]`),
+            counter: card?.querySelector('.counter-thought')
+        }[kind];
+
+        if (this.resultsView === 'graph') {
+            const nodeId = kind === 'root' ? 'root' : kind === 'thought' ? `b${branchIndex}-n${path.join('-')}` : kind === 'summary' ? null : `b${branchIndex}`;
+            this.graphView.highlightPath(nodeId);
+        } else if (element) {
+            element.classList.add('is-speaking');
+            element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    // Lets the user pick a receipt style and format, with a live preview
+    showReceiptDialog() {
+        if (!this.currentResult) return;
+        const result = this.currentResult;
+        const options = this.settingsManager.getReceiptOptions();
+
+        const modal = document.createElement('div');
+        modal.className = 'history-modal-overlay receipt-modal';
+        modal.innerHTML = `
+            <div class="history-modal-content receipt-modal-content" role="dialog" aria-modal="true" aria-labelledby="receipt-title">
+                <h3 id="receipt-title">🧾 Print a Receipt</h3>
+                <div class="receipt-styles" role="radiogroup" aria-label="Receipt style"></div>
+                <label class="receipt-all-nodes">
+                    <input type="checkbox" class="receipt-all-nodes-input"> Every thought, not just the highlights
+                </label>
+                <div class="receipt-preview"><img alt="Receipt preview"></div>
+                <div class="receipt-formats">
+                    <button type="button" class="receipt-format-btn" data-format="png">⬇ PNG</button>
+                    <button type="button" class="receipt-format-btn" data-format="svg">⬇ SVG</button>
+                    <button type="button" class="receipt-format-btn" data-format="pdf">⬇ PDF</button>
+                </div>
+                <button type="button" class="history-close-btn">Close</button>
+            </div>
+        `;
+
+        const stylePicker = modal.querySelector('.receipt-styles');
+        Object.entries(SpiralReceipt.STYLES).forEach(([key, style]) => {
+            const chip = document.createElement('label');
+            chip.className = 'receipt-style-chip';
+            chip.innerHTML = `<input type="radio" name="receipt-style" value="${key}"> <span></span>`;
+            chip.querySelector('span').textContent = style.name;
+            chip.querySelector('input').checked = key === options.style;
+            stylePicker.appendChild(chip);
+        });
+        const allNodesInput = modal.querySelector('.receipt-all-nodes-input');
+        allNodesInput.checked = options.allNodes;
+
+        const preview = modal.querySelector('.receipt-preview img');
+        let previewUrl = null;
+        const readOptions = () => ({
+            style: stylePicker.querySelector('input:checked')?.value || SpiralReceipt.DEFAULT_STYLE,
+            allNodes: allNodesInput.checked
+        });
+        const updatePreview = () => {
+            const chosen = this.settingsManager.saveReceiptOptions(readOptions());
+            if (previewUrl) URL.revokeObjectURL(previewUrl);
+            const svg = SpiralReceipt.toSVG(SpiralReceipt.layout(result, chosen));
+            previewUrl = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+            preview.src = previewUrl;
+        };
+
+        const close = () => {
+            if (previewUrl) URL.revokeObjectURL(previewUrl);
+            modal.remove();
+            document.removeEventListener('keydown', onKeydown);
+        };
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+
+        stylePicker.addEventListener('change', updatePreview);
+        allNodesInput.addEventListener('change', updatePreview);
+        modal.querySelectorAll('.receipt-format-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handleDownload(result, btn.dataset.format, readOptions()));
+        });
+        modal.querySelector('.history-close-btn').addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+        document.addEventListener('keydown', onKeydown);
+
+        document.body.appendChild(modal);
+        updatePreview();
+        stylePicker.querySelector('input:checked')?.focus();
     }
 
-    toggleSound() {
-        this.soundManager.toggle();
-        this.updateSoundIcon();
-        if (this.soundManager.isEnabled()) {
-            this.soundManager.playPop();
+    /**
+     * Downloads the receipt as 'png', 'svg' or 'pdf'. The same spiral and
+     * options always give the same file, name included.
+     */
+    handleDownload(result, format, options) {
+        const receipt = SpiralReceipt.layout(result, options);
+        const filename = `overthinking-receipt-${receipt.reference}-${receipt.style}`;
+
+        if (format === 'svg') {
+            this.downloadBlob(new Blob([SpiralReceipt.toSVG(receipt)], { type: 'image/svg+xml' }), `${filename}.svg`);
+        } else if (format === 'pdf') {
+            this.downloadBlob(new Blob([SpiralReceipt.toPDF(receipt)], { type: 'application/pdf' }), `${filename}.pdf`);
+        } else {
+            // Twice the size, so it stays crisp on phones
+            const scale = 2;
+            const canvas = document.createElement('canvas');
+            canvas.width = receipt.width * scale;
+            canvas.height = receipt.height * scale;
+            SpiralReceipt.paint(canvas.getContext('2d'), receipt, scale);
+            canvas.toBlob(blob => this.downloadBlob(blob, `${filename}.png`), 'image/png');
         }
+
+        this.soundManager.playSuccess();
     }
 
-    handleDownload() {
+    // Lets the user pick an export format, preview it, and copy or download it
+    showExportDialog() {
         if (!this.currentResult) return;
+        const result = this.currentResult;
 
-        // Create canvas for image receipt
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-
-        // Receipt dimensions
-        const width = 400;
-        const lineHeight = 24;
-        const padding = 20;
-        const branchHeight = 80;
-        const numBranches = this.currentResult.branches.length;
-        const height = 280 + (numBranches * branchHeight);
-
-        canvas.width = width;
-        canvas.height = height;
-
-        // Background - receipt paper color
-        ctx.fillStyle = '#faf8f5';
-        ctx.fillRect(0, 0, width, height);
-
-        // Add subtle texture/noise
-        for (let i = 0; i < 1000; i++) {
-            ctx.fillStyle = `rgba(0,0,0,${Math.random() * 0.02})`;
-            ctx.fillRect(Math.random() * width, Math.random() * height, 1, 1);
-        }
-
-        // Receipt border
-        ctx.strokeStyle = '#ddd';
-        ctx.lineWidth = 2;
-        ctx.setLineDash([5, 5]);
-        ctx.strokeRect(10, 10, width - 20, height - 20);
-        ctx.setLineDash([]);
-
-        let y = padding + 20;
-
-        // Header
-        ctx.fillStyle = '#1a1a2e';
-        ctx.font = 'bold 22px "Courier New", monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText('🧠 OVERTHINKING RECEIPT 🧠', width / 2, y);
-        y += lineHeight + 10;
-
-        // Divider
-        ctx.strokeStyle = '#ccc';
-        ctx.beginPath();
-        ctx.moveTo(padding, y);
-        ctx.lineTo(width - padding, y);
-        ctx.stroke();
-        y += 15;
-
-        // Date/Time
-        ctx.font = '14px "Courier New", monospace';
-        ctx.fillStyle = '#666';
-        ctx.fillText(`${new Date().toLocaleDateString()}  ${new Date().toLocaleTimeString()}`, width / 2, y);
-        y += lineHeight + 5;
-
-        // Decision
-        ctx.font = 'bold 14px "Courier New", monospace';
-        ctx.fillStyle = '#333';
-        ctx.fillText('DECISION:', width / 2, y);
-        y += lineHeight;
-
-        ctx.font = 'italic 13px "Courier New", monospace';
-        const decision = this.currentResult.decision.length > 35
-            ? this.currentResult.decision.substring(0, 35) + '...'
-            : this.currentResult.decision;
-        ctx.fillText(`"${decision}"`, width / 2, y);
-        y += lineHeight + 10;
-
-        // Anxiety Breakdown header
-        ctx.strokeStyle = '#ccc';
-        ctx.beginPath();
-        ctx.moveTo(padding, y);
-        ctx.lineTo(width - padding, y);
-        ctx.stroke();
-        y += 15;
-
-        ctx.font = 'bold 14px "Courier New", monospace';
-        ctx.fillStyle = '#333';
-        ctx.fillText('ANXIETY BREAKDOWN:', width / 2, y);
-        y += lineHeight;
-
-        // Branches
-        ctx.textAlign = 'left';
-        this.currentResult.branches.forEach(branch => {
-            ctx.font = 'bold 13px "Courier New", monospace';
-            ctx.fillStyle = '#1a1a2e';
-            ctx.fillText(`${branch.icon} ${branch.category}`, padding + 10, y);
-            y += lineHeight - 4;
-
-            ctx.font = '11px "Courier New", monospace';
-            ctx.fillStyle = '#555';
-            branch.nodes.slice(0, 2).forEach(node => {
-                const text = node.text.length > 40 ? node.text.substring(0, 40) + '...' : node.text;
-                ctx.fillText(`  • ${text}`, padding + 15, y);
-                y += lineHeight - 6;
-            });
-
-            if (branch.loop_back) {
-                ctx.fillStyle = '#f59e0b';
-                ctx.fillText('  🔄 loops forever...', padding + 15, y);
-                y += lineHeight - 6;
-            }
-            y += 8;
-        });
-
-        // Stats
-        ctx.textAlign = 'center';
-        ctx.strokeStyle = '#ccc';
-        ctx.beginPath();
-        ctx.moveTo(padding, y);
-        ctx.lineTo(width - padding, y);
-        ctx.stroke();
-        y += 20;
-
-        const anxietyPoints = Math.floor(Math.random() * 900 + 100);
-        const timeWasted = Math.floor(Math.random() * 45 + 15);
-
-        ctx.font = 'bold 14px "Courier New", monospace';
-        ctx.fillStyle = '#e74c3c';
-        ctx.fillText(`TOTAL ANXIETY POINTS: ${anxietyPoints}`, width / 2, y);
-        y += lineHeight;
-
-        ctx.fillStyle = '#3498db';
-        ctx.fillText(`TIME WASTED: ${timeWasted} minutes`, width / 2, y);
-        y += lineHeight + 15;
-
-        // Footer
-        ctx.strokeStyle = '#ccc';
-        ctx.beginPath();
-        ctx.moveTo(padding, y);
-        ctx.lineTo(width - padding, y);
-        ctx.stroke();
-        y += 20;
-
-        ctx.font = '12px "Courier New", monospace';
-        ctx.fillStyle = '#666';
-        ctx.fillText('Thank you for overthinking!', width / 2, y);
-        y += lineHeight;
-        ctx.fillText('🌀 Come spiral again soon 🌀', width / 2, y);
-
-        // Convert to image and download
-        canvas.toBlob(blob => {
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `overthinking-receipt-${Date.now()}.png`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-        }, 'image/png');
-
-        this.soundManager.playSuccess();
-    }
+        const modal = document.createElement('div');
+        modal.className = 'history-modal-overlay export-modal';
+        modal.innerHTML = `
+            <div class="history-modal-content export-modal-content" role="dialog" aria-modal="true" aria-labelledby="export-title">
+                <h3 id="export-title">📤 Export Spiral</h3>
+                <div class="export-formats" role="radiogroup" aria-label="Export format"></div>
+                <textarea class="export-preview" readonly rows="12" aria-label="Export preview"></textarea>
+                <div class="export-actions">
+                    <button type="button" class="export-action-btn export-copy-btn">📋 Copy</button>
+                    <button type="button" class="export-action-btn export-download-btn">⬇ Download</button>
+                </div>
+                <button type="button" class="history-close-btn">Close</button>
+            </div>
+        `;
 
-    showHistory() {
-        console.log('showHistory called');
-        const history = this.historyManager.getHistory();
-        console.log('History entries:', history.length);
+        const formatPicker = modal.querySelector('.export-formats');
+        Object.entries(SpiralExport.FORMATS).forEach(([key, format], index) => {
+            const chip = document.createElement('label');
+            chip.className = 'export-format-chip';
+            chip.innerHTML = `<input type="radio" name="export-format" value="${key}"> <span></span>`;
+            chip.querySelector('span').textContent = format.label;
+            chip.querySelector('input').checked = index === 0;
+            formatPicker.appendChild(chip);
+        });
 
-        if (history.length === 0) {
-            // Create and show a simple notification
-            this.showNotification('No overthinking history yet! Generate some spirals first.');
-            return;
-        }
+        const preview = modal.querySelector('.export-preview');
+        let exported = null;
+        const updatePreview = () => {
+            exported = SpiralExport.serialize(result, formatPicker.querySelector('input:checked').value);
+            preview.value = exported.text;
+        };
 
-        // Build history list HTML
-        let historyHTML = '<div class="history-modal-content">';
-        historyHTML += '<h3>📜 Recent Spirals</h3>';
-        historyHTML += '<ul class="history-list">';
+        const close = () => {
+            modal.remove();
+            document.removeEventListener('keydown', onKeydown);
+        };
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') close();
+        };
 
-        history.forEach((entry, index) => {
-            const date = new Date(entry.timestamp).toLocaleString();
-            const shortDecision = entry.decision.length > 30
-                ? entry.decision.substring(0, 30) + '...'
-                : entry.decision;
-            historyHTML += `<li class="history-item" data-index="${index}">
-                <span class="history-decision">"${shortDecision}"</span>
-                <span class="history-date">${date}</span>
-            </li>`;
+        formatPicker.addEventListener('change', updatePreview);
+        const copyBtn = modal.querySelector('.export-copy-btn');
+        copyBtn.addEventListener('click', () => {
+            navigator.clipboard.writeText(exported.text).then(() => {
+                copyBtn.textContent = '✓ Copied!';
+                setTimeout(() => { copyBtn.textContent = '📋 Copy'; }, 2000);
+            }).catch(err => {
+                console.error('Failed to copy:', err);
+                this.showNotification('Couldn\'t reach the clipboard - select the text and copy it instead');
+            });
+        });
+        modal.querySelector('.export-download-btn').addEventListener('click', () => {
+            this.downloadBlob(new Blob([exported.text], { type: exported.mime }), exported.filename);
         });
+        modal.querySelector('.history-close-btn').addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+        document.addEventListener('keydown', onKeydown);
 
-        historyHTML += '</ul>';
-        historyHTML += '<button class="history-close-btn">Close</button>';
-        historyHTML += '</div>';
+        document.body.appendChild(modal);
+        updatePreview();
+        formatPicker.querySelector('input:checked')?.focus();
+    }
 
+    // Opens even when empty - that's where archives get imported
+    async showHistory() {
         // Create modal overlay
         const modal = document.createElement('div');
         modal.className = 'history-modal-overlay';
-        modal.innerHTML = historyHTML;
+        modal.innerHTML = `
+            <div class="history-modal-content" role="dialog" aria-modal="true" aria-labelledby="history-title">
+                <h3 id="history-title">📜 Your Spirals</h3>
+                <div class="history-filters">
+                    <input type="search" class="history-search" placeholder="Search decisions and thoughts..." aria-label="Search history">
+                    <label class="history-favorites-filter">
+                        <input type="checkbox" class="history-favorites-only"> ★ Favourites
+                    </label>
+                </div>
+                <ul class="history-list"></ul>
+                <div class="history-pager">
+                    <button type="button" class="history-page-btn" data-page="-1">← Newer</button>
+                    <span class="history-page-info"></span>
+                    <button type="button" class="history-page-btn" data-page="1">Older →</button>
+                </div>
+                <div class="history-transfer">
+                    <span class="history-selection-info">Exporting all spirals</span>
+                    <button type="button" class="history-export-btn" data-format="json">⬇ JSON</button>
+                    <button type="button" class="history-export-btn" data-format="markdown">⬇ Markdown</button>
+                    <button type="button" class="history-import-btn">⬆ Import</button>
+                    <input type="file" class="history-import-input" accept=".json,application/json" hidden>
+                </div>
+                <div class="history-actions">
+                    <button type="button" class="history-clear-btn">Clear all</button>
+                    <button type="button" class="history-close-btn">Close</button>
+                </div>
+            </div>
+        `;
         document.body.appendChild(modal);
 
-        // Bind events
-        modal.querySelector('.history-close-btn').addEventListener('click', () => {
+        // `selected` holds the ids picked for export; none picked means everything
+        const state = { query: '', favoritesOnly: false, page: 0, selected: new Set() };
+        const close = () => {
             modal.remove();
-        });
+            document.removeEventListener('keydown', onKeydown);
+        };
+        const open = (entry, { replay = false } = {}) => {
+            this.abandonGeneration();
+            this.fillInputs({ ...entry.result, decision: entry.decision });
+            this.renderResults(entry.result, entry.result.meta?.generated_by === 'ai', { entry: entry, replay: replay });
+            close();
+        };
+        const refresh = () => this.renderHistoryPage(modal, state, open);
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') close();
+        };
 
+        // Bind events
+        modal.querySelector('.history-close-btn').addEventListener('click', close);
         modal.addEventListener('click', (e) => {
-            if (e.target === modal) modal.remove();
+            if (e.target === modal) close();
+        });
+        document.addEventListener('keydown', onKeydown);
+
+        let searchTimer = null;
+        modal.querySelector('.history-search').addEventListener('input', (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                state.query = e.target.value;
+                state.page = 0;
+                refresh();
+            }, 200);
+        });
+        modal.querySelector('.history-favorites-only').addEventListener('change', (e) => {
+            state.favoritesOnly = e.target.checked;
+            state.page = 0;
+            refresh();
+        });
+        modal.querySelectorAll('.history-page-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                state.page += parseInt(btn.dataset.page, 10);
+                refresh();
+            });
+        });
+        modal.querySelectorAll('.history-export-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handleHistoryExport(btn.dataset.format, [...state.selected]));
+        });
+        const importInput = modal.querySelector('.history-import-input');
+        modal.querySelector('.history-import-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (!file) return;
+            await this.handleHistoryImport(file);
+            state.page = 0;
+            refresh();
+        });
+        modal.querySelector('.history-clear-btn').addEventListener('click', async () => {
+            if (!window.confirm('Delete every saved spiral? Favourites too. This cannot be undone.')) return;
+            await this.historyManager.clearHistory();
+            this.currentEntry = null;
+            close();
+            this.showNotification('History cleared. A fresh start to overthink from.');
         });
 
-        modal.querySelectorAll('.history-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const index = parseInt(item.dataset.index);
-                const entry = history[index];
-                this.decisionInput.value = entry.decision;
-                this.renderResults(entry.result);
-                modal.remove();
+        await refresh();
+        modal.querySelector('.history-search').focus();
+    }
+
+    /**
+     * Fills the modal with the page of entries `state` ({ query,
+     * favoritesOnly, page, selected }) points at. `onOpen(entry, { replay })` reopens one, played back if asked.
+     */
+    async renderHistoryPage(modal, state, onOpen) {
+        const pageSize = CONFIG.HISTORY_PAGE_SIZE;
+        const filters = { query: state.query, favoritesOnly: state.favoritesOnly, limit: pageSize };
+        let { entries, total } = await this.historyManager.search({ ...filters, offset: state.page * pageSize });
+
+        // Deleting the last entry on a page steps back a page
+        if (entries.length === 0 && state.page > 0) {
+            state.page = Math.max(0, Math.ceil(total / pageSize) - 1);
+            ({ entries, total } = await this.historyManager.search({ ...filters, offset: state.page * pageSize }));
+        }
+        if (!modal.isConnected) return;
+
+        const list = modal.querySelector('.history-list');
+        list.innerHTML = '';
+
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'history-empty';
+            empty.textContent = state.query || state.favoritesOnly
+                ? 'No spirals match. Suspiciously calm.'
+                : 'No overthinking history yet! Generate some spirals first - or import an archive.';
+            list.appendChild(empty);
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.classList.toggle('is-favorite', entry.favorite === true);
+
+            const selectBox = document.createElement('input');
+            selectBox.type = 'checkbox';
+            selectBox.className = 'history-select';
+            selectBox.checked = state.selected.has(entry.id);
+            selectBox.setAttribute('aria-label', `Select "${entry.decision}" for export`);
+            selectBox.addEventListener('change', () => {
+                if (selectBox.checked) {
+                    state.selected.add(entry.id);
+                } else {
+                    state.selected.delete(entry.id);
+                }
+                this.renderHistorySelection(modal, state);
+            });
+
+            const favoriteBtn = document.createElement('button');
+            favoriteBtn.type = 'button';
+            favoriteBtn.className = 'history-favorite-btn';
+            favoriteBtn.textContent = entry.favorite ? '★' : '☆';
+            favoriteBtn.setAttribute('aria-pressed', String(entry.favorite === true));
+            favoriteBtn.setAttribute('aria-label', entry.favorite ? 'Unpin from favourites' : 'Pin to favourites');
+            favoriteBtn.addEventListener('click', async () => {
+                await this.historyManager.setFavorite(entry.id, !entry.favorite);
+                this.renderHistoryPage(modal, state, onOpen);
+            });
+
+            const openBtn = document.createElement('button');
+            openBtn.type = 'button';
+            openBtn.className = 'history-open-btn';
+
+            const decision = document.createElement('span');
+            decision.className = 'history-decision';
+            const persona = SpiralPrompt.PERSONAS[entry.persona];
+            if (persona && entry.persona !== SpiralPrompt.DEFAULT_OPTIONS.persona) {
+                const personaIcon = document.createElement('span');
+                personaIcon.className = 'history-persona';
+                personaIcon.title = persona.name;
+                personaIcon.textContent = persona.icon;
+                decision.append(personaIcon, ' ');
+            }
+            if (entry.result.compare) {
+                const compareIcon = document.createElement('span');
+                compareIcon.className = 'history-persona';
+                compareIcon.title = 'A or B';
+                compareIcon.textContent = '⚖️';
+                decision.append(compareIcon, ' ');
+            }
+            decision.append(`"${entry.decision.length > 60 ? entry.decision.substring(0, 60) + '...' : entry.decision}"`);
+
+            const date = document.createElement('span');
+            date.className = 'history-date';
+            date.textContent = new Date(entry.timestamp).toLocaleString();
+
+            const report = SpiralScore.score(entry.result);
+            const score = document.createElement('span');
+            score.className = 'history-score';
+            score.title = `Anxiety score: ${SpiralScore.describe(report)}`;
+            score.textContent = `${report.level.icon} ${report.score}`;
+            date.append(' · ', score);
+
+            openBtn.append(decision, date);
+            openBtn.addEventListener('click', () => onOpen(entry));
+
+            const replayBtn = document.createElement('button');
+            replayBtn.type = 'button';
+            replayBtn.className = 'history-replay-btn';
+            replayBtn.textContent = '▶';
+            replayBtn.title = 'Replay spiral';
+            replayBtn.setAttribute('aria-label', `Replay "${entry.decision}"`);
+            replayBtn.addEventListener('click', () => onOpen(entry, { replay: true }));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'history-delete-btn';
+            deleteBtn.textContent = '🗑';
+            deleteBtn.setAttribute('aria-label', `Delete "${entry.decision}"`);
+            deleteBtn.addEventListener('click', async () => {
+                await this.historyManager.deleteEntry(entry.id);
+                state.selected.delete(entry.id);
+                this.renderHistoryPage(modal, state, onOpen);
             });
+
+            item.append(selectBox, favoriteBtn, openBtn, replayBtn, deleteBtn);
+            list.appendChild(item);
         });
+
+        const pages = Math.max(1, Math.ceil(total / pageSize));
+        modal.querySelector('.history-page-info').textContent = `Page ${state.page + 1} of ${pages} · ${total} spiral${total === 1 ? '' : 's'}`;
+        modal.querySelector('[data-page="-1"]').disabled = state.page === 0;
+        modal.querySelector('[data-page="1"]').disabled = state.page >= pages - 1;
+        this.renderHistorySelection(modal, state);
+    }
+
+    renderHistorySelection(modal, state) {
+        const count = state.selected.size;
+        modal.querySelector('.history-selection-info').textContent = count > 0
+            ? `Exporting ${count} selected spiral${count === 1 ? '' : 's'}`
+            : 'Exporting all spirals';
+    }
+
+    // Downloads the chosen entries (or the whole history) as a JSON archive or Markdown
+    async handleHistoryExport(format, ids) {
+        const selection = ids.length > 0 ? ids : null;
+        const date = new Date().toISOString().slice(0, 10);
+
+        try {
+            if (format === 'markdown') {
+                const markdown = await this.historyManager.exportMarkdown(selection);
+                this.downloadBlob(new Blob([markdown], { type: 'text/markdown' }), `overthinking-history-${date}.md`);
+            } else {
+                const json = await this.historyManager.exportArchive(selection);
+                this.downloadBlob(new Blob([json], { type: 'application/json' }), `overthinking-history-${date}.json`);
+            }
+        } catch (error) {
+            console.error('History export failed:', error);
+            this.showNotification(`Couldn't export history - ${error.message}`);
+        }
+    }
+
+    async handleHistoryImport(file) {
+        try {
+            const text = await file.text();
+            const { added, merged, skipped } = await this.historyManager.importArchive(text, result => this.restoreResult(result));
+            if (skipped.length > 0) {
+                console.warn('Skipped while importing history:', skipped);
+            }
+
+            const parts = [`${added} spiral${added === 1 ? '' : 's'} imported`];
+            if (merged > 0) parts.push(`${merged} already here`);
+            if (skipped.length > 0) parts.push(`${skipped.length} skipped`);
+            this.showNotification(`📥 ${parts.join(', ')}`);
+        } catch (error) {
+            console.error('History import failed:', error);
+            this.showNotification(`Couldn't import that file - ${error.message}`);
+        }
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
     }
 
     showNotification(message) {
@@ -869,40 +4715,122 @@ class UIController {
     handleShare() {
         if (!this.currentResult) return;
 
-        // Format the result as shareable text
-        let shareText = `🧠 My Overthinking Spiral\n\n`;
-        shareText += `"${this.currentResult.decision}"\n\n`;
-        shareText += `${this.currentResult.root_thought}\n\n`;
-
-        this.currentResult.branches.forEach(branch => {
-            shareText += `${branch.icon} ${branch.category}\n`;
-            branch.nodes.forEach(node => {
-                const indent = '  '.repeat(node.depth);
-                shareText += `${indent}• ${node.text}\n`;
-            });
-            if (branch.loop_back) {
-                shareText += `  🔄 (loops back...)\n`;
-            }
-            shareText += `\n`;
-        });
-
-        shareText += `---\nGenerated by Overthinking Simulator 🌀`;
+        const shareText = SpiralExport.toText(this.currentResult);
 
         // Copy to clipboard
         navigator.clipboard.writeText(shareText).then(() => {
-            this.shareBtn.classList.add('copied');
-            const originalText = this.shareBtn.querySelector('.share-text').textContent;
-            this.shareBtn.querySelector('.share-text').textContent = 'Copied!';
-
-            setTimeout(() => {
-                this.shareBtn.classList.remove('copied');
-                this.shareBtn.querySelector('.share-text').textContent = originalText;
-            }, 2000);
+            this.flashCopied(this.shareBtn, 'Copied!');
         }).catch(err => {
             console.error('Failed to copy:', err);
         });
     }
 
+    flashCopied(button, message) {
+        const label = button.querySelector('.share-text');
+        const originalText = label.textContent;
+        button.classList.add('copied');
+        label.textContent = message;
+
+        setTimeout(() => {
+            button.classList.remove('copied');
+            label.textContent = originalText;
+        }, 2000);
+    }
+
+    async handleShareLink() {
+        if (!this.currentResult) return;
+
+        try {
+            // Imported packs only exist in this browser, so those spirals travel in full
+            const replayable = this.templatePackManager.getImportedPacks().length === 0;
+            const fragment = await SpiralShare.encode(SpiralShare.createPayload(this.currentResult, { replayable }));
+            let url = `${window.location.href.split('#')[0]}#${fragment}`;
+
+            if (CONFIG.SHARE_PAGE_URL) {
+                // The preview image can only show thoughts the link carries, so send them all when they fit
+                const full = await SpiralShare.encode(SpiralShare.createPayload(this.currentResult, { replayable: false }))
+                    .catch(() => fragment);
+                url = `${window.location.origin}${CONFIG.SHARE_PAGE_URL}?${full}`;
+            }
+
+            await navigator.clipboard.writeText(url);
+            this.flashCopied(this.shareLinkBtn, 'Link copied!');
+        } catch (error) {
+            console.error('Failed to create link:', error);
+            this.showNotification(`Couldn't make a link - ${error.message}`);
+        }
+    }
+
+    /**
+     * Renders the spiral in a #spiral=... link read-only. Broken links are
+     * reported and otherwise ignored.
+     */
+    async openSharedLink(hash) {
+        if (!SpiralShare.isLink(hash)) return;
+
+        let payload;
+        try {
+            payload = await SpiralShare.decode(hash);
+        } catch (error) {
+            console.warn('Invalid spiral link:', error);
+            this.showNotification(`That spiral link is broken - ${error.message}`);
+            return;
+        }
+
+        await this.packsReady;
+
+        let result;
+        if (payload.kind === 'seed') {
+            result = this.fallbackGenerator.generate(payload.decision, payload.options, payload.seed);
+            result.meta.generated_by = 'templates';
+        } else {
+            result = this.restoreResult(payload.spiral);
+        }
+
+        this.abandonGeneration();
+        this.renderResults(result, result.meta.generated_by === 'ai', { readOnly: true });
+    }
+
+    // Spirals from outside (links, imported archives) get the same repair and styling as AI output
+    restoreResult(spiral) {
+        // Missing or partial options still need a maxDepth that keeps every thought where it is
+        const deepest = Math.max(SPIRAL_DEPTH.MIN, ...spiral.branches.flatMap(branch => branch.nodes.map(node => node.depth)));
+        const options = SpiralPrompt.normalizeOptions({ maxDepth: deepest, ...spiral.options });
+        const result = this.aiGenerator.schema.repair(spiral, spiral.decision, options, spiral.compare?.options || null);
+        result.branches = result.branches.map(branch => this.aiGenerator.decorateBranch(branch));
+        result.options = options;
+        const seed = SpiralRandom.normalizeSeed(spiral.seed);
+        if (seed !== null) result.seed = seed;
+        return result;
+    }
+
+    handleMakeOwn() {
+        this.clearSharedLink();
+        this.setReadOnly(false);
+        this.playback.stop();
+        this.narrator.stop();
+        this.soundManager.cancelScheduled();
+        this.currentResult = null;
+        this.resultsSection.classList.add('hidden');
+        this.setInputMode('single');
+        this.decisionInput.value = '';
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+        this.decisionInput.focus();
+    }
+
+    clearSharedLink() {
+        if (SpiralShare.isLink(window.location.hash)) {
+            history.replaceState(null, '', window.location.href.split('#')[0]);
+        }
+    }
+
+    setReadOnly(readOnly) {
+        this.resultsSection.classList.toggle('read-only', readOnly);
+        if (this.sharedBanner) {
+            this.sharedBanner.classList.toggle('hidden', !readOnly);
+        }
+    }
+
     checkApiKey() {
         // Using proxy mode - AI is always available, no modal needed
         if (this.aiGenerator.hasApiKey()) {
@@ -957,122 +4885,462 @@ class UIController {
     }
 
     async handleGenerate() {
-        const decision = this.decisionInput.value.trim();
+        const inputs = this.inputMode === 'compare' ? [this.optionAInput, this.optionBInput] : [this.decisionInput];
+        const empty = inputs.find(input => !input.value.trim());
+        if (empty) {
+            empty.focus();
+            empty.classList.add('shake');
+            setTimeout(() => empty.classList.remove('shake'), 500);
+            return;
+        }
 
-        if (!decision) {
-            this.decisionInput.focus();
-            this.decisionInput.classList.add('shake');
-            setTimeout(() => this.decisionInput.classList.remove('shake'), 500);
+        const compare = this.inputMode === 'compare' ? inputs.map(input => input.value.trim()) : null;
+        const decision = compare ? SpiralPrompt.comparisonDecision(...compare) : this.decisionInput.value.trim();
+
+        this.clearSharedLink();
+        const options = this.readSettings();
+        const { seed, valid: seedValid } = this.readSeed();
+        if (!seedValid) {
+            this.seedInput.classList.add('shake');
+            setTimeout(() => this.seedInput.classList.remove('shake'), 500);
+            this.showNotification(`Seeds are whole numbers from 0 to ${SpiralRandom.MAX_SEED}`);
             return;
         }
 
+        // Only the latest generation gets to render - starting one cancels the last
+        const generation = this.startGeneration();
+        const isCurrent = () => generation === this.generation;
+
         // Show thinking animation
+        this.playback.stop();
+        this.narrator.stop();
+        this.soundManager.cancelScheduled();
+        this.streamedBranchCount = 0;
+        this.streamedBranches = [];
         this.resultsSection.classList.add('hidden');
         this.thinkingAnimation.classList.remove('hidden');
 
         let result;
         let usedAI = false;
 
-        if (this.aiGenerator.hasApiKey()) {
+        if (this.aiGenerator.hasApiKey() && seed === undefined) {
             // Use AI generation
             this.thinkingText.textContent = 'AI is contemplating your existential crisis...';
 
             try {
-                result = await this.aiGenerator.generate(decision);
+                result = await this.aiGenerator.generate(decision, {
+                    options: options,
+                    compare: compare,
+                    signal: generation.signal,
+                    // Streamed branches don't know their option yet, so comparisons arrive whole
+                    onBranch: compare ? null : (branch, index, rootThought) => {
+                        if (isCurrent()) this.renderStreamedBranch(decision, branch, index, rootThought, options);
+                    },
+                    onRetry: () => {
+                        if (isCurrent()) this.resetStreamedResults('AI tied itself in a knot... untangling...');
+                    },
+                    onBackoff: (error, delay) => {
+                        if (isCurrent() && this.streamedBranchCount === 0) {
+                            this.thinkingText.textContent = `AI is overwhelmed too... trying again in ${Math.ceil(delay / 1000)}s`;
+                        }
+                    }
+                });
                 usedAI = true;
                 result.meta.generated_by = 'ai';
             } catch (error) {
+                // Cancelled, or a newer generation took over
+                if (!isCurrent()) return;
                 console.error('AI Error:', error);
 
                 // Show specific error message
                 let errorMsg = 'AI had a moment...';
-                if (error.message.includes('API key')) {
+                if (error instanceof SpiralValidationError) {
+                    errorMsg = 'AI lost the plot entirely...';
+                } else if (error instanceof SpiralRequestError && error.timedOut) {
+                    errorMsg = 'AI went quiet for too long...';
+                } else if (error.message.includes('API key')) {
                     errorMsg = 'Invalid API key - check your Gemini key...';
                 } else if (error.message.includes('quota')) {
                     errorMsg = 'API quota exceeded - try again later...';
+                } else if (error.message.includes('Rate limit')) {
+                    errorMsg = 'Too many spirals at once - even overthinkers need a breather...';
                 } else if (error.message.includes('network') || error.message.includes('fetch')) {
                     errorMsg = 'Network error - check your connection...';
                 }
 
-                this.thinkingText.textContent = `${errorMsg} falling back to templates...`;
-                await this.delay(1500);
-                result = this.fallbackGenerator.generate(decision);
+                // A stream may have failed halfway - hide the partial spiral again
+                this.resetStreamedResults(`${errorMsg} falling back to templates...`);
+                await Promise.all([this.delay(1500), this.packsReady]);
+                if (!isCurrent()) return;
+                result = this.generateFromTemplates(decision, compare, options, seed);
                 result.meta.generated_by = 'templates (AI failed)';
             }
         } else {
-            // Use fallback templates
-            this.thinkingText.textContent = 'Initiating overthinking sequence...';
-            await this.delay(1500 + Math.random() * 1000);
-            result = this.fallbackGenerator.generate(decision);
+            // Use fallback templates - a chosen seed always replays from templates
+            this.thinkingText.textContent = seed === undefined
+                ? 'Initiating overthinking sequence...'
+                : `Replaying spiral #${seed}...`;
+            // A seed picks from every loaded category, so packs must be in before it's used
+            await Promise.all([this.delay(1500 + Math.random() * 1000), this.packsReady]);
+            if (!isCurrent()) return;
+            result = this.generateFromTemplates(decision, compare, options, seed);
             result.meta.generated_by = 'templates';
         }
 
         // Hide thinking, show results
+        if (!isCurrent()) return;
+        this.finishGeneration();
+        this.thinkingAnimation.classList.add('hidden');
+        this.renderResults(result, usedAI, { streamed: usedAI && this.streamedBranchCount > 0 });
+        this.streamedBranchCount = 0;
+        this.streamedBranches = [];
+    }
+
+    /**
+     * Begins a generation, cancelling any still running. Returns its
+     * token: `signal` aborts when it's cancelled, and it stays
+     * `this.generation` only while it's the latest.
+     */
+    startGeneration() {
+        this.generation?.abort();
+        this.abortSpiralRequests();
+        const controller = new AbortController();
+        this.generation = { signal: controller.signal, abort: () => controller.abort() };
+        this.setGenerating(true);
+        return this.generation;
+    }
+
+    finishGeneration() {
+        this.generation = null;
+        this.setGenerating(false);
+    }
+
+    setGenerating(generating) {
+        this.generateBtn.setAttribute('aria-busy', String(generating));
+        if (this.cancelGenerateBtn) {
+            this.cancelGenerateBtn.disabled = !generating;
+        }
+    }
+
+    // Drops the request in flight, if any, so it can't render over whatever is shown next
+    abandonGeneration() {
+        this.generation?.abort();
+        this.abortSpiralRequests();
+        this.finishGeneration();
+        this.streamedBranchCount = 0;
+        this.streamedBranches = [];
         this.thinkingAnimation.classList.add('hidden');
-        this.renderResults(result, usedAI);
     }
 
-    renderResults(result, usedAI = false) {
+    /**
+     * A controller for a request that adds to the spiral on screen (go
+     * deeper, reality check). It's aborted once that spiral is replaced;
+     * pass it to endSpiralRequest() when the request settles.
+     */
+    beginSpiralRequest() {
+        const controller = new AbortController();
+        this.spiralRequests.add(controller);
+        return controller;
+    }
+
+    endSpiralRequest(controller) {
+        this.spiralRequests.delete(controller);
+    }
+
+    abortSpiralRequests() {
+        this.spiralRequests.forEach(controller => controller.abort());
+        this.spiralRequests.clear();
+    }
+
+    // The thinking animation's stop button: drops the request and puts back whatever was on screen
+    cancelGeneration() {
+        if (!this.generation) return;
+
+        // Half a streamed spiral isn't worth keeping; the last whole one is
+        const partial = this.streamedBranchCount > 0;
+        this.abandonGeneration();
+        this.resultsSection.classList.toggle('hidden', partial || !this.currentResult);
+        this.showNotification('Overthinking cancelled. A first for you, probably.');
+    }
+
+    generateFromTemplates(decision, compare, options, seed) {
+        return compare
+            ? this.fallbackGenerator.generateComparison(...compare, options, seed)
+            : this.fallbackGenerator.generate(decision, options, seed);
+    }
+
+    /**
+     * Shows a branch that arrived mid-stream. The first one swaps the
+     * thinking animation for the (still filling) results section.
+     */
+    renderStreamedBranch(decision, branch, index, rootThought, options) {
+        if (index === 0) {
+            this.thinkingAnimation.classList.add('hidden');
+            this.setReadOnly(false);
+            this.renderPersona(options);
+            this.decisionDisplay.textContent = decision;
+            this.rootThought.textContent = rootThought || '';
+            this.branchesContainer.innerHTML = '';
+            this.resultsSection.classList.remove('hidden');
+            this.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+
+        const card = this.createBranchCard(branch, 0);
+        card.dataset.branchIndex = index;
+        this.branchesContainer.appendChild(card);
+        this.streamedBranches = [...this.streamedBranches.slice(0, index), branch];
+        if (this.resultsView === 'graph') {
+            this.graphView.render({ decision, root_thought: rootThought || '', branches: this.streamedBranches }, { keepView: index > 0 });
+        }
+        if (index === 0) this.startSpiralSounds(rootThought || '');
+        this.playBranchSounds(branch, 0);
+        this.streamedBranchCount = index + 1;
+    }
+
+    // The classic overthinker needs no introduction - and old spirals have no persona
+    getPersona(options) {
+        const key = options?.persona;
+        if (!key || key === SpiralPrompt.DEFAULT_OPTIONS.persona) return null;
+        return SpiralPrompt.PERSONAS[key] || null;
+    }
+
+    renderPersona(options) {
+        if (!this.personaDisplay) return;
+        const persona = this.getPersona(options);
+        this.personaDisplay.textContent = persona ? `${persona.icon} ${persona.name} is overthinking:` : '';
+        this.personaDisplay.classList.toggle('hidden', !persona);
+    }
+
+    resetStreamedResults(message) {
+        this.streamedBranchCount = 0;
+        this.streamedBranches = [];
+        this.resultsSection.classList.add('hidden');
+        this.thinkingAnimation.classList.remove('hidden');
+        this.thinkingText.textContent = message;
+    }
+
+    /**
+     * Shows a spiral. Pass the history `entry` when reopening one, so it
+     * isn't saved twice.
+     */
+    renderResults(result, usedAI = false, { streamed = false, readOnly = false, entry = null, replay = false } = {}) {
         // Store result for sharing
         this.currentResult = result;
+        this.setReadOnly(readOnly);
+        this.playback.stop();
+        // Playback brings its own keystrokes and cues as it reveals the spiral
+        const playBack = this.shouldPlayBack({ streamed, entry, replay });
+        if (!streamed) {
+            this.startSpiralSounds(playBack ? '' : result.root_thought);
+        }
 
+        this.renderPersona(result.options);
         this.decisionDisplay.textContent = result.decision;
         this.rootThought.textContent = result.root_thought;
 
         // Show AI badge if used AI successfully
         if (usedAI) {
-            this.rootThought.innerHTML = `<span class="ai-badge">✨ AI Generated</span> ${result.root_thought}`;
+            this.rootThought.innerHTML = '<span class="ai-badge">✨ AI Generated</span> ';
+            this.rootThought.append(result.root_thought);
         }
 
-        this.branchesContainer.innerHTML = '';
+        // Streamed branches are already on screen - only add whatever is missing
+        const alreadyRendered = streamed ? this.branchesContainer.children.length : 0;
+        if (!streamed) {
+            this.branchesContainer.innerHTML = '';
+        }
+        this.branchesContainer.classList.toggle('is-comparison', Boolean(result.compare));
+        const columns = result.compare ? this.createComparisonColumns(result) : null;
 
-        result.branches.forEach((branch, index) => {
+        result.branches.slice(alreadyRendered).forEach((branch, index) => {
             const branchCard = this.createBranchCard(branch, index);
-            this.branchesContainer.appendChild(branchCard);
-
-            // Play pop sound for each branch with delay
-            this.soundManager.playPop(index * 150);
+            branchCard.dataset.branchIndex = alreadyRendered + index;
+            (columns ? columns[branch.option] : this.branchesContainer).appendChild(branchCard);
+            if (!playBack) {
+                this.playBranchSounds(branch, index);
+            }
         });
 
+        if (this.resultsView === 'graph') {
+            // Keep the view the user panned to while the branches streamed in
+            this.graphView.render(result, { keepView: streamed });
+        }
+
         this.humorLevel.textContent = result.meta.humor_level;
         this.absurdityLevel.textContent = result.meta.absurdity_level;
-
-        // Save to history
-        this.historyManager.addToHistory(result);
+        if (this.intensityLevel) {
+            // Spirals saved before settings existed have no options
+            const intensity = SpiralPrompt.INTENSITIES[result.options?.intensity];
+            this.intensityLevel.textContent = intensity ? `${intensity.icon} ${intensity.label}` : '—';
+        }
+        if (this.seedValue) {
+            // Only template spirals can be replayed from a seed
+            const hasSeed = SpiralRandom.normalizeSeed(result.seed) !== null;
+            this.seedValue.textContent = hasSeed ? `#${result.seed}` : '—';
+            this.seedValue.disabled = !hasSeed;
+        }
+        this.renderScore(result);
+        this.renderRealityCheck(result);
+
+        // Save to history - someone else's spiral isn't yours to keep
+        if (entry) {
+            this.currentEntry = Promise.resolve(entry);
+        } else if (readOnly) {
+            this.currentEntry = null;
+        } else {
+            this.currentEntry = this.historyManager.addToHistory(result).catch(error => {
+                console.error('Failed to save to history:', error);
+                return null;
+            });
+        }
 
         this.resultsSection.classList.remove('hidden');
         this.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
 
-        // Play success sound after all pops
-        setTimeout(() => this.soundManager.playSuccess(), result.branches.length * 150 + 200);
+        if (playBack) {
+            this.narrator.stop();
+            this.playBack(result);
+            return;
+        }
+
+        // Play success sound after all the cues
+        this.finishSpiralSounds(result.branches.length * 150 + 200);
+
+        // Narration mode reads every new spiral from the top
+        if (this.narrator.isEnabled()) {
+            this.narrator.play(result);
+        } else {
+            this.narrator.stop();
+        }
+    }
+
+    // A fresh soundscape for a new spiral: whatever the last one queued is silenced
+    startSpiralSounds(rootThought) {
+        this.soundManager.cancelScheduled();
+        this.tension = { depth: 1, loops: 0 };
+        this.soundManager.startDrone();
+        this.soundManager.playTyping(rootThought, { duration: 600 });
+    }
+
+    // The success chord `delay` ms from now, then the drone dies away
+    finishSpiralSounds(delay) {
+        this.soundManager.playSuccess(delay);
+        this.soundManager.schedule(() => this.soundManager.stopDrone(4), delay + 4000);
+    }
+
+    // Winds the drone up when the spiral gets deeper than before or loops back
+    windUp(depth, loops = 0, delay = 0) {
+        if (depth <= this.tension.depth && loops === 0) return;
+        this.tension.depth = Math.max(this.tension.depth, depth);
+        this.tension.loops += loops;
+        this.soundManager.setTension(this.soundManager.tensionFor(this.tension.depth, this.tension.loops), delay);
+    }
+
+    /**
+     * A branch's cue, then a few typewriter keystrokes per thought timed to
+     * the card's entrance animations, winding the drone up as the spiral
+     * gets deeper and loops back.
+     */
+    playBranchSounds(branch, index) {
+        const sounds = this.soundManager;
+        sounds.playCategoryCue(branch.categoryKey, index * 150);
+
+        let delay = index * 100;
+        SpiralThoughts.flatten(branch.nodes).forEach(({ node }, nodeIndex) => {
+            delay = (index * 0.1 + nodeIndex * 0.05) * 1000;
+            sounds.playTyping(node.text, { delay, maxKeystrokes: 4 });
+            this.windUp(node.depth, 0, delay);
+        });
+        if (branch.loop_back) {
+            this.windUp(this.tension.depth, 1, delay + 300);
+        }
+    }
+
+    // "A or B": a column per option, headed by the option (renderScore fills in its score)
+    createComparisonColumns(result) {
+        return result.compare.options.map((option, side) => {
+            const column = document.createElement('div');
+            column.className = 'comparison-column';
+
+            const header = document.createElement('div');
+            header.className = 'comparison-header';
+            header.innerHTML = '<span class="comparison-label"></span><span class="comparison-option"></span><span class="comparison-score"></span>';
+            header.querySelector('.comparison-label').textContent = SpiralPrompt.COMPARE_LABELS[side];
+            header.querySelector('.comparison-option').textContent = option;
+            column.appendChild(header);
+
+            this.branchesContainer.appendChild(column);
+            return column;
+        });
     }
 
     createBranchCard(branch, index) {
         const card = document.createElement('div');
         card.className = 'branch-card';
         card.dataset.category = branch.categoryKey;
-        card.style.animationDelay = `${index * 0.1}s`;
+        if (branch.color) {
+            // Categories the stylesheet doesn't know bring their own colour
+            card.style.setProperty('--branch-color', branch.color);
+        }
+        card.style.animationDelay = `${branch.animationDelay ?? index * 0.1}s`;
 
         const header = document.createElement('div');
         header.className = 'branch-header';
         header.innerHTML = `
             <div class="branch-title">
-                <span class="branch-icon">${branch.icon}</span>
-                <span class="branch-name">${branch.category}</span>
+                <span class="branch-icon"></span>
+                <span class="branch-name"></span>
             </div>
-            <span class="branch-tone">${branch.tone}</span>
+            <span class="branch-tone"></span>
         `;
+        // Names come from the AI and imported packs - never parse them as HTML
+        header.querySelector('.branch-icon').textContent = branch.icon;
+        header.querySelector('.branch-name').textContent = branch.category;
+        header.querySelector('.branch-tone').textContent = branch.tone;
         card.appendChild(header);
 
         const nodesContainer = document.createElement('div');
         nodesContainer.className = 'thought-nodes';
 
-        branch.nodes.forEach((node, nodeIndex) => {
+        SpiralThoughts.flatten(branch.nodes).forEach(({ node, path, level }, nodeIndex) => {
             const nodeEl = document.createElement('div');
             nodeEl.className = 'thought-node';
             nodeEl.dataset.depth = node.depth;
+            nodeEl.dataset.path = path.join('-');
             nodeEl.textContent = node.text;
+            if (node.cross_ref) {
+                // A thought about the other option of an "A or B"
+                const marker = document.createElement('span');
+                marker.className = 'cross-ref-marker';
+                marker.title = 'But what about the other one?';
+                marker.textContent = '↔';
+                nodeEl.prepend(marker);
+                nodeEl.classList.add('thought-node-cross-ref');
+            }
             nodeEl.style.animationDelay = `${(index * 0.1) + (nodeIndex * 0.05)}s`;
+            if (level > 0) {
+                nodeEl.classList.add('thought-node-nested');
+            }
+            if (node.depth > SPIRAL_DEPTH.MAX) {
+                // The stylesheet indents up to the deepest regular level; the abyss keeps going
+                nodeEl.style.marginLeft = `calc(var(--spacing-md) * ${3.5 + (node.depth - SPIRAL_DEPTH.MAX) * 0.5})`;
+            }
+
+            const expanded = Array.isArray(node.children) && node.children.length > 0;
+            if (!expanded) {
+                nodeEl.classList.add('thought-node-deeper');
+                nodeEl.setAttribute('role', 'button');
+                nodeEl.setAttribute('tabindex', '0');
+                nodeEl.title = 'Go deeper';
+                const goDeeper = () => this.handleGoDeeper(this.currentResult?.branches.indexOf(branch) ?? -1, path);
+                nodeEl.addEventListener('click', goDeeper);
+                nodeEl.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        goDeeper();
+                    }
+                });
+            }
             nodesContainer.appendChild(nodeEl);
         });
 
@@ -1085,10 +5353,206 @@ class UIController {
             card.appendChild(loopIndicator);
         }
 
+        if (branch.counter_thought) {
+            card.appendChild(this.createCounterThought(branch.counter_thought));
+        }
+
         return card;
     }
 
+    // A branch's reality check, at the bottom of its card
+    createCounterThought(text) {
+        const counter = document.createElement('div');
+        counter.className = 'counter-thought';
+        counter.innerHTML = '<span class="counter-thought-label">🧘 Reality check</span><p class="counter-thought-text"></p>';
+        counter.querySelector('.counter-thought-text').textContent = text;
+        return counter;
+    }
+
+    // The reality check's closing line, and whether there's still one to ask for
+    renderRealityCheck(result) {
+        if (!this.realityCheckBtn) return;
+
+        const summary = result.reality_check?.summary;
+        this.realitySummary.textContent = summary ? `🧘 ${summary}` : '';
+        this.realitySummary.classList.toggle('hidden', !summary);
+        this.realityCheckBtn.disabled = Boolean(summary);
+        this.realityCheckBtn.textContent = summary ? '🧘 Reality checked' : '🧘 Reality check';
+    }
+
+    /**
+     * The counterweight to a spiral: a calm counter-thought under every
+     * branch card and a closing line. From the AI for AI spirals, from
+     * templates otherwise (or when the AI fails). Saved with the history
+     * entry like going deeper.
+     */
+    async handleRealityCheck() {
+        const result = this.currentResult;
+        if (!result || result.reality_check || this.checkingReality) return;
+
+        this.checkingReality = true;
+        this.realityCheckBtn.disabled = true;
+        this.realityCheckBtn.textContent = '🧘 Breathing in...';
+
+        const request = this.beginSpiralRequest();
+        let check = null;
+        let generatedBy = 'templates';
+        try {
+            if (result.meta.generated_by === 'ai' && this.aiGenerator.hasApiKey()) {
+                try {
+                    check = await this.aiGenerator.realityCheck(result, { signal: request.signal });
+                    generatedBy = 'ai';
+                } catch (error) {
+                    // The spiral was replaced - its check is no longer wanted
+                    if (isAbortError(error)) return;
+                    console.error('Reality check error:', error);
+                    this.showNotification('AI is still spiralling - the templates will talk you down instead');
+                }
+            }
+            if (!check) {
+                check = this.fallbackGenerator.generateRealityCheck(result);
+            }
+        } finally {
+            this.endSpiralRequest(request);
+            this.checkingReality = false;
+        }
+
+        // A new spiral replaced this one while we were thinking
+        if (this.currentResult !== result) return;
+
+        // In place, so the cards' "go deeper" handlers still find their branches
+        result.branches.forEach((branch, index) => {
+            branch.counter_thought = check.counters[index];
+        });
+        result.reality_check = { summary: check.summary, generated_by: generatedBy };
+
+        this.branchesContainer.querySelectorAll('.branch-card[data-branch-index]').forEach(card => {
+            const branch = result.branches[card.dataset.branchIndex];
+            if (branch) card.appendChild(this.createCounterThought(branch.counter_thought));
+        });
+        this.renderRealityCheck(result);
+        if (this.currentEntry) {
+            this.currentEntry.then(entry => entry && this.historyManager.updateEntry(entry.id, result));
+        }
+    }
+
+    // The anxiety score in the meta bar, with its breakdown by factor and by category
+    renderScore(result) {
+        if (!this.anxietyScore) return;
+
+        const report = SpiralScore.score(result);
+        this.anxietyScore.textContent = `${report.score}/100`;
+        this.anxietyScore.dataset.level = SpiralScore.LEVELS.findIndex(level => level.label === report.level.label);
+        this.anxietyScore.title = result.compare ? 'Both options combined' : '';
+        this.scoreLevel.textContent = `${report.level.icon} ${report.level.label}`;
+
+        // A comparison's columns each show their own option's score
+        const sides = SpiralScore.scoreSides(result);
+        this.branchesContainer.querySelectorAll('.comparison-score').forEach((element, side) => {
+            if (!sides[side]) return;
+            element.textContent = `${sides[side].level.icon} ${sides[side].score}/100`;
+            element.title = `Anxiety score: ${SpiralScore.describe(sides[side])}`;
+        });
+
+        const bar = (label, value, max, title) => {
+            const item = document.createElement('li');
+            item.className = 'score-bar';
+            item.title = title;
+            item.innerHTML = '<span class="score-bar-label"></span><span class="score-bar-track"><span class="score-bar-fill"></span></span><span class="score-bar-value"></span>';
+            item.querySelector('.score-bar-label').textContent = label;
+            item.querySelector('.score-bar-fill').style.width = `${Math.round(value / max * 100)}%`;
+            item.querySelector('.score-bar-value').textContent = `${Math.round(value)}/${max}`;
+            return item;
+        };
+
+        this.scoreFactors.replaceChildren(...report.factors.map(factor =>
+            bar(factor.label, factor.points, factor.weight, `${Math.round(factor.value * 100)}% of the way to maximum ${factor.label.toLowerCase()}`)));
+        this.scoreCategories.replaceChildren(...report.categories.map(category =>
+            bar(`${category.option !== undefined ? `${SpiralPrompt.COMPARE_LABELS[category.option]} · ` : ''}${category.icon || ''} ${category.category}`.trim(), category.score, 100,
+                `${category.thoughts} thought${category.thoughts === 1 ? '' : 's'}`)));
+    }
+
+    /**
+     * Grows a sub-spiral out of one thought: from the AI for AI spirals,
+     * from templates otherwise (or when the AI fails). The branch card, the
+     * graph and the history entry are all updated in place.
+     */
+    async handleGoDeeper(branchIndex, path) {
+        const result = this.currentResult;
+        if (!result || branchIndex < 0 || this.goingDeeper) return;
+        if (this.resultsSection.classList.contains('read-only')) {
+            this.showNotification('This is someone else\'s spiral - make your own to go deeper');
+            return;
+        }
+
+        const branch = result.branches[branchIndex];
+        const node = branch && SpiralThoughts.getNode(branch.nodes, path);
+        if (!node || (Array.isArray(node.children) && node.children.length > 0)) return;
+        // Links can't carry spirals nested any further, so stop where sharing still works
+        if (path.length > SpiralShare.MAX_NESTING) {
+            this.showNotification('That thought has hit rock bottom. Even overthinking has limits.');
+            return;
+        }
+
+        const card = this.branchesContainer.querySelector(`.branch-card[data-branch-index="${branchIndex}"]`);
+        const nodeEl = card?.querySelector(`.thought-node[data-path="${path.join('-')}"]`);
+        this.goingDeeper = true;
+        nodeEl?.classList.add('is-loading');
+        nodeEl?.setAttribute('aria-busy', 'true');
+
+        const request = this.beginSpiralRequest();
+        let children = [];
+        try {
+            if (result.meta.generated_by === 'ai' && this.aiGenerator.hasApiKey()) {
+                try {
+                    children = await this.aiGenerator.goDeeper(result.decision, branch, path, { options: result.options, signal: request.signal });
+                } catch (error) {
+                    // The spiral was replaced - nothing left to go deeper into
+                    if (isAbortError(error)) return;
+                    console.error('Go deeper error:', error);
+                    this.showNotification('AI hit a wall down there - the templates will take it from here');
+                }
+            }
+            if (children.length === 0) {
+                children = this.fallbackGenerator.generateDeeper(result.decision, branch, node, result.options);
+            }
+        } finally {
+            this.endSpiralRequest(request);
+            this.goingDeeper = false;
+            nodeEl?.classList.remove('is-loading');
+            nodeEl?.removeAttribute('aria-busy');
+        }
+
+        // A new spiral replaced this one while we were thinking
+        if (this.currentResult !== result) return;
+        if (children.length === 0) {
+            this.showNotification('That thought has hit rock bottom. Even overthinking has limits.');
+            return;
+        }
 
+        const deeperBranch = { ...branch, nodes: SpiralThoughts.setChildren(branch.nodes, path, children) };
+        result.branches[branchIndex] = deeperBranch;
+
+        if (card) {
+            const newCard = this.createBranchCard(deeperBranch, branchIndex);
+            newCard.dataset.branchIndex = branchIndex;
+            newCard.classList.add('is-deepened');
+            const newPaths = children.map((child, i) => [...path, i].join('-'));
+            newCard.querySelectorAll('.thought-node').forEach(el => {
+                el.classList.toggle('is-new', newPaths.includes(el.dataset.path));
+            });
+            card.replaceWith(newCard);
+            newCard.querySelector('.thought-node.is-new')?.focus({ preventScroll: true });
+        }
+        if (this.resultsView === 'graph') {
+            this.graphView.render(result, { keepView: true });
+        }
+        this.renderScore(result);
+        if (this.currentEntry) {
+            this.currentEntry.then(entry => entry && this.historyManager.updateEntry(entry.id, result));
+        }
+        this.soundManager.playPop();
+    }
 
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,205 @@
+/**
+ * History archives
+ * Backs up history entries as a versioned JSON archive (which can be
+ * imported again, in this browser or another) or as a Markdown document
+ * for reading. Imported archives are validated entry by entry; anything
+ * that doesn't look like a spiral is skipped rather than stored.
+ *
+ * Loaded as a plain <script> after lib/prompt.js, lib/thoughts.js,
+ * lib/score.js and lib/export.js (exposes window.SpiralArchive) or
+ * imported from Node.
+ */
+
+(function (root, factory) {
+    const isModule = typeof module === 'object' && module.exports;
+    const SpiralArchive = isModule
+        ? factory(require('./prompt.js'), require('./thoughts.js'), require('./score.js'), require('./export.js'))
+        : factory(root.SpiralPrompt, root.SpiralThoughts, root.SpiralScore, root.SpiralExport);
+    if (isModule) {
+        module.exports = SpiralArchive;
+    } else {
+        root.SpiralArchive = SpiralArchive;
+    }
+})(globalThis, function (SpiralPrompt, SpiralThoughts, SpiralScore, SpiralExport) {
+    const ARCHIVE_FORMAT = 'overthinking-simulator-history';
+    const ARCHIVE_VERSION = 1;
+    const LIMITS = {
+        MAX_ARCHIVE_BYTES: 20 * 1024 * 1024,
+        MAX_ENTRIES: 5000,
+        MAX_TEXT_LENGTH: 2000,
+        MAX_BRANCHES: 20,
+        MAX_THOUGHTS: 500
+    };
+
+    // Known fields only - whatever else an archive carries stays out of history
+    function copyEntry(entry) {
+        return {
+            id: entry.id,
+            timestamp: entry.timestamp,
+            decision: entry.decision,
+            persona: typeof entry.persona === 'string' ? entry.persona : SpiralPrompt.DEFAULT_OPTIONS.persona,
+            seed: Number.isInteger(entry.seed) ? entry.seed : null,
+            favorite: entry.favorite === true,
+            result: entry.result
+        };
+    }
+
+    function createArchive(entries, exportedAt = new Date().toISOString()) {
+        return {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            exported_at: exportedAt,
+            entries: entries.map(copyEntry)
+        };
+    }
+
+    function stringify(entries, exportedAt) {
+        return JSON.stringify(createArchive(entries, exportedAt), null, 2);
+    }
+
+    function isText(value, maxLength = LIMITS.MAX_TEXT_LENGTH) {
+        return typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+    }
+
+    // Returns an error message for one entry, or null when it can be imported
+    function validateEntry(entry) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return 'is not an object';
+        if (!Number.isSafeInteger(entry.id) || entry.id <= 0) return 'has no valid id';
+        if (typeof entry.timestamp !== 'string' || Number.isNaN(Date.parse(entry.timestamp))) return 'has no valid timestamp';
+        if (!isText(entry.decision, SpiralPrompt.MAX_DECISION_LENGTH)) return 'has a missing or too long decision';
+
+        const result = entry.result;
+        if (!result || typeof result !== 'object' || Array.isArray(result)) return 'has no spiral';
+        if (!isText(result.root_thought)) return 'has a missing or too long root thought';
+        if (!Array.isArray(result.branches) || result.branches.length === 0 || result.branches.length > LIMITS.MAX_BRANCHES) {
+            return 'has the wrong number of branches';
+        }
+        if (result.compare !== undefined) {
+            const options = result.compare?.options;
+            if (!Array.isArray(options) || options.length !== SpiralPrompt.COMPARE_LABELS.length
+                || !options.every(option => isText(option, SpiralPrompt.MAX_COMPARE_OPTION_LENGTH))) {
+                return 'has a malformed comparison';
+            }
+        }
+        if (result.reality_check !== undefined && !isText(result.reality_check?.summary)) {
+            return 'has a malformed reality check';
+        }
+        if (result.options !== undefined) {
+            const options = result.options;
+            if (!options || typeof options !== 'object' || Array.isArray(options)) return 'has malformed options';
+            const { MIN_DEPTH, MAX_DEPTH } = SpiralPrompt.OPTION_LIMITS;
+            if (options.maxDepth !== undefined && !(Number.isInteger(options.maxDepth) && options.maxDepth >= MIN_DEPTH && options.maxDepth <= MAX_DEPTH)) {
+                return 'has an invalid max depth';
+            }
+        }
+
+        for (const branch of result.branches) {
+            if (!branch || typeof branch !== 'object' || !isText(branch.category, 200)) return 'has a branch without a category';
+            if (result.compare && ![0, 1].includes(branch.option)) return 'has a branch without an option';
+            if (branch.counter_thought !== undefined && !isText(branch.counter_thought)) return 'has a malformed reality check';
+            if (!Array.isArray(branch.nodes) || branch.nodes.length === 0) return 'has a branch without thoughts';
+
+            let thoughts = 0;
+            let error = null;
+            SpiralThoughts.walk(branch.nodes, node => {
+                thoughts++;
+                if (error) return;
+                if (!node || !isText(node.text)) error = 'has a missing or too long thought';
+                else if (!Number.isInteger(node.depth) || node.depth < 1) error = 'has a thought with an invalid depth';
+                else if (node.children !== undefined && !Array.isArray(node.children)) error = 'has malformed deeper thoughts';
+            });
+            if (error) return error;
+            if (thoughts > LIMITS.MAX_THOUGHTS) return 'has too many thoughts';
+        }
+
+        return null;
+    }
+
+    /**
+     * Reads an archive from JSON text. Throws with a short,
+     * user-presentable reason when the file isn't a usable archive; bad
+     * entries don't fail the import but are listed in `skipped`.
+     * Returns { entries, skipped: [message] }.
+     */
+    function parse(text) {
+        if (typeof text !== 'string' || text.length > LIMITS.MAX_ARCHIVE_BYTES) {
+            throw new Error('file is too large to be a history archive');
+        }
+
+        let archive;
+        try {
+            archive = JSON.parse(text);
+        } catch {
+            throw new Error('file is not valid JSON');
+        }
+
+        if (!archive || typeof archive !== 'object' || archive.format !== ARCHIVE_FORMAT) {
+            throw new Error('file is not an Overthinking Simulator history archive');
+        }
+        if (!Number.isInteger(archive.version) || archive.version < 1) {
+            throw new Error('archive version is invalid');
+        }
+        if (archive.version > ARCHIVE_VERSION) {
+            throw new Error('archive is from a newer version of the app');
+        }
+        if (!Array.isArray(archive.entries)) {
+            throw new Error('archive has no entries');
+        }
+        if (archive.entries.length > LIMITS.MAX_ENTRIES) {
+            throw new Error(`archive has more than ${LIMITS.MAX_ENTRIES} entries`);
+        }
+
+        const entries = [];
+        const skipped = [];
+        const seen = new Set();
+
+        archive.entries.forEach((entry, index) => {
+            const error = validateEntry(entry);
+            if (error) {
+                skipped.push(`Entry ${index + 1} ${error}`);
+            } else if (seen.has(entry.id)) {
+                skipped.push(`Entry ${index + 1} repeats an earlier id`);
+            } else {
+                seen.add(entry.id);
+                entries.push(copyEntry(entry));
+            }
+        });
+
+        return { entries, skipped };
+    }
+
+    function spiralToMarkdown(entry) {
+        const persona = SpiralPrompt.PERSONAS[entry.persona];
+        const details = [new Date(entry.timestamp).toLocaleString()];
+        if (persona && entry.persona !== SpiralPrompt.DEFAULT_OPTIONS.persona) {
+            details.push(`Narrated by ${persona.icon} ${persona.name}`);
+        }
+        if (entry.seed !== null && entry.seed !== undefined) details.push(`Seed #${entry.seed}`);
+        if (entry.favorite) details.push('★ Favourite');
+        details.push(`Anxiety score ${SpiralScore.describe(SpiralScore.score(entry.result))}`);
+
+        return SpiralExport.toMarkdown({ ...entry.result, decision: entry.decision }, { level: 2, details: details });
+    }
+
+    function toMarkdown(entries, exportedAt = new Date().toISOString()) {
+        const count = `${entries.length} spiral${entries.length === 1 ? '' : 's'}`;
+        return [
+            '# 🧠 Overthinking History',
+            '',
+            `_Exported ${new Date(exportedAt).toLocaleString()} · ${count}_`,
+            '',
+            ...entries.map(entry => `${spiralToMarkdown(entry)}\n---\n`)
+        ].join('\n');
+    }
+
+    return {
+        ARCHIVE_FORMAT,
+        ARCHIVE_VERSION,
+        LIMITS,
+        createArchive,
+        stringify,
+        parse,
+        validateEntry,
+        toMarkdown
+    };
+});
@@ -0,0 +1,351 @@
+/**
+ * Spiral exports
+ * Turns a spiral into text other tools understand: the plain text that
+ * "Copy My Spiral" has always produced, Markdown with nested lists, raw
+ * JSON, a Mermaid flowchart (loop-backs drawn as edges back to the
+ * decision) and OPML for outliners. Every serializer is a pure function
+ * of the spiral - nothing here touches the DOM. "A or B" comparisons come
+ * out grouped by option, with the thoughts about the other option marked;
+ * a reality check adds its counter-thought to each branch and its closing
+ * line at the end.
+ *
+ * Loaded as a plain <script> after lib/prompt.js, lib/thoughts.js and
+ * lib/score.js (exposes window.SpiralExport) or imported from Node.
+ */
+
+(function (root, factory) {
+    const isModule = typeof module === 'object' && module.exports;
+    const SpiralExport = isModule
+        ? factory(require('./prompt.js'), require('./thoughts.js'), require('./score.js'))
+        : factory(root.SpiralPrompt, root.SpiralThoughts, root.SpiralScore);
+    if (isModule) {
+        module.exports = SpiralExport;
+    } else {
+        root.SpiralExport = SpiralExport;
+    }
+})(globalThis, function (SpiralPrompt, SpiralThoughts, SpiralScore) {
+    const LOOP_BACK = '...and it loops back to the beginning';
+    const REALITY_CHECK = '🧘 Reality check';
+
+    function getPersona(options) {
+        const key = options?.persona;
+        if (!key || key === SpiralPrompt.DEFAULT_OPTIONS.persona) return null;
+        return SpiralPrompt.PERSONAS[key] || null;
+    }
+
+    // One line per thought, however the model or a pack broke it up
+    function oneLine(text) {
+        return String(text).replace(/\s*\n\s*/g, ' ').trim();
+    }
+
+    function branchTitle(branch) {
+        return `${branch.icon ? `${branch.icon} ` : ''}${oneLine(branch.category)}`;
+    }
+
+    // Thoughts dragging the other option into a comparison
+    function thoughtText(node) {
+        return `${node.cross_ref ? '↔ ' : ''}${node.text}`;
+    }
+
+    /**
+     * The branches to write out, grouped: one untitled group for a normal
+     * spiral, one per option for a comparison, each titled
+     * "Option A: ..." and carrying the side's anxiety report.
+     */
+    function groupBranches(result) {
+        const options = result.compare?.options;
+        if (!Array.isArray(options)) {
+            return [{ title: null, report: null, branches: result.branches.map((branch, index) => ({ branch, index })) }];
+        }
+
+        const reports = SpiralScore.scoreSides(result);
+        return options.map((option, side) => ({
+            title: `Option ${SpiralPrompt.COMPARE_LABELS[side]}: ${oneLine(option)}`,
+            report: reports[side],
+            branches: result.branches
+                .map((branch, index) => ({ branch, index }))
+                .filter(({ branch }) => branch.option === side)
+        }));
+    }
+
+    // The emoji plain text "Copy My Spiral" puts on the clipboard
+    function toText(result) {
+        let text = '🧠 My Overthinking Spiral\n\n';
+        text += `"${result.decision}"\n`;
+        const persona = getPersona(result.options);
+        if (persona) {
+            text += `Narrated by: ${persona.icon} ${persona.name}\n`;
+        }
+        text += '\n';
+        text += `${result.root_thought}\n\n`;
+        text += `Anxiety score: ${SpiralScore.describe(SpiralScore.score(result))}\n\n`;
+
+        groupBranches(result).forEach(group => {
+            if (group.title) {
+                text += `⚖️ ${group.title} (${SpiralScore.describe(group.report)})\n\n`;
+            }
+            group.branches.forEach(({ branch }) => {
+                text += `${branch.icon} ${branch.category}\n`;
+                SpiralThoughts.flatten(branch.nodes).forEach(({ node, level }) => {
+                    const indent = '  '.repeat(node.depth);
+                    text += `${indent}${level > 0 ? '↳' : '•'} ${thoughtText(node)}\n`;
+                });
+                if (branch.loop_back) {
+                    text += '  🔄 (loops back...)\n';
+                }
+                if (branch.counter_thought) {
+                    text += `  ${REALITY_CHECK}: ${branch.counter_thought}\n`;
+                }
+                text += '\n';
+            });
+        });
+
+        if (result.reality_check) {
+            text += `${REALITY_CHECK}: ${result.reality_check.summary}\n\n`;
+        }
+        text += '---\nGenerated by Overthinking Simulator 🌀';
+        return text;
+    }
+
+    // Markdown treats these as formatting; thoughts are plain text
+    function escapeMarkdown(text) {
+        return oneLine(text).replace(/([\\`*_{}[\]<>#|~])/g, '\\$1');
+    }
+
+    /**
+     * Markdown with one nested list per branch. `level` is the heading
+     * level of the decision (branches go one below it, or two in a
+     * comparison, under a heading per option); `details` is the italic
+     * line under it, persona and anxiety score by default.
+     */
+    function toMarkdown(result, { level = 1, details = null } = {}) {
+        const heading = '#'.repeat(level);
+        if (!details) {
+            const persona = getPersona(result.options);
+            details = persona ? [`Narrated by ${persona.icon} ${persona.name}`] : [];
+            details.push(`Anxiety score ${SpiralScore.describe(SpiralScore.score(result))}`);
+        }
+
+        const lines = [`${heading} "${escapeMarkdown(result.decision)}"`, ''];
+        if (details.length > 0) {
+            lines.push(`_${details.join(' · ')}_`, '');
+        }
+        lines.push(`> ${escapeMarkdown(result.root_thought)}`, '');
+
+        groupBranches(result).forEach(group => {
+            let branchHeading = `${heading}#`;
+            if (group.title) {
+                lines.push(`${branchHeading} ⚖️ ${escapeMarkdown(group.title)}`, '', `_Anxiety score ${SpiralScore.describe(group.report)}_`, '');
+                branchHeading += '#';
+            }
+            group.branches.forEach(({ branch }) => {
+                lines.push(`${branchHeading} ${branch.icon ? `${branch.icon} ` : ''}${escapeMarkdown(branch.category)}${branch.tone ? ` _(${escapeMarkdown(branch.tone)})_` : ''}`, '');
+                SpiralThoughts.outline(branch.nodes).forEach(({ node, level: nodeLevel }) => {
+                    lines.push(`${'  '.repeat(nodeLevel)}- ${escapeMarkdown(thoughtText(node))}`);
+                });
+                if (branch.loop_back) {
+                    lines.push(`- 🔄 _${LOOP_BACK}_`);
+                }
+                lines.push('');
+                if (branch.counter_thought) {
+                    lines.push(`> ${REALITY_CHECK}: ${escapeMarkdown(branch.counter_thought)}`, '');
+                }
+            });
+        });
+
+        if (result.reality_check) {
+            lines.push(`**${REALITY_CHECK}:** ${escapeMarkdown(result.reality_check.summary)}`, '');
+        }
+
+        return lines.join('\n');
+    }
+
+    function toJSON(result) {
+        return JSON.stringify(result, null, 2);
+    }
+
+    // Mermaid labels are quoted strings; quotes and angle brackets go in as entity codes
+    function mermaidLabel(text) {
+        const escaped = oneLine(text)
+            .replace(/#/g, '#35;')
+            .replace(/"/g, '#quot;')
+            .replace(/</g, '#lt;')
+            .replace(/>/g, '#gt;');
+        return `"${escaped}"`;
+    }
+
+    /**
+     * A top-down Mermaid flowchart: decision -> root thought -> branches
+     * -> thoughts, nested the way the outline nests them. A branch that
+     * loops back gets a dotted edge from its last thought to the decision.
+     * A comparison gets a node per option between the root and its branches.
+     */
+    function toMermaid(result) {
+        const lines = [
+            'flowchart TD',
+            `    decision([${mermaidLabel(result.decision)}])`,
+            `    root[${mermaidLabel(result.root_thought)}]`,
+            '    decision --> root'
+        ];
+
+        groupBranches(result).forEach((group, groupIndex) => {
+            let parentId = 'root';
+            if (group.title) {
+                parentId = `o${groupIndex}`;
+                lines.push(`    root --> ${parentId}[/${mermaidLabel(`⚖️ ${group.title}`)}/]`);
+            }
+
+            group.branches.forEach(({ branch, index: branchIndex }) => {
+                const branchId = `b${branchIndex}`;
+                lines.push(`    ${parentId} --> ${branchId}{{${mermaidLabel(branchTitle(branch))}}}`);
+
+                // parents[level] is the id a thought at `level` hangs off
+                const parents = [branchId];
+                let lastId = branchId;
+                SpiralThoughts.outline(branch.nodes).forEach(({ node, level }, index) => {
+                    const id = `${branchId}n${index}`;
+                    lines.push(`    ${parents[level]} --> ${id}[${mermaidLabel(thoughtText(node))}]`);
+                    parents[level + 1] = id;
+                    lastId = id;
+                });
+
+                if (branch.loop_back) {
+                    lines.push(`    ${lastId} -.->|🔄 loops back| decision`);
+                }
+                if (branch.counter_thought) {
+                    lines.push(`    ${branchId} -.- ${branchId}rc([${mermaidLabel(`${REALITY_CHECK}: ${branch.counter_thought}`)}])`);
+                }
+            });
+        });
+
+        if (result.reality_check) {
+            lines.push(`    decision -.- reality([${mermaidLabel(`${REALITY_CHECK}: ${result.reality_check.summary}`)}])`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Attribute values only - XML 1.0 can't carry most control characters at all
+    function escapeXml(text) {
+        return oneLine(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * OPML 2.0: the root thought and then one outline per branch, with
+     * thoughts nested under the thoughts they came from. A comparison's
+     * branches sit inside an outline per option.
+     */
+    function toOPML(result, exportedAt = new Date().toISOString()) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<opml version="2.0">',
+            '  <head>',
+            `    <title>${escapeXml(result.decision)}</title>`,
+            `    <dateCreated>${new Date(exportedAt).toUTCString()}</dateCreated>`,
+            '  </head>',
+            '  <body>',
+            `    <outline text="${escapeXml(result.root_thought)}"/>`
+        ];
+
+        groupBranches(result).forEach(group => {
+            // Branches sit one level deeper inside an option's outline
+            const base = group.title ? 3 : 2;
+            if (group.title) {
+                lines.push(`    <outline text="${escapeXml(`⚖️ ${group.title}`)}">`);
+            }
+
+            group.branches.forEach(({ branch }) => {
+                const tone = branch.tone ? ` tone="${escapeXml(branch.tone)}"` : '';
+                lines.push(`${'  '.repeat(base)}<outline text="${escapeXml(branchTitle(branch))}"${tone}>`);
+
+                // Close every outline deeper than the next thought before opening it
+                const open = [];
+                const closeTo = (level) => {
+                    while (open.length > level) {
+                        open.pop();
+                        lines.push(`${'  '.repeat(open.length + base + 1)}</outline>`);
+                    }
+                };
+                const items = SpiralThoughts.outline(branch.nodes);
+                items.forEach(({ node, level }, index) => {
+                    closeTo(level);
+                    const indent = '  '.repeat(level + base + 1);
+                    const hasChildren = items[index + 1]?.level > level;
+                    if (hasChildren) {
+                        lines.push(`${indent}<outline text="${escapeXml(thoughtText(node))}">`);
+                        open.push(node);
+                    } else {
+                        lines.push(`${indent}<outline text="${escapeXml(thoughtText(node))}"/>`);
+                    }
+                });
+                closeTo(0);
+
+                if (branch.loop_back) {
+                    lines.push(`${'  '.repeat(base + 1)}<outline text="🔄 ${LOOP_BACK}"/>`);
+                }
+                if (branch.counter_thought) {
+                    lines.push(`${'  '.repeat(base + 1)}<outline text="${escapeXml(`${REALITY_CHECK}: ${branch.counter_thought}`)}"/>`);
+                }
+                lines.push(`${'  '.repeat(base)}</outline>`);
+            });
+
+            if (group.title) {
+                lines.push('    </outline>');
+            }
+        });
+
+        if (result.reality_check) {
+            lines.push(`    <outline text="${escapeXml(`${REALITY_CHECK}: ${result.reality_check.summary}`)}"/>`);
+        }
+
+        lines.push('  </body>', '</opml>');
+        return lines.join('\n') + '\n';
+    }
+
+    const FORMATS = {
+        text: { label: 'Plain text', extension: 'txt', mime: 'text/plain', serialize: toText },
+        markdown: { label: 'Markdown', extension: 'md', mime: 'text/markdown', serialize: toMarkdown },
+        json: { label: 'JSON', extension: 'json', mime: 'application/json', serialize: toJSON },
+        mermaid: { label: 'Mermaid', extension: 'mmd', mime: 'text/plain', serialize: toMermaid },
+        opml: { label: 'OPML', extension: 'opml', mime: 'text/x-opml', serialize: toOPML }
+    };
+
+    // "Should I text my ex?" -> "should-i-text-my-ex"
+    function slugify(text) {
+        const slug = String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40).replace(/-+$/, '');
+        return slug || 'spiral';
+    }
+
+    /**
+     * Serializes a spiral in one of FORMATS. Returns { text, filename, mime },
+     * or throws for a format that doesn't exist.
+     */
+    function serialize(result, format) {
+        const spec = FORMATS[format];
+        if (!spec) {
+            throw new Error(`unknown export format "${format}"`);
+        }
+        return {
+            text: spec.serialize(result),
+            filename: `overthinking-${slugify(result.decision)}.${spec.extension}`,
+            mime: spec.mime
+        };
+    }
+
+    return {
+        FORMATS,
+        toText,
+        toMarkdown,
+        toJSON,
+        toMermaid,
+        toOPML,
+        serialize,
+        slugify,
+        escapeMarkdown
+    };
+});
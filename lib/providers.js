@@ -0,0 +1,312 @@
+/**
+ * LLM providers
+ * One interface over OpenRouter, any OpenAI-compatible server (a local
+ * llama.cpp or Ollama instance, for example) and a deterministic mock that
+ * answers with canned spirals - so the app can be developed offline.
+ *
+ * Every provider has:
+ *   name           - id used in configuration
+ *   model          - model used when a request doesn't name one
+ *   requiresApiKey - whether it can't work without an API key
+ *   send(body, { signal }) - POSTs an OpenAI-style chat completion body and
+ *                    resolves with a fetch Response (JSON, or server-sent
+ *                    events when `body.stream` is true)
+ *
+ * Loaded as a plain <script> (exposes window.LLMProviders) or imported
+ * from Node.
+ */
+
+(function (root, factory) {
+    const LLMProviders = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = LLMProviders;
+    } else {
+        root.LLMProviders = LLMProviders;
+    }
+})(globalThis, function () {
+    class OpenAICompatibleProvider {
+        constructor({ baseUrl = 'http://localhost:11434/v1', apiKey = '', model = 'llama3.2', headers = {} } = {}) {
+            this.name = 'openai-compatible';
+            this.baseUrl = baseUrl.replace(/\/$/, '');
+            this.apiKey = apiKey;
+            this.model = model;
+            this.headers = headers;
+            this.requiresApiKey = false;
+        }
+
+        send(body, { signal } = {}) {
+            const headers = {
+                'Content-Type': 'application/json',
+                ...this.headers,
+            };
+
+            if (this.apiKey) {
+                headers['Authorization'] = `Bearer ${this.apiKey}`;
+            }
+
+            return fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify({ model: this.model, ...body }),
+                signal: signal,
+            });
+        }
+    }
+
+    class OpenRouterProvider extends OpenAICompatibleProvider {
+        constructor({ apiKey = '', model = 'google/gemini-2.0-flash-001', referer = 'https://overthinking-simulator.vercel.app' } = {}) {
+            super({
+                baseUrl: 'https://openrouter.ai/api/v1',
+                apiKey: apiKey,
+                model: model,
+                headers: {
+                    'HTTP-Referer': referer,
+                    'X-Title': 'Overthinking Simulator',
+                },
+            });
+            this.name = 'openrouter';
+            this.requiresApiKey = true;
+        }
+    }
+
+    // Canned spirals for the mock provider. `decision` is filled in per request.
+    const CANNED_SPIRALS = [
+        {
+            root_thought: 'A simple question. Simple questions are where the trouble starts.',
+            branches: [
+                { category: 'Rational Analysis', tone: 'rational', loop_back: false, nodes: [
+                    { text: 'Let me list the pros and cons like a reasonable adult.', depth: 1 },
+                    { text: 'The cons column is longer, but the pros are written in bigger letters.', depth: 2 },
+                    { text: 'I am now weighting each item by font size. Science.', depth: 3 },
+                ] },
+                { category: 'Over-Optimization Loop', tone: 'absurd', loop_back: true, nodes: [
+                    { text: 'There is probably an optimal way to do this.', depth: 1 },
+                    { text: 'Tab 14 disagrees with tab 9, and tab 3 has a podcast about it.', depth: 2 },
+                    { text: 'I have optimised the decision so well that it no longer applies to me.', depth: 3 },
+                ] },
+                { category: 'Social/Self-Judgement Spiral', tone: 'emotional', loop_back: true, nodes: [
+                    { text: 'What would people think if they saw me deciding this?', depth: 1 },
+                    { text: 'Nobody is watching. That is somehow worse.', depth: 2 },
+                    { text: 'I am rehearsing an explanation for a conversation that will never happen.', depth: 3 },
+                ] },
+                { category: 'Catastrophic What-If Chain', tone: 'hypothetical', loop_back: false, nodes: [
+                    { text: 'What if this goes slightly wrong?', depth: 1 },
+                    { text: 'Slightly wrong becomes a story people tell at my birthday.', depth: 2 },
+                    { text: 'The story becomes a family legend. My grandchildren will ask about it.', depth: 3 },
+                ] },
+                { category: 'Contradictory Logic Path', tone: 'absurd', loop_back: true, nodes: [
+                    { text: 'Yes is clearly right.', depth: 1 },
+                    { text: 'Which is exactly what someone who should say no would think.', depth: 2 },
+                    { text: 'This brings me back to the same question...', depth: 3 },
+                ] },
+                { category: 'Regret Forecasting', tone: 'emotional', loop_back: false, nodes: [
+                    { text: 'Future me might wish I had chosen differently.', depth: 1 },
+                    { text: 'Future me is very judgemental for someone who doesn\'t exist yet.', depth: 2 },
+                    { text: 'I have pre-regretted both options, which is efficient.', depth: 3 },
+                ] },
+                { category: 'Avoidance/Procrastination Escape', tone: 'rational', loop_back: false, nodes: [
+                    { text: 'I could decide this tomorrow.', depth: 1 },
+                    { text: 'Tomorrow me has a suspiciously empty calendar for a reason.', depth: 2 },
+                    { text: 'I have reorganised my sock drawer to avoid thinking about the decision I am thinking about.', depth: 3 },
+                ] },
+            ],
+            meta: { humor_level: 'high', absurdity_level: 'elevated', safety_checked: true },
+        },
+        {
+            root_thought: 'On the surface, this is a yes or no. Beneath the surface: seventeen more questions.',
+            branches: [
+                { category: 'Rational Analysis', tone: 'rational', loop_back: false, nodes: [
+                    { text: 'How much time and effort does this actually take?', depth: 1 },
+                    { text: 'Estimating the effort is now taking more effort than the thing.', depth: 2 },
+                    { text: 'I need a second spreadsheet to audit the first spreadsheet.', depth: 3 },
+                ] },
+                { category: 'Over-Optimization Loop', tone: 'absurd', loop_back: true, nodes: [
+                    { text: 'Maybe there is a better version of this choice.', depth: 1 },
+                    { text: 'There is always a better version. It comes out next week.', depth: 2 },
+                    { text: 'I am waiting for the perfect option to stop being updated.', depth: 3 },
+                ] },
+                { category: 'Social/Self-Judgement Spiral', tone: 'emotional', loop_back: false, nodes: [
+                    { text: 'Would my friends do this?', depth: 1 },
+                    { text: 'One of them would, and I have opinions about that one.', depth: 2 },
+                    { text: 'If I judge them, they definitely judge me. Everyone is judging everyone. Always.', depth: 3 },
+                ] },
+                { category: 'Catastrophic What-If Chain', tone: 'hypothetical', loop_back: true, nodes: [
+                    { text: 'What if this changes my whole routine?', depth: 1 },
+                    { text: 'A new routine means a new me, and I just got used to this one.', depth: 2 },
+                    { text: 'The butterfly effect is flapping and it knows my address.', depth: 3 },
+                ] },
+                { category: 'Contradictory Logic Path', tone: 'absurd', loop_back: true, nodes: [
+                    { text: 'I should trust my gut.', depth: 1 },
+                    { text: 'My gut also told me that gas station sushi was fine.', depth: 2 },
+                    { text: 'Maybe I should rethink everything from the start...', depth: 3 },
+                ] },
+                { category: 'Regret Forecasting', tone: 'emotional', loop_back: false, nodes: [
+                    { text: 'What if I miss out on something better?', depth: 1 },
+                    { text: 'In another timeline I chose the other option and took up pottery.', depth: 2 },
+                    { text: 'Alternate-timeline me looks happy, which feels personal.', depth: 3 },
+                ] },
+                { category: 'Avoidance/Procrastination Escape', tone: 'rational', loop_back: false, nodes: [
+                    { text: 'Let me sleep on it.', depth: 1 },
+                    { text: 'I slept on it. It is still there. It followed me.', depth: 2 },
+                    { text: 'Not deciding is also a decision, and apparently I am great at it.', depth: 3 },
+                ] },
+            ],
+            meta: { humor_level: 'moderate', absurdity_level: 'chaotic', safety_checked: true },
+        },
+    ];
+
+    // Sub-spirals for "go deeper" requests
+    const CANNED_DEEPER = [
+        [
+            { text: 'Okay, but why did that thought feel so reasonable?', depth: 1 },
+            { text: 'If that feels reasonable, which of my other thoughts are secretly unreasonable?', depth: 2 },
+            { text: 'I am now auditing every thought I have had since 2014.', depth: 3 },
+        ],
+        [
+            { text: 'Let me zoom in on that. Closer. Closer.', depth: 1 },
+            { text: 'At this magnification the thought has its own thoughts.', depth: 2 },
+            { text: 'One of them is also about this decision. It disagrees with me.', depth: 3 },
+        ],
+        [
+            { text: 'What if that is only the surface-level version of the worry?', depth: 1 },
+            { text: 'Underneath it there is a worry about having worries.', depth: 2 },
+            { text: 'Underneath that there is just me, at 2am, still deciding.', depth: 3 },
+        ],
+    ];
+
+    // Counter-thoughts for "reality check" requests, handed out in order
+    const CANNED_REALITY = {
+        counters: [
+            'Most decisions like this one can be undone by next week, and nobody is keeping score.',
+            'The people around you are busy overthinking their own lunch.',
+            'Whatever you pick, you will still be you afterwards - that part is already settled.',
+            'This is a small choice that got a very big soundtrack.',
+            'You have made harder calls than this one before breakfast.',
+            'Future you will mostly remember whether you were kind to yourself about it.',
+            'It\'s allowed to be fine. Fine is a perfectly good outcome.'
+        ],
+        summary: 'It is a small decision, and either way you will be okay.'
+    };
+
+    /**
+     * Answers every request with a canned spiral. The same decision always
+     * gets the same spiral, streamed in small chunks when asked to.
+     * "Go deeper" requests get a canned sub-spiral and reality checks a
+     * canned counter-thought per branch instead.
+     */
+    class MockProvider {
+        constructor({ model = 'mock-spiral', chunkSize = 48, latencyMs = 15 } = {}) {
+            this.name = 'mock';
+            this.model = model;
+            this.chunkSize = chunkSize;
+            this.latencyMs = latencyMs;
+            this.requiresApiKey = false;
+        }
+
+        async send(body, { signal } = {}) {
+            signal?.throwIfAborted();
+            const content = JSON.stringify(this.pickSpiral(body.messages || []), null, 2);
+
+            if (!body.stream) {
+                return new Response(JSON.stringify({
+                    model: this.model,
+                    choices: [{ index: 0, message: { role: 'assistant', content: content }, finish_reason: 'stop' }],
+                }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+            }
+
+            return new Response(this.streamContent(content, signal), {
+                status: 200,
+                headers: { 'Content-Type': 'text/event-stream; charset=utf-8' },
+            });
+        }
+
+        pickSpiral(messages) {
+            const userMessage = messages.find(message => message.role === 'user')?.content || '';
+            const match = /decision: "([\s\S]*?)"\n/.exec(userMessage);
+            const decision = match ? match[1] : 'Should I?';
+            const deeper = /Spiral deeper from this thought[^"]*"([\s\S]*?)"\n/.exec(userMessage);
+            const key = deeper ? deeper[1] : decision;
+
+            if (userMessage.includes('Generate the reality check JSON')) {
+                const branchCount = (userMessage.match(/^Branch \d+:/gm) || []).length;
+                return {
+                    counters: Array.from({ length: branchCount }, (_, i) => ({
+                        branch: i + 1,
+                        text: CANNED_REALITY.counters[i % CANNED_REALITY.counters.length]
+                    })),
+                    summary: CANNED_REALITY.summary
+                };
+            }
+
+            let hash = 0;
+            for (let i = 0; i < key.length; i++) {
+                hash = (hash * 31 + key.charCodeAt(i)) >>> 0;
+            }
+
+            if (deeper) {
+                return { nodes: CANNED_DEEPER[hash % CANNED_DEEPER.length] };
+            }
+            return { decision: decision, ...CANNED_SPIRALS[hash % CANNED_SPIRALS.length] };
+        }
+
+        streamContent(content, signal) {
+            const encoder = new TextEncoder();
+            const chunks = [];
+            for (let i = 0; i < content.length; i += this.chunkSize) {
+                chunks.push(content.slice(i, i + this.chunkSize));
+            }
+
+            let index = 0;
+            return new ReadableStream({
+                pull: async (controller) => {
+                    if (this.latencyMs > 0) {
+                        await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+                    }
+                    // Like fetch, an aborted request errors its body
+                    signal?.throwIfAborted();
+
+                    if (index < chunks.length) {
+                        const event = { choices: [{ index: 0, delta: { content: chunks[index++] } }] };
+                        controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+                    } else {
+                        controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                        controller.close();
+                    }
+                },
+            });
+        }
+    }
+
+    const PROVIDERS = {
+        'openrouter': OpenRouterProvider,
+        'openai-compatible': OpenAICompatibleProvider,
+        'mock': MockProvider,
+    };
+
+    /**
+     * Builds a provider from configuration:
+     * { type: 'openrouter' | 'openai-compatible' | 'mock', apiKey?, baseUrl?, model?, referer? }
+     * Empty values are ignored so each provider's defaults apply.
+     */
+    function createProvider({ type = 'openrouter', ...options } = {}) {
+        const Provider = PROVIDERS[type];
+        if (!Provider) {
+            throw new Error(`Unknown LLM provider "${type}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+        }
+
+        const settings = {};
+        Object.entries(options).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') settings[key] = value;
+        });
+
+        return new Provider(settings);
+    }
+
+    return {
+        OpenAICompatibleProvider,
+        OpenRouterProvider,
+        MockProvider,
+        createProvider,
+        providerNames: Object.keys(PROVIDERS),
+    };
+});
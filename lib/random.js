@@ -0,0 +1,95 @@
+/**
+ * Seeded randomness
+ * A small, fast PRNG (mulberry32) so template spirals can be recreated
+ * from a seed. Not for anything security-related.
+ *
+ * Loaded as a plain <script> (exposes window.SpiralRandom) or imported
+ * from Node.
+ */
+
+(function (root, factory) {
+    const SpiralRandom = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = SpiralRandom;
+    } else {
+        root.SpiralRandom = SpiralRandom;
+    }
+})(globalThis, function () {
+    const MAX_SEED = 0xFFFFFFFF;
+
+    // FNV-1a - turns text (e.g. the decision) into a 32-bit number
+    function hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    function createSeed() {
+        if (globalThis.crypto && typeof globalThis.crypto.getRandomValues === 'function') {
+            return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * (MAX_SEED + 1));
+    }
+
+    // Returns the seed as an unsigned 32-bit integer, or null if it isn't one
+    function normalizeSeed(value) {
+        const text = typeof value === 'number' ? String(value) : typeof value === 'string' ? value.trim() : '';
+        if (!/^\d{1,10}$/.test(text)) return null;
+        const seed = Number(text);
+        return seed <= MAX_SEED ? seed : null;
+    }
+
+    class SeededRandom {
+        constructor(seed) {
+            this.state = seed >>> 0;
+        }
+
+        // Float in [0, 1)
+        next() {
+            this.state = (this.state + 0x6D2B79F5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        // Integer in [min, max], both inclusive
+        int(min, max) {
+            return min + Math.floor(this.next() * (max - min + 1));
+        }
+
+        pick(items) {
+            return items[Math.floor(this.next() * items.length)];
+        }
+
+        // Fisher-Yates on a copy - every order is equally likely
+        shuffle(items) {
+            const shuffled = [...items];
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                const j = Math.floor(this.next() * (i + 1));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+            return shuffled;
+        }
+    }
+
+    /**
+     * The generator for one spiral. The decision is mixed in so one seed
+     * gives different spirals for different decisions.
+     */
+    function forSpiral(seed, decision) {
+        return new SeededRandom((seed ^ hashString(decision)) >>> 0);
+    }
+
+    return {
+        MAX_SEED,
+        SeededRandom,
+        hashString,
+        createSeed,
+        normalizeSeed,
+        forSpiral
+    };
+});
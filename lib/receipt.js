@@ -0,0 +1,541 @@
+/**
+ * Receipts
+ * Lays a spiral out as a printed receipt and renders that layout as SVG,
+ * onto a canvas (for PNG) or as a PDF. Everything is set in a monospace
+ * font and measured in character columns, so the layout - and every
+ * output built from it - is the same on every machine and every run:
+ * no clock, no Math.random.
+ *
+ * Three looks: a thermal till receipt, a prescription pad and a police
+ * report.
+ *
+ * Loaded as a plain <script> after lib/prompt.js, lib/random.js,
+ * lib/thoughts.js and lib/score.js (exposes window.SpiralReceipt) or
+ * imported from Node.
+ */
+
+(function (root, factory) {
+    const isModule = typeof module === 'object' && module.exports;
+    const SpiralReceipt = isModule
+        ? factory(require('./prompt.js'), require('./random.js'), require('./thoughts.js'), require('./score.js'))
+        : factory(root.SpiralPrompt, root.SpiralRandom, root.SpiralThoughts, root.SpiralScore);
+    if (isModule) {
+        module.exports = SpiralReceipt;
+    } else {
+        root.SpiralReceipt = SpiralReceipt;
+    }
+})(globalThis, function (SpiralPrompt, SpiralRandom, SpiralThoughts, SpiralScore) {
+    const FONT_FAMILY = '"Courier New", Courier, monospace';
+    // Courier's advance width, in ems - the whole layout hangs off it
+    const CHAR_WIDTH = 0.6;
+    const FONT_SIZE = 13;
+    const SIZES = { small: 11, normal: FONT_SIZE, large: 17 };
+    const LINE_HEIGHT = 1.5;
+    const COLUMNS = 42;
+    const PADDING = 28;
+    const COLUMN_WIDTH = FONT_SIZE * CHAR_WIDTH;
+    const WIDTH = Math.round(COLUMNS * COLUMN_WIDTH + PADDING * 2);
+    // Thoughts per branch when the receipt doesn't list them all
+    const SUMMARY_THOUGHTS = 2;
+
+    const STYLES = {
+        thermal: {
+            name: 'Thermal Receipt',
+            paper: '#faf8f5',
+            ink: '#1a1a2e',
+            muted: '#666666',
+            accent: '#e74c3c',
+            rule: '#bbbbbb',
+            title: ['🧠 OVERTHINKING RECEIPT 🧠', 'Spiral Supplies & Co. - Est. 3 AM'],
+            reference: 'RECEIPT',
+            labels: {
+                decision: 'DECISION:',
+                root: 'FIRST THOUGHT:',
+                branches: 'ANXIETY BREAKDOWN:',
+                stats: 'TOTALS',
+                loop: '🔄 loops forever...'
+            },
+            footer: ['Thank you for overthinking!', '🌀 Come spiral again soon 🌀']
+        },
+        prescription: {
+            name: 'Prescription Pad',
+            paper: '#f5f9ff',
+            ink: '#1e3a8a',
+            muted: '#64748b',
+            accent: '#2563eb',
+            rule: '#93c5fd',
+            band: '#dbeafe',
+            title: ['Rx  OVERTHINKING CLINIC', 'Dr. Spiral, MD (Doctor of Mulling)'],
+            reference: 'PATIENT NO.',
+            labels: {
+                decision: 'PATIENT COMPLAINT:',
+                root: 'PRESENTING THOUGHT:',
+                branches: 'SYMPTOMS OBSERVED:',
+                stats: 'CHART',
+                loop: '↻ Recurs. Take again as needed.'
+            },
+            footer: ['Rx: touch grass, twice daily.', 'Refills: unlimited'],
+            signature: 'Signed: Dr. Spiral'
+        },
+        police: {
+            name: 'Police Report',
+            paper: '#fffdf3',
+            ink: '#222222',
+            muted: '#5b5b5b',
+            accent: '#b91c1c',
+            rule: '#444444',
+            border: '#222222',
+            title: ['INCIDENT REPORT', 'Overthinking Division - Case File'],
+            reference: 'CASE NO.',
+            labels: {
+                decision: 'NATURE OF INCIDENT:',
+                root: 'INITIAL STATEMENT:',
+                branches: 'LINES OF INQUIRY:',
+                stats: 'EVIDENCE SUMMARY',
+                loop: '! Suspect returned to the original thought'
+            },
+            footer: ['CASE STATUS: UNRESOLVED', 'Officer on duty: your brain'],
+            signature: 'Reporting officer: ____________'
+        }
+    };
+    const DEFAULT_STYLE = 'thermal';
+
+    // Emoji and other wide characters take two columns; joiners and variation selectors none
+    function textWidth(text) {
+        let width = 0;
+        for (const char of text) {
+            if (/[\u200d\ufe0e\ufe0f\u0300-\u036f]/.test(char)) continue;
+            width += /\p{Extended_Pictographic}|[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\uff00-\uff60]/u.test(char) ? 2 : 1;
+        }
+        return width;
+    }
+
+    // Greedy word wrap to `columns`; words longer than a line are split
+    function wrap(text, columns) {
+        const lines = [];
+        let line = '';
+
+        String(text).split(/\s+/).filter(Boolean).forEach(word => {
+            while (textWidth(word) > columns) {
+                if (line) {
+                    lines.push(line);
+                    line = '';
+                }
+                const chars = [...word];
+                let cut = 0;
+                let width = 0;
+                while (cut < chars.length && width + textWidth(chars[cut]) <= columns) {
+                    width += textWidth(chars[cut]);
+                    cut++;
+                }
+                lines.push(chars.slice(0, Math.max(1, cut)).join(''));
+                word = chars.slice(Math.max(1, cut)).join('');
+            }
+            if (!word) return;
+
+            if (line && textWidth(line) + 1 + textWidth(word) > columns) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+        if (line) lines.push(line);
+
+        return lines.length > 0 ? lines : [''];
+    }
+
+    // A stable reference number for the spiral, so the same spiral always prints the same receipt
+    function referenceFor(result) {
+        const texts = [result.decision, result.root_thought];
+        result.branches.forEach(branch => {
+            texts.push(branch.category);
+            SpiralThoughts.walk(branch.nodes, node => texts.push(node.text));
+        });
+        return String(SpiralRandom.hashString(texts.join('\n')) % 1000000).padStart(6, '0');
+    }
+
+    // What the receipt totals up when the caller doesn't say: the anxiety score, itemised
+    function defaultStats(result) {
+        const report = SpiralScore.score(result);
+        // Long category names would push the score off the paper
+        const name = category => category.length > 28 ? `${category.slice(0, 27)}…` : category;
+        // A comparison's rows say which option they're about
+        const side = option => option !== undefined ? `${SpiralPrompt.COMPARE_LABELS[option]} ` : '';
+        return [
+            ['ANXIETY SCORE', `${report.score}/100`],
+            ...SpiralScore.scoreSides(result).map((sideReport, option) => [`- OPTION ${SpiralPrompt.COMPARE_LABELS[option]}`, `${sideReport.score}/100`]),
+            ['DIAGNOSIS', report.level.label.toUpperCase()],
+            ...report.factors.map(factor => [`- ${factor.label.toUpperCase()}`, `${Math.round(factor.points)}/${factor.weight}`]),
+            ...report.categories.map(category => [`- ${name(`${side(category.option)}${category.category.toUpperCase()}`)}`, `${category.score}/100`]),
+            ['THOUGHTS', String(report.stats.thoughts)],
+            ['TIME WASTED', `${report.minutesWasted} min`]
+        ];
+    }
+
+    /**
+     * Lays out the receipt. Options: `style` (see STYLES), `allNodes`
+     * (false lists only the first few thoughts per branch) and `stats`
+     * ([label, value] pairs for the totals section).
+     * Returns { width, height, style, reference, items }, where items are
+     * drawing instructions shared by every renderer:
+     *   { type: 'text', x, y (baseline), text, size, bold, italic, color, align }
+     *   { type: 'line', x1, x2, y, color, dash }
+     *   { type: 'rect', x, y, width, height, fill, stroke }
+     *   { type: 'polygon', points: [[x, y]], fill }
+     *   { type: 'dot', x, y, size, color, opacity }
+     */
+    function layout(result, { style = DEFAULT_STYLE, allNodes = true, stats = defaultStats(result) } = {}) {
+        const look = STYLES[style] || STYLES[DEFAULT_STYLE];
+        const reference = referenceFor(result);
+        const items = [];
+        const left = PADDING;
+        const right = WIDTH - PADDING;
+        let y = PADDING + 8;
+
+        const text = (value, { size = 'normal', bold = false, italic = false, color = look.ink, align = 'left', indent = 0 } = {}) => {
+            const fontSize = SIZES[size];
+            const columns = Math.floor((COLUMNS * FONT_SIZE) / fontSize) - indent;
+            wrap(value, columns).forEach(line => {
+                y += fontSize * LINE_HEIGHT;
+                items.push({
+                    type: 'text',
+                    x: align === 'center' ? WIDTH / 2 : left + indent * fontSize * CHAR_WIDTH,
+                    y: y,
+                    text: line,
+                    size: fontSize,
+                    bold: bold,
+                    italic: italic,
+                    color: color,
+                    align: align
+                });
+            });
+        };
+        const rule = (dash = true) => {
+            y += 12;
+            items.push({ type: 'line', x1: left, x2: right, y: y, color: look.rule, dash: dash });
+            y += 4;
+        };
+        const gap = (height = 6) => {
+            y += height;
+        };
+
+        // Header
+        if (look.band) {
+            items.push({ type: 'rect', x: 0, y: 0, width: WIDTH, height: 78, fill: look.band });
+        }
+        text(look.title[0], { size: 'large', bold: true, align: 'center' });
+        text(look.title[1], { size: 'small', color: look.muted, align: 'center' });
+        text(`${look.reference} #${reference}`, { size: 'small', color: look.muted, align: 'center' });
+        rule(false);
+
+        // The decision and where it started
+        text(look.labels.decision, { bold: true });
+        text(`"${result.decision}"`, { italic: true, indent: 2 });
+        gap();
+        text(look.labels.root, { bold: true });
+        text(result.root_thought, { indent: 2, color: look.muted });
+        rule();
+
+        // Every branch, thoughts indented by how far down they are
+        text(look.labels.branches, { bold: true, align: 'center' });
+        result.branches.forEach(branch => {
+            gap(8);
+            const option = Number.isInteger(branch.option) ? `${SpiralPrompt.COMPARE_LABELS[branch.option]}: ` : '';
+            text(`${option}${branch.icon ? `${branch.icon} ` : ''}${branch.category}`.toUpperCase(), { bold: true, color: look.accent });
+
+            const outline = SpiralThoughts.outline(branch.nodes);
+            const shown = allNodes ? outline : outline.slice(0, SUMMARY_THOUGHTS);
+            shown.forEach(({ node, level }) => {
+                text(`• ${node.text}`, { size: 'small', indent: 2 + level * 2 });
+            });
+
+            const hidden = outline.length - shown.length;
+            if (hidden > 0) {
+                text(`+ ${hidden} more thought${hidden === 1 ? '' : 's'}...`, { size: 'small', italic: true, color: look.muted, indent: 2 });
+            }
+            if (branch.loop_back) {
+                text(look.labels.loop, { size: 'small', color: look.accent, indent: 2 });
+            }
+        });
+        rule();
+
+        // Totals, label on the left and value on the right
+        text(look.labels.stats, { bold: true, align: 'center' });
+        stats.forEach(([label, value]) => {
+            const width = textWidth(String(value));
+            const dots = Math.max(1, COLUMNS - textWidth(label) - width - 2);
+            text(`${label} ${'.'.repeat(dots)} ${value}`, { bold: true });
+        });
+        rule();
+
+        if (look.signature) {
+            gap(18);
+            text(look.signature, { italic: true, color: look.muted });
+        }
+        look.footer.forEach(line => text(line, { size: 'small', color: look.muted, align: 'center' }));
+        y += PADDING;
+
+        const height = Math.ceil(y);
+
+        // Paper and decoration go underneath everything else
+        const paper = [];
+        if (style === 'thermal') {
+            // Torn-off edges, top and bottom
+            const teeth = 24;
+            const step = WIDTH / teeth;
+            const points = [];
+            for (let i = 0; i <= teeth; i++) points.push([i * step, i % 2 === 0 ? 0 : 6]);
+            for (let i = teeth; i >= 0; i--) points.push([i * step, i % 2 === 0 ? height : height - 6]);
+            paper.push({ type: 'polygon', points: points, fill: look.paper });
+
+            // A little thermal-paper grain, seeded by the receipt so it never changes
+            const random = new SpiralRandom.SeededRandom(parseInt(reference, 10));
+            for (let i = 0; i < 240; i++) {
+                paper.push({ type: 'dot', x: random.next() * WIDTH, y: 8 + random.next() * (height - 16), size: 1, color: '#000000', opacity: 0.03 + random.next() * 0.04 });
+            }
+        } else {
+            paper.push({ type: 'rect', x: 0, y: 0, width: WIDTH, height: height, fill: look.paper, stroke: look.border });
+            if (look.border) {
+                paper.push({ type: 'rect', x: 6, y: 6, width: WIDTH - 12, height: height - 12, stroke: look.border });
+            }
+        }
+
+        return { width: WIDTH, height: height, style: style in STYLES ? style : DEFAULT_STYLE, reference: reference, items: [...paper, ...items] };
+    }
+
+    function escapeXML(text) {
+        return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    function toSVG(receipt) {
+        const body = receipt.items.map(item => {
+            switch (item.type) {
+                case 'text':
+                    return `<text x="${round(item.x)}" y="${round(item.y)}" font-size="${item.size}"${item.bold ? ' font-weight="bold"' : ''}${item.italic ? ' font-style="italic"' : ''} fill="${item.color}"${item.align === 'center' ? ' text-anchor="middle"' : ''}>${escapeXML(item.text)}</text>`;
+                case 'line':
+                    return `<line x1="${round(item.x1)}" y1="${round(item.y)}" x2="${round(item.x2)}" y2="${round(item.y)}" stroke="${item.color}"${item.dash ? ' stroke-dasharray="5 4"' : ''}/>`;
+                case 'rect':
+                    return `<rect x="${round(item.x)}" y="${round(item.y)}" width="${round(item.width)}" height="${round(item.height)}" fill="${item.fill || 'none'}"${item.stroke ? ` stroke="${item.stroke}" stroke-width="2"` : ''}/>`;
+                case 'polygon':
+                    return `<polygon points="${item.points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ')}" fill="${item.fill}"/>`;
+                case 'dot':
+                    return `<rect x="${round(item.x)}" y="${round(item.y)}" width="${item.size}" height="${item.size}" fill="${item.color}" fill-opacity="${round(item.opacity)}"/>`;
+                default:
+                    return '';
+            }
+        });
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${receipt.width}" height="${receipt.height}" viewBox="0 0 ${receipt.width} ${receipt.height}" font-family='${FONT_FAMILY}'>`,
+            ...body.filter(Boolean).map(line => `  ${line}`),
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Draws the receipt on a 2D canvas context sized `width * scale` by
+     * `height * scale`.
+     */
+    function paint(ctx, receipt, scale = 1) {
+        ctx.save();
+        ctx.scale(scale, scale);
+        ctx.clearRect(0, 0, receipt.width, receipt.height);
+
+        receipt.items.forEach(item => {
+            switch (item.type) {
+                case 'text':
+                    ctx.font = `${item.italic ? 'italic ' : ''}${item.bold ? 'bold ' : ''}${item.size}px ${FONT_FAMILY}`;
+                    ctx.fillStyle = item.color;
+                    ctx.textAlign = item.align === 'center' ? 'center' : 'left';
+                    ctx.textBaseline = 'alphabetic';
+                    ctx.fillText(item.text, item.x, item.y);
+                    break;
+                case 'line':
+                    ctx.strokeStyle = item.color;
+                    ctx.lineWidth = 1;
+                    ctx.setLineDash(item.dash ? [5, 4] : []);
+                    ctx.beginPath();
+                    ctx.moveTo(item.x1, item.y);
+                    ctx.lineTo(item.x2, item.y);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                    break;
+                case 'rect':
+                    if (item.fill) {
+                        ctx.fillStyle = item.fill;
+                        ctx.fillRect(item.x, item.y, item.width, item.height);
+                    }
+                    if (item.stroke) {
+                        ctx.strokeStyle = item.stroke;
+                        ctx.lineWidth = 2;
+                        ctx.strokeRect(item.x, item.y, item.width, item.height);
+                    }
+                    break;
+                case 'polygon':
+                    ctx.fillStyle = item.fill;
+                    ctx.beginPath();
+                    item.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+                    ctx.closePath();
+                    ctx.fill();
+                    break;
+                case 'dot':
+                    ctx.globalAlpha = item.opacity;
+                    ctx.fillStyle = item.color;
+                    ctx.fillRect(item.x, item.y, item.size, item.size);
+                    ctx.globalAlpha = 1;
+                    break;
+            }
+        });
+
+        ctx.restore();
+    }
+
+    // ---- PDF ----------------------------------------------------------
+
+    const PDF_PAGE = { width: 595.28, height: 841.89, margin: 36 }; // A4, in points
+    const PDF_FONTS = { regular: 'F1', bold: 'F2', italic: 'F3', boldItalic: 'F4' };
+    // The Windows-1252 codes for the typographic characters PDF's built-in fonts do have
+    const WIN_ANSI = { '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99 };
+    const PDF_REPLACEMENTS = { '↳': '->', '↻': '@', '→': '->', '←': '<-' };
+
+    // Built-in PDF fonts only cover Windows-1252, so emoji and friends are left out
+    function toWinAnsi(text) {
+        let output = '';
+        for (const char of String(text)) {
+            const code = char.codePointAt(0);
+            if (PDF_REPLACEMENTS[char]) output += PDF_REPLACEMENTS[char];
+            else if (WIN_ANSI[char]) output += String.fromCharCode(WIN_ANSI[char]);
+            else if (code >= 0x20 && code <= 0xff && !(code >= 0x7f && code < 0xa0)) output += char;
+        }
+        return output.replace(/ {2,}/g, ' ').trim();
+    }
+
+    function pdfString(text) {
+        return `(${text.replace(/[\\()]/g, '\\$&')})`;
+    }
+
+    function pdfColor(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => round(channel / 255)).join(' ');
+    }
+
+    // Page breaks fall between lines of text, never through one
+    function pageBreaks(receipt, pageHeight) {
+        const breaks = [0];
+        receipt.items.filter(item => item.type === 'text').forEach(item => {
+            const top = item.y - item.size;
+            if (item.y + item.size * 0.4 - breaks[breaks.length - 1] > pageHeight) {
+                breaks.push(top);
+            }
+        });
+        return breaks;
+    }
+
+    function pdfPageContent(receipt, top, bottom, left, pageTop) {
+        const toY = y => round(pageTop - (y - top));
+        const ops = [
+            'q',
+            // Clip to this page's slice of the receipt
+            `${round(left)} ${toY(bottom)} ${receipt.width} ${round(bottom - top)} re W n`
+        ];
+
+        receipt.items.forEach(item => {
+            switch (item.type) {
+                case 'text': {
+                    if (item.y < top || item.y - item.size > bottom) return;
+                    const text = toWinAnsi(item.text);
+                    if (!text) return;
+                    const font = item.bold && item.italic ? PDF_FONTS.boldItalic : item.bold ? PDF_FONTS.bold : item.italic ? PDF_FONTS.italic : PDF_FONTS.regular;
+                    const x = item.align === 'center' ? item.x - (text.length * item.size * CHAR_WIDTH) / 2 : item.x;
+                    ops.push(`BT /${font} ${item.size} Tf ${pdfColor(item.color)} rg ${round(left + x)} ${toY(item.y)} Td ${pdfString(text)} Tj ET`);
+                    break;
+                }
+                case 'line':
+                    ops.push(`${pdfColor(item.color)} RG 1 w ${item.dash ? '[5 4] 0 d' : '[] 0 d'} ${round(left + item.x1)} ${toY(item.y)} m ${round(left + item.x2)} ${toY(item.y)} l S [] 0 d`);
+                    break;
+                case 'rect':
+                    if (item.fill) {
+                        ops.push(`${pdfColor(item.fill)} rg ${round(left + item.x)} ${toY(item.y + item.height)} ${round(item.width)} ${round(item.height)} re f`);
+                    }
+                    if (item.stroke) {
+                        ops.push(`${pdfColor(item.stroke)} RG 2 w ${round(left + item.x)} ${toY(item.y + item.height)} ${round(item.width)} ${round(item.height)} re S`);
+                    }
+                    break;
+                case 'polygon':
+                    ops.push(`${pdfColor(item.fill)} rg ${item.points.map(([x, y], i) => `${round(left + x)} ${toY(y)} ${i === 0 ? 'm' : 'l'}`).join(' ')} h f`);
+                    break;
+                // Paper grain doesn't survive printing anyway
+            }
+        });
+
+        ops.push('Q');
+        return ops.join('\n');
+    }
+
+    /**
+     * A printable A4 PDF of the receipt, centred and split across pages
+     * when it's long. Uses PDF's built-in Courier, so nothing is embedded.
+     * Returns the file's bytes.
+     */
+    function toPDF(receipt) {
+        const pageHeight = PDF_PAGE.height - PDF_PAGE.margin * 2;
+        const left = (PDF_PAGE.width - receipt.width) / 2;
+        const breaks = pageBreaks(receipt, pageHeight);
+
+        const objects = [];
+        const add = body => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalog = add(null);
+        const pages = add(null);
+        const fonts = ['Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique']
+            .map(name => add(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`));
+        const fontResources = Object.values(PDF_FONTS).map((key, i) => `/${key} ${fonts[i]} 0 R`).join(' ');
+
+        const pageIds = breaks.map((top, i) => {
+            const bottom = i + 1 < breaks.length ? breaks[i + 1] : receipt.height;
+            const content = pdfPageContent(receipt, top, bottom, left, PDF_PAGE.height - PDF_PAGE.margin);
+            const stream = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+            return add(`<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] /Resources << /Font << ${fontResources} >> >> /Contents ${stream} 0 R >>`);
+        });
+
+        objects[catalog - 1] = `<< /Type /Catalog /Pages ${pages} 0 R >>`;
+        objects[pages - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        // Every character is a single byte (see toWinAnsi), so string length is byte length
+        let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = objects.map((body, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Uint8Array.from(pdf, char => char.charCodeAt(0));
+    }
+
+    return {
+        STYLES,
+        DEFAULT_STYLE,
+        FONT_FAMILY,
+        textWidth,
+        wrap,
+        defaultStats,
+        layout,
+        toSVG,
+        paint,
+        toPDF
+    };
+});
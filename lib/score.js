@@ -0,0 +1,219 @@
+/**
+ * Anxiety score
+ * Scores a spiral from what's actually in it - how deep the thoughts go,
+ * how many branches loop back, the mix of tones, catastrophising words
+ * and how long-winded the thoughts are - instead of trusting whatever
+ * the model claims. Pure and deterministic: the same spiral always gets
+ * the same score.
+ *
+ * Loaded as a plain <script> after lib/thoughts.js (exposes
+ * window.SpiralScore) or imported from Node.
+ */
+
+(function (root, factory) {
+    const isModule = typeof module === 'object' && module.exports;
+    const SpiralScore = factory(isModule ? require('./thoughts.js') : root.SpiralThoughts);
+    if (isModule) {
+        module.exports = SpiralScore;
+    } else {
+        root.SpiralScore = SpiralScore;
+    }
+})(globalThis, function (SpiralThoughts) {
+    // Each factor scores 0-1 and is worth `weight` of the 100 points
+    const FACTORS = {
+        depth: { label: 'Depth', weight: 30 },
+        loops: { label: 'Loop-backs', weight: 20 },
+        catastrophising: { label: 'Catastrophising', weight: 20 },
+        tone: { label: 'Tone', weight: 15 },
+        length: { label: 'Rumination', weight: 15 }
+    };
+
+    // How much each tone winds things up
+    const TONE_WEIGHTS = { rational: 0.25, hypothetical: 0.5, emotional: 0.75, absurd: 1 };
+
+    // Word stems that turn a worry into a catastrophe
+    const CATASTROPHISING_STEMS = [
+        'disaster', 'catastroph', 'ruin', 'doom', 'apocalyp', 'collapse', 'end of the world', 'heat death',
+        'worst', 'never', 'forever', 'always', 'everyone', 'everything', 'nobody', 'nothing will',
+        'panic', 'terrif', 'dread', 'regret', 'fail', 'mistake', 'judg', 'humiliat', 'embarrass',
+        'spiral', 'crisis', 'existential', 'universe', 'die', 'death', 'what if'
+    ];
+    const CATASTROPHISING_PATTERN = new RegExp(`\\b(${CATASTROPHISING_STEMS.join('|')})`, 'gi');
+
+    const LEVELS = [
+        { min: 81, label: 'Full Existential Meltdown', icon: '🌋' },
+        { min: 61, label: 'Spiral Specialist', icon: '🌀' },
+        { min: 41, label: 'Certified Overthinker', icon: '🤯' },
+        { min: 21, label: 'Low-key Worried', icon: '😬' },
+        { min: 0, label: 'Mild Mulling', icon: '🤔' }
+    ];
+
+    // Thoughts are typically 30-120 characters; past that it's rumination
+    const LENGTH_RANGE = { min: 30, max: 120 };
+    // About 200 characters a minute for an anxious reader, re-reads included
+    const CHARACTERS_PER_MINUTE = 200;
+
+    function clamp01(value) {
+        return Math.min(1, Math.max(0, value));
+    }
+
+    function round(value, places = 2) {
+        const factor = 10 ** places;
+        return Math.round(value * factor) / factor;
+    }
+
+    function countKeywords(text) {
+        return (text.match(CATASTROPHISING_PATTERN) || []).length;
+    }
+
+    function levelFor(score) {
+        return LEVELS.find(level => score >= level.min);
+    }
+
+    // The raw numbers behind the factors, for one or more branches
+    function measure(branches) {
+        const depths = {};
+        let thoughts = 0;
+        let totalDepth = 0;
+        let deepest = 0;
+        let characters = 0;
+        let keywords = 0;
+
+        branches.forEach(branch => {
+            SpiralThoughts.walk(branch.nodes, node => {
+                thoughts++;
+                totalDepth += node.depth;
+                deepest = Math.max(deepest, node.depth);
+                depths[node.depth] = (depths[node.depth] || 0) + 1;
+                characters += node.text.length;
+                keywords += countKeywords(node.text);
+            });
+        });
+
+        const tones = {};
+        branches.forEach(branch => {
+            tones[branch.tone] = (tones[branch.tone] || 0) + 1;
+        });
+
+        return {
+            branches: branches.length,
+            thoughts: thoughts,
+            depths: depths,
+            meanDepth: thoughts > 0 ? totalDepth / thoughts : 0,
+            deepest: deepest,
+            loops: branches.filter(branch => branch.loop_back).length,
+            tones: tones,
+            characters: characters,
+            meanLength: thoughts > 0 ? characters / thoughts : 0,
+            keywords: keywords
+        };
+    }
+
+    // Each factor as 0-1
+    function factorValues(stats) {
+        if (stats.thoughts === 0) {
+            return { depth: 0, loops: 0, catastrophising: 0, tone: 0, length: 0 };
+        }
+
+        const toneTotal = Object.entries(stats.tones)
+            .reduce((sum, [tone, count]) => sum + (TONE_WEIGHTS[tone] ?? TONE_WEIGHTS.hypothetical) * count, 0);
+
+        return {
+            // Mostly how deep the average thought sits, partly how far the deepest one went
+            depth: clamp01((stats.meanDepth - 1) / 4) * 0.6 + clamp01((stats.deepest - 1) / 6) * 0.4,
+            loops: clamp01(stats.loops / stats.branches),
+            // One catastrophising word in every other thought is as bad as it gets
+            catastrophising: clamp01(stats.keywords / (stats.thoughts * 0.5)),
+            tone: clamp01(toneTotal / stats.branches),
+            length: clamp01((stats.meanLength - LENGTH_RANGE.min) / (LENGTH_RANGE.max - LENGTH_RANGE.min))
+        };
+    }
+
+    function total(values) {
+        return Math.round(Object.entries(FACTORS).reduce((sum, [key, factor]) => sum + values[key] * factor.weight, 0));
+    }
+
+    /**
+     * Scores a spiral result. Returns
+     * {
+     *   score (0-100), level { label, icon },
+     *   factors: [{ key, label, weight, value (0-1), points }],
+     *   categories: [{ category, categoryKey, icon, score, thoughts, option? }] - one per branch,
+     *   stats: { thoughts, deepest, loops, depths, tones, keywords, meanLength },
+     *   minutesWasted
+     * }
+     */
+    function score(result) {
+        const branches = Array.isArray(result?.branches) ? result.branches : [];
+        const stats = measure(branches);
+        const values = factorValues(stats);
+        const points = total(values);
+
+        return {
+            score: points,
+            level: { label: levelFor(points).label, icon: levelFor(points).icon },
+            factors: Object.entries(FACTORS).map(([key, factor]) => ({
+                key: key,
+                label: factor.label,
+                weight: factor.weight,
+                value: round(values[key]),
+                points: round(values[key] * factor.weight, 1)
+            })),
+            categories: branches.map(branch => {
+                const branchStats = measure([branch]);
+                return {
+                    category: branch.category,
+                    categoryKey: branch.categoryKey,
+                    icon: branch.icon,
+                    score: total(factorValues(branchStats)),
+                    thoughts: branchStats.thoughts,
+                    ...(Number.isInteger(branch.option) ? { option: branch.option } : {})
+                };
+            }),
+            stats: {
+                thoughts: stats.thoughts,
+                deepest: stats.deepest,
+                loops: stats.loops,
+                depths: stats.depths,
+                tones: stats.tones,
+                keywords: stats.keywords,
+                meanLength: round(stats.meanLength, 1)
+            },
+            minutesWasted: stats.thoughts > 0
+                ? Math.max(1, Math.round(stats.characters / CHARACTERS_PER_MINUTE * (1 + stats.loops * 0.5)))
+                : 0
+        };
+    }
+
+    /**
+     * An "A or B" comparison scored one side at a time: a full report per
+     * option, in option order, each with the option's `text`. score() on
+     * the whole result is the combined score. Empty for a normal spiral.
+     */
+    function scoreSides(result) {
+        const options = result?.compare?.options;
+        if (!Array.isArray(options)) return [];
+
+        const branches = Array.isArray(result.branches) ? result.branches : [];
+        return options.map((text, side) => ({
+            ...score({ branches: branches.filter(branch => branch.option === side) }),
+            text: text
+        }));
+    }
+
+    // "73/100 🌀 Spiral Specialist"
+    function describe(report) {
+        return `${report.score}/100 ${report.level.icon} ${report.level.label}`;
+    }
+
+    return {
+        FACTORS,
+        TONE_WEIGHTS,
+        LEVELS,
+        CATASTROPHISING_STEMS,
+        score,
+        scoreSides,
+        describe,
+        countKeywords
+    };
+});
@@ -0,0 +1,343 @@
+/**
+ * Spiral permalinks
+ * Encodes a spiral into a URL fragment (#spiral=...) and back. Template
+ * spirals only need the decision, seed and options; anything else (AI
+ * spirals, "A or B" comparisons) carries the full spiral. Decoded links
+ * are validated and size-bounded before anything gets rendered.
+ *
+ * Loaded as a plain <script> after lib/prompt.js and lib/thoughts.js
+ * (exposes window.SpiralShare) or imported from Node.
+ */
+
+(function (root, factory) {
+    const isModule = typeof module === 'object' && module.exports;
+    const SpiralShare = isModule
+        ? factory(require('./prompt.js'), require('./thoughts.js'))
+        : factory(root.SpiralPrompt, root.SpiralThoughts);
+    if (isModule) {
+        module.exports = SpiralShare;
+    } else {
+        root.SpiralShare = SpiralShare;
+    }
+})(globalThis, function (SpiralPrompt, SpiralThoughts) {
+    const LINK_VERSION = 1;
+    const FRAGMENT_KEY = 'spiral';
+    const MAX_FRAGMENT_LENGTH = 8000;
+    const MAX_JSON_BYTES = 64 * 1024;
+    const MAX_SEED = 0xFFFFFFFF;
+    const LIMITS = {
+        MAX_TEXT_LENGTH: 500,
+        MAX_CATEGORY_LENGTH: 80,
+        MAX_NODES: 60,
+        // Across a branch's whole tree, and how many sub-spirals deep it may nest
+        MAX_TREE_NODES: 200,
+        MAX_NESTING: 8
+    };
+    const TONES = ['rational', 'emotional', 'absurd', 'hypothetical'];
+
+    // Payload format flags: 'z' = deflate-compressed JSON, 'j' = plain JSON
+    const FORMAT_COMPRESSED = 'z';
+    const FORMAT_PLAIN = 'j';
+
+    function toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(text) {
+        if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+            throw new Error('link contains invalid characters');
+        }
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    async function pipeBytes(bytes, transform, maxBytes) {
+        const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+        const chunks = [];
+        let total = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            total += value.length;
+            if (total > maxBytes) {
+                await reader.cancel();
+                throw new Error('link is too large');
+            }
+            chunks.push(value);
+        }
+
+        const output = new Uint8Array(total);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return output;
+    }
+
+    function canCompress() {
+        return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+    }
+
+    // Known fields only, sub-spirals included
+    function copyNodes(nodes) {
+        return nodes.map(node => ({
+            text: node.text,
+            depth: node.depth,
+            ...(node.cross_ref === true ? { cross_ref: true } : {}),
+            ...(Array.isArray(node.children) && node.children.length > 0 ? { children: copyNodes(node.children) } : {})
+        }));
+    }
+
+    /**
+     * The smallest payload that reopens the spiral. Template spirals whose
+     * templates can't be rebuilt elsewhere (imported packs) must pass
+     * `{ replayable: false }` to embed the full spiral instead. Spirals
+     * that went deeper always embed it - a seed can't replay the extra
+     * thoughts - and so do comparisons, which a seed link can't describe,
+     * and reality-checked spirals, whose summary and counter-thoughts were
+     * added after the seed ran.
+     */
+    function createPayload(result, { replayable = true } = {}) {
+        const wentDeeper = result.branches.some(branch => SpiralThoughts.hasNested(branch.nodes));
+        const annotated = Boolean(result.reality_check) || result.branches.some(branch => branch.counter_thought);
+        if (replayable && !wentDeeper && !annotated && !result.compare && result.seed !== undefined && result.seed !== null) {
+            return {
+                v: LINK_VERSION,
+                kind: 'seed',
+                decision: result.decision,
+                seed: result.seed,
+                options: result.options
+            };
+        }
+
+        return {
+            v: LINK_VERSION,
+            kind: 'spiral',
+            spiral: {
+                decision: result.decision,
+                root_thought: result.root_thought,
+                branches: result.branches.map(branch => ({
+                    category: branch.category,
+                    tone: branch.tone,
+                    nodes: copyNodes(branch.nodes),
+                    loop_back: branch.loop_back,
+                    ...(Number.isInteger(branch.option) ? { option: branch.option } : {}),
+                    ...(branch.counter_thought ? { counter_thought: branch.counter_thought } : {})
+                })),
+                meta: result.meta,
+                ...(result.options ? { options: result.options } : {}),
+                ...(result.compare ? { compare: { options: [...result.compare.options] } } : {}),
+                ...(result.reality_check ? { reality_check: { summary: result.reality_check.summary } } : {})
+            }
+        };
+    }
+
+    // Resolves with the fragment (without '#'); rejects when decode() would refuse the link
+    async function encode(payload) {
+        const error = validatePayload(payload);
+        if (error) throw new Error(error);
+
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+        const body = canCompress()
+            ? FORMAT_COMPRESSED + toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw'), MAX_JSON_BYTES))
+            : FORMAT_PLAIN + toBase64Url(bytes);
+        const fragment = `${FRAGMENT_KEY}=${body}`;
+
+        if (fragment.length > MAX_FRAGMENT_LENGTH) {
+            throw new Error('spiral is too large to fit in a link');
+        }
+        return fragment;
+    }
+
+    function isLink(hash) {
+        return typeof hash === 'string' && hash.replace(/^#/, '').startsWith(`${FRAGMENT_KEY}=`);
+    }
+
+    /**
+     * Returns the validated payload from a location hash. Throws with a
+     * short, user-presentable reason when the link is broken.
+     */
+    async function decode(hash) {
+        if (!isLink(hash)) {
+            throw new Error('not a spiral link');
+        }
+
+        const fragment = hash.replace(/^#/, '');
+        if (fragment.length > MAX_FRAGMENT_LENGTH) {
+            throw new Error('link is too large');
+        }
+
+        const body = fragment.slice(FRAGMENT_KEY.length + 1);
+        const format = body.charAt(0);
+        let bytes;
+        try {
+            bytes = fromBase64Url(body.slice(1));
+        } catch {
+            throw new Error('link is corrupted');
+        }
+
+        if (format === FORMAT_COMPRESSED) {
+            if (!canCompress()) throw new Error('this browser cannot open compressed links');
+            try {
+                bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'), MAX_JSON_BYTES);
+            } catch (error) {
+                throw new Error(error.message === 'link is too large' ? error.message : 'link is corrupted');
+            }
+        } else if (format !== FORMAT_PLAIN || bytes.length > MAX_JSON_BYTES) {
+            throw new Error(format === FORMAT_PLAIN ? 'link is too large' : 'link format is not supported');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(new TextDecoder().decode(bytes));
+        } catch {
+            throw new Error('link is corrupted');
+        }
+
+        const error = validatePayload(payload);
+        if (error) throw new Error(error);
+
+        return normalizePayload(payload);
+    }
+
+    function isText(value, maxLength) {
+        return typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+    }
+
+    // Checks one level of thoughts and, recursively, their sub-spirals
+    function validateNodes(nodes, minDepth, maxDepth, nesting) {
+        if (!Array.isArray(nodes) || nodes.length === 0 || nodes.length > LIMITS.MAX_NODES) {
+            return 'link branch has the wrong number of thoughts';
+        }
+        for (const node of nodes) {
+            if (!node || !isText(node.text, LIMITS.MAX_TEXT_LENGTH)) return 'link thought is missing or too long';
+            if (!Number.isInteger(node.depth) || node.depth < minDepth || node.depth > maxDepth) {
+                return 'link thought depth is invalid';
+            }
+            if (node.children !== undefined) {
+                if (nesting >= LIMITS.MAX_NESTING) return 'link spirals too deep';
+                const error = validateNodes(node.children, node.depth + 1, Number.MAX_SAFE_INTEGER, nesting + 1);
+                if (error) return error;
+            }
+        }
+        return null;
+    }
+
+    // Returns an error message, or null when the payload is safe to render
+    function validatePayload(payload) {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return 'link is corrupted';
+        }
+        if (payload.v !== LINK_VERSION) {
+            return 'link is from a newer version of the app';
+        }
+        if (payload.options !== undefined && (typeof payload.options !== 'object' || payload.options === null)) {
+            return 'link options are malformed';
+        }
+
+        if (payload.kind === 'seed') {
+            if (!isText(payload.decision, SpiralPrompt.MAX_DECISION_LENGTH)) return 'link decision is missing or too long';
+            if (!Number.isInteger(payload.seed) || payload.seed < 0 || payload.seed > MAX_SEED) return 'link seed is invalid';
+            return null;
+        }
+
+        if (payload.kind !== 'spiral') {
+            return 'link format is not supported';
+        }
+
+        const spiral = payload.spiral;
+        if (!spiral || typeof spiral !== 'object') return 'link spiral is missing';
+        if (!isText(spiral.decision, SpiralPrompt.MAX_DECISION_LENGTH)) return 'link decision is missing or too long';
+        if (!isText(spiral.root_thought, LIMITS.MAX_TEXT_LENGTH)) return 'link root thought is missing or too long';
+        if (spiral.options !== undefined && (typeof spiral.options !== 'object' || spiral.options === null)) {
+            return 'link options are malformed';
+        }
+        if (!Array.isArray(spiral.branches) || spiral.branches.length === 0 || spiral.branches.length > SpiralPrompt.OPTION_LIMITS.MAX_BRANCHES) {
+            return 'link has the wrong number of branches';
+        }
+        if (spiral.compare !== undefined) {
+            const options = spiral.compare?.options;
+            if (!Array.isArray(options) || options.length !== SpiralPrompt.COMPARE_LABELS.length
+                || !options.every(option => isText(option, SpiralPrompt.MAX_COMPARE_OPTION_LENGTH))) {
+                return 'link comparison is malformed';
+            }
+        }
+        if (spiral.reality_check !== undefined && !isText(spiral.reality_check?.summary, LIMITS.MAX_TEXT_LENGTH)) {
+            return 'link reality check is malformed';
+        }
+
+        for (const branch of spiral.branches) {
+            if (!branch || typeof branch !== 'object') return 'link branch is malformed';
+            if (!isText(branch.category, LIMITS.MAX_CATEGORY_LENGTH)) return 'link branch category is invalid';
+            if (!TONES.includes(branch.tone)) return 'link branch tone is invalid';
+            if (typeof branch.loop_back !== 'boolean') return 'link branch loop-back is invalid';
+            if (spiral.compare ? ![0, 1].includes(branch.option) : branch.option !== undefined) {
+                return 'link branch option is invalid';
+            }
+            if (branch.counter_thought !== undefined && !isText(branch.counter_thought, LIMITS.MAX_TEXT_LENGTH)) {
+                return 'link reality check is malformed';
+            }
+            const error = validateNodes(branch.nodes, SpiralPrompt.OPTION_LIMITS.MIN_DEPTH, SpiralPrompt.OPTION_LIMITS.MAX_DEPTH, 0);
+            if (error) return error;
+            if (SpiralThoughts.count(branch.nodes) > LIMITS.MAX_TREE_NODES) {
+                return 'link branch has the wrong number of thoughts';
+            }
+        }
+
+        return null;
+    }
+
+    // Copies only the known fields, so nothing unexpected reaches the renderer
+    function normalizePayload(payload) {
+        if (payload.kind === 'seed') {
+            return {
+                kind: 'seed',
+                decision: payload.decision.trim(),
+                seed: payload.seed,
+                options: SpiralPrompt.normalizeOptions(payload.options)
+            };
+        }
+
+        const spiral = payload.spiral;
+        const meta = spiral.meta && typeof spiral.meta === 'object' ? spiral.meta : {};
+        return {
+            kind: 'spiral',
+            spiral: {
+                decision: spiral.decision.trim(),
+                root_thought: spiral.root_thought,
+                branches: spiral.branches.map(branch => ({
+                    category: branch.category,
+                    tone: branch.tone,
+                    nodes: copyNodes(branch.nodes),
+                    loop_back: branch.loop_back,
+                    ...(spiral.compare ? { option: branch.option } : {}),
+                    ...(branch.counter_thought ? { counter_thought: branch.counter_thought } : {})
+                })),
+                meta: {
+                    humor_level: meta.humor_level,
+                    absurdity_level: meta.absurdity_level,
+                    safety_checked: meta.safety_checked,
+                    generated_by: typeof meta.generated_by === 'string' ? meta.generated_by.slice(0, 40) : undefined
+                },
+                ...(spiral.options ? { options: SpiralPrompt.normalizeOptions(spiral.options) } : {}),
+                ...(spiral.compare ? { compare: { options: spiral.compare.options.map(option => option.trim()) } } : {}),
+                ...(spiral.reality_check ? { reality_check: { summary: spiral.reality_check.summary } } : {})
+            }
+        };
+    }
+
+    return {
+        FRAGMENT_KEY,
+        MAX_FRAGMENT_LENGTH,
+        MAX_NESTING: LIMITS.MAX_NESTING,
+        createPayload,
+        encode,
+        decode,
+        isLink,
+        validatePayload
+    };
+});
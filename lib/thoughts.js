@@ -0,0 +1,149 @@
+/**
+ * Thought trees
+ * A branch's `nodes` is a list of thoughts, each with a `depth`. Any
+ * thought can grow its own sub-spiral in `children` - another list of the
+ * same shape, one level further down - so spirals nest arbitrarily deep.
+ * These helpers walk that structure without caring how deep it goes.
+ *
+ * A thought's path is the list of indexes leading to it: [2, 0] is
+ * `nodes[2].children[0]`.
+ *
+ * Loaded as a plain <script> (exposes window.SpiralThoughts) or imported
+ * from Node.
+ */
+
+(function (root, factory) {
+    const SpiralThoughts = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = SpiralThoughts;
+    } else {
+        root.SpiralThoughts = SpiralThoughts;
+    }
+})(globalThis, function () {
+    function childrenOf(node) {
+        return node && Array.isArray(node.children) ? node.children : [];
+    }
+
+    // Depth-first, parents before their sub-spirals: visit(node, path, level)
+    function walk(nodes, visit, parentPath = [], level = 0) {
+        (nodes || []).forEach((node, index) => {
+            const path = [...parentPath, index];
+            visit(node, path, level);
+            walk(childrenOf(node), visit, path, level + 1);
+        });
+    }
+
+    // Every thought in reading order, with its path and nesting level
+    function flatten(nodes) {
+        const items = [];
+        walk(nodes, (node, path, level) => items.push({ node, path, level }));
+        return items;
+    }
+
+    /**
+     * Every thought in reading order with its level in the tree: a thought
+     * sits under the closest earlier thought one depth shallower, and a
+     * sub-spiral under the thought it grew from. Suits outlines and
+     * nested lists, where depths can skip (1 -> 3) but indentation can't.
+     */
+    function outline(nodes, level = 0) {
+        const items = [];
+        const stack = [];
+
+        (nodes || []).forEach(node => {
+            while (stack.length > 0 && stack[stack.length - 1].depth >= node.depth) {
+                stack.pop();
+            }
+            const nodeLevel = level + stack.length;
+            items.push({ node, level: nodeLevel });
+            stack.push(node);
+            items.push(...outline(childrenOf(node), nodeLevel + 1));
+        });
+
+        return items;
+    }
+
+    function count(nodes) {
+        let total = 0;
+        walk(nodes, () => { total++; });
+        return total;
+    }
+
+    function maxDepth(nodes) {
+        let deepest = 0;
+        walk(nodes, node => { deepest = Math.max(deepest, node.depth || 0); });
+        return deepest;
+    }
+
+    function getNode(nodes, path) {
+        let list = nodes || [];
+        let node = null;
+
+        for (const index of path) {
+            node = list[index];
+            if (!node) return null;
+            list = childrenOf(node);
+        }
+
+        return node;
+    }
+
+    /**
+     * The thoughts that led to `path`: at every level, the thoughts up to
+     * and including the one the path goes through. The last item is the
+     * thought at `path` itself.
+     */
+    function chainTo(nodes, path) {
+        const chain = [];
+        let list = nodes || [];
+
+        for (const index of path) {
+            if (!list[index]) break;
+            chain.push(...list.slice(0, index + 1));
+            list = childrenOf(list[index]);
+        }
+
+        return chain;
+    }
+
+    // A copy of `nodes` with the thought at `path` given `children`; the original is untouched
+    function setChildren(nodes, path, children) {
+        const [index, ...rest] = path;
+        return nodes.map((node, i) => {
+            if (i !== index) return node;
+            return rest.length === 0
+                ? { ...node, children: children }
+                : { ...node, children: setChildren(childrenOf(node), rest, children) };
+        });
+    }
+
+    /**
+     * The top-level thought a branch reached at `depth`: the first one
+     * there, or the deepest one above it when the branch stops short.
+     */
+    function atDepth(nodes, depth) {
+        const list = nodes || [];
+        return list.find(node => node.depth === depth)
+            || list.filter(node => node.depth < depth).reduce((deepest, node) => (!deepest || node.depth > deepest.depth ? node : deepest), null)
+            || list[0]
+            || null;
+    }
+
+    // Whether any thought has been expanded into a sub-spiral
+    function hasNested(nodes) {
+        return (nodes || []).some(node => childrenOf(node).length > 0);
+    }
+
+    return {
+        walk,
+        flatten,
+        outline,
+        count,
+        maxDepth,
+        getNode,
+        chainTo,
+        setChildren,
+        atDepth,
+        hasNested
+    };
+});